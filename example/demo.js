@@ -9,11 +9,9 @@ dotenv.config();
 const USDT0_CONTRACT_ADDRESS = "0x78Cf24370174180738C5B8E352B6D14c83a6c9A9";
 const RPC_URL = "https://rpc.testnet.stable.xyz";
 const EXPLORER_URL = "https://testnet.stablescan.xyz/tx/";
-const CHAIN_ID = 2201;
 
 const CONFIDENTIAL_CONFIG = {
-  rpcUrl: RPC_URL,
-  chainId: CHAIN_ID,
+  network: "stable-testnet",
 };
 
 async function main() {
@@ -70,20 +68,25 @@ async function main() {
     console.log("Depositing 1 tokens into confidential balance...");
     const depositAmount = ethers.parseUnits("1", tokenDecimals);
 
-    // Check pre-deposit balance
-    let senderConfBalanceBefore = await confSender.getConfidentialBalance({
-      token: USDT0_CONTRACT_ADDRESS,
+    // Check pre-deposit balances
+    const [senderBalancesBefore] = await confSender.getConfidentialBalances({
+      tokens: [USDT0_CONTRACT_ADDRESS],
     });
 
     console.log(
-      `Pre-Deposit Confidential Balance(Sender): ${ethers.formatUnits(senderConfBalanceBefore.amount, tokenDecimals)} USDT0`,
+      `Pre-Deposit Balances(Sender): ${senderBalancesBefore.formatted} ${senderBalancesBefore.symbol} confidential, ${senderBalancesBefore.publicFormatted} ${senderBalancesBefore.symbol} public`,
     );
 
     const depRes = await confSender.depositConfidential({
       token: USDT0_CONTRACT_ADDRESS,
       amount: depositAmount,
+      approval: "exact",
+      confirmations: 1,
     });
-    console.log(`Tx Hash: ${depRes.hash}`);
+    if (depRes.approval) {
+      console.log(`Approval Tx Hash: ${depRes.approval.hash}`);
+    }
+    console.log(`Tx Hash: ${depRes.hash} (${depRes.status})`);
     console.log(`View Transaction: ${EXPLORER_URL}${depRes.hash}`);
 
     let senderConfBalanceAfter = await confSender.getConfidentialBalance({
@@ -103,12 +106,13 @@ async function main() {
       recipient: receiverAddress,
       token: USDT0_CONTRACT_ADDRESS,
       amount: transferAmount,
+      confirmations: 1,
     });
 
     console.log(
       "Status: Confidential Transfer is completed. Transfer amount is hidden onchain.",
     );
-    console.log(`Tx Hash: ${txRes.hash}`);
+    console.log(`Tx Hash: ${txRes.hash} (${txRes.status})`);
     console.log(`View Transaction: ${EXPLORER_URL}${txRes.hash}`);
 
     let senderConfBalanceAfterTransfer =
@@ -127,9 +131,10 @@ async function main() {
     const withdrawRes = await confReceiver.withdrawConfidential({
       token: USDT0_CONTRACT_ADDRESS,
       amount: withdrawAmount,
+      confirmations: 1,
     });
 
-    console.log(`Tx Hash: ${withdrawRes.hash}`);
+    console.log(`Tx Hash: ${withdrawRes.hash} (${withdrawRes.status})`);
     console.log(`View Transaction: ${EXPLORER_URL}${withdrawRes.hash}`);
     let receiverConfBalanceAfterWithdraw =
       await confReceiver.getConfidentialBalance({
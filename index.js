@@ -1,5 +1,28 @@
 export {
   NotImplementedError,
+  ConfidentialProtocolError,
+  ReadOnlyAccountError,
+  ConfidentialityNotEnabledError,
+  ProviderNotConnectedError,
+  ChainMismatchError,
+  SignerMismatchError,
+  InvalidAmountError,
+  InsufficientConfidentialBalanceError,
+  InsufficientPublicBalanceError,
+  InsufficientAllowanceError,
+  RecipientNotRegisteredError,
+  PolicyViolationError,
+  ConfidentialTransferNotFoundError,
+  InvalidConfidentialKeysError,
+  KeyRotationNotSupportedError,
+  InvalidKeystorePasswordError,
+  InvalidKeystoreFormatError,
+  OperationTimeoutError,
+  OperationCancelledError,
+  InvalidOptionError,
+  UnknownNetworkError,
+  UnknownProtocolError,
+  ConfidentialOperationError,
   IConfidentialProtocol,
   default as ConfidentialProtocol,
 } from "./src/confidential-protocol.js";
@@ -8,3 +31,31 @@ export {
   enableConfidentiality,
   ConfidentialProtocolEvm,
 } from "./src/fairblock-protocol-evm.js";
+
+export { default as ConfidentialAccount } from "./src/confidential-account.js";
+
+export { registerConfidentialProtocol } from "./src/wdk.js";
+
+export { ConfidentialAccountManager } from "./src/account-manager.js";
+
+export { WalletAccountSigner, CallbackSigner } from "./src/signer.js";
+
+export { FailoverProvider } from "./src/rpc.js";
+
+export { verifyDisclosure } from "./src/disclosure.js";
+
+export { MockConfidentialTransferClient } from "./src/mock-client.js";
+
+export { MemorySpendingStore } from "./src/policy.js";
+
+export {
+  encryptConfidentialKeys,
+  decryptConfidentialKeys,
+  FileKeyStorage,
+} from "./src/keystore.js";
+
+export {
+  registerNetwork,
+  getNetwork,
+  getNetworks,
+} from "./src/networks.js";
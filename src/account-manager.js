@@ -0,0 +1,275 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { ConfidentialTransferClient } from "@fairblock/stabletrust";
+import { ConfidentialProtocolEvm } from "./fairblock-protocol-evm.js";
+import { InvalidOptionError } from "./confidential-protocol.js";
+import ConfidentialAccount from "./confidential-account.js";
+
+/** @typedef {import('@tetherto/wdk').default} WDK */
+/** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountEvm} WalletAccountEvm */
+/** @typedef {import('ethers').JsonRpcApiProvider} JsonRpcApiProvider */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialProtocolConfig} ConfidentialProtocolConfig */
+/** @typedef {import('./confidential-protocol.js').EnableConfidentialityOptions} EnableConfidentialityOptions */
+/** @typedef {import('./confidential-protocol.js').ConfidentialResult} ConfidentialResult */
+/** @typedef {import('./amount.js').Amount} Amount */
+
+/**
+ * @typedef {Object} ConfidentialAccountManagerOptions
+ * @property {string} blockchain - The name of the blockchain, as registered with 'wdk.registerWallet'.
+ * @property {number[]} indexes - The derivation indexes of the accounts to manage.
+ * @property {ConfidentialProtocolConfig} config - The protocol configuration, shared by all the accounts.
+ * @property {EnableConfidentialityOptions} [enableOptions] - The options every account is enabled with, for example a key storage.
+ */
+
+/**
+ * @typedef {Object} ConfidentialAccountBalance
+ * @property {number} index - The derivation index of the account.
+ * @property {string} address - The address of the account.
+ * @property {bigint} amount - The balance once the pending operations are mined (in base unit).
+ * @property {bigint} available - The confirmed balance (in base unit).
+ * @property {bigint} pending - The net change of the account's pending operations (in base unit).
+ */
+
+/**
+ * @typedef {Object} AggregatedConfidentialBalance
+ * @property {string} token - The address of the token.
+ * @property {bigint} amount - The sum of the accounts' balances (in base unit).
+ * @property {bigint} available - The sum of the accounts' confirmed balances (in base unit).
+ * @property {bigint} pending - The sum of the accounts' pending changes (in base unit).
+ * @property {ConfidentialAccountBalance[]} accounts - The balance of each account, in the order of the indexes.
+ */
+
+/**
+ * @typedef {Object} RebalanceConfidentialOptions
+ * @property {string} token - The address of the token.
+ * @property {number} from - The derivation index of the sending account.
+ * @property {number} to - The derivation index of the receiving account.
+ * @property {Amount} amount - The amount to move.
+ * @property {number} [confirmations] - If set, waits for the transaction to reach this number of confirmations (default: 0).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the operation while it waits in the account's operation queue.
+ */
+
+/**
+ * Manages the confidential accounts of several derivation indexes of a WDK wallet.
+ *
+ * Each account is enabled on first use, so that accounts that are never used cost no registration.
+ * All the accounts share the same stabletrust clients and the same provider, created once.
+ *
+ * @example
+ * const manager = new ConfidentialAccountManager(wdk, {
+ *   blockchain: "ethereum",
+ *   indexes: [0, 1, 2],
+ *   config: { network: "stable-testnet" },
+ * });
+ *
+ * const { amount, accounts } = await manager.getConfidentialBalance({ token });
+ * await manager.rebalanceConfidential({ token, from: 0, to: 1, amount: "25" });
+ */
+export class ConfidentialAccountManager {
+  /**
+   * Creates a new account manager.
+   *
+   * @param {WDK} wdk - The WDK instance.
+   * @param {ConfidentialAccountManagerOptions} options - The manager options.
+   */
+  constructor(wdk, options) {
+    const { blockchain, indexes, config, enableOptions } = options;
+
+    if (
+      !Array.isArray(indexes) ||
+      !indexes.every((index) => Number.isSafeInteger(index) && index >= 0)
+    ) {
+      throw new InvalidOptionError({
+        option: "indexes",
+        reason: `the account indexes must be non-negative integers, not ${indexes}`,
+      });
+    }
+
+    /** @private */
+    this._wdk = wdk;
+
+    /** @private */
+    this._blockchain = blockchain;
+
+    /** @private */
+    this._indexes = [...new Set(indexes)];
+
+    /** @private */
+    this._config = { ...config, client: shareClients(config.client) };
+
+    /** @private */
+    this._enableOptions = enableOptions;
+
+    /**
+     * The provider shared by the accounts, taken from the first account's protocol.
+     *
+     * @private
+     * @type {JsonRpcApiProvider | undefined}
+     */
+    this._provider = config.provider;
+
+    /**
+     * The confidential accounts, by derivation index, enabled or being enabled.
+     *
+     * @private
+     * @type {Map<number, Promise<ConfidentialAccount<WalletAccountEvm>>>}
+     */
+    this._accounts = new Map();
+  }
+
+  /**
+   * The derivation indexes of the managed accounts.
+   *
+   * @type {number[]}
+   */
+  get indexes() {
+    return [...this._indexes];
+  }
+
+  /**
+   * Returns the confidential account of a derivation index, enabling confidentiality for it on first
+   * use. A failed enabling is not cached, so it is retried on the next call.
+   *
+   * @param {number} index - The derivation index.
+   * @returns {Promise<ConfidentialAccount<WalletAccountEvm>>} The confidential account.
+   */
+  async getAccount(index) {
+    if (!this._indexes.includes(index)) {
+      throw new InvalidOptionError({
+        option: "index",
+        reason: `the account index ${index} is not managed`,
+      });
+    }
+
+    if (!this._accounts.has(index)) {
+      const account = this._enable(index);
+
+      account.catch(() => this._accounts.delete(index));
+
+      this._accounts.set(index, account);
+    }
+
+    return await this._accounts.get(index);
+  }
+
+  /** @private */
+  async _enable(index) {
+    const account = await this._wdk.getAccount(this._blockchain, index);
+
+    const protocol = new ConfidentialProtocolEvm(account, {
+      ...this._config,
+      provider: this._provider,
+    });
+
+    this._provider ??= protocol.provider;
+
+    await protocol.enableConfidentiality(this._enableOptions);
+
+    return new ConfidentialAccount(account, protocol);
+  }
+
+  /**
+   * Gets the confidential balance of a token across all the managed accounts, enabling them if needed.
+   *
+   * @param {Object} options - The balance options.
+   * @param {string} options.token - The address of the token.
+   * @param {boolean} [options.fresh] - Reads the balances from the chain even if cached ones are fresh (default: false).
+   * @returns {Promise<AggregatedConfidentialBalance>} The total balance, and the balance of each account.
+   */
+  async getConfidentialBalance(options) {
+    const { token } = options;
+
+    const accounts = await Promise.all(
+      this._indexes.map(async (index) => {
+        const account = await this.getAccount(index);
+
+        const [address, { amount, available, pending }] = await Promise.all([
+          account.getAddress(),
+          account.getConfidentialBalance(options),
+        ]);
+
+        return { index, address, amount, available, pending };
+      }),
+    );
+
+    const sum = (field) =>
+      accounts.reduce((total, account) => total + account[field], 0n);
+
+    return {
+      token,
+      amount: sum("amount"),
+      available: sum("available"),
+      pending: sum("pending"),
+      accounts,
+    };
+  }
+
+  /**
+   * Moves tokens confidentially from one managed account to another. The receiving account is
+   * enabled first if needed, so that it is registered before the transfer.
+   *
+   * @param {RebalanceConfidentialOptions} options - The rebalance options.
+   * @returns {Promise<ConfidentialResult>} The result of the transfer.
+   */
+  async rebalanceConfidential(options) {
+    const { from, to, ...transfer } = options;
+
+    if (from === to) {
+      throw new InvalidOptionError({
+        option: "to",
+        reason: `cannot rebalance account ${from} into itself`,
+      });
+    }
+
+    const [sender, recipient] = await Promise.all([
+      this.getAccount(from),
+      this.getAccount(to),
+    ]);
+
+    return await sender.transferConfidential({
+      ...transfer,
+      recipient: await recipient.getAddress(),
+    });
+  }
+}
+
+/**
+ * Returns a client option that creates at most one stabletrust client per RPC URL, whichever account
+ * asks for it first.
+ *
+ * @param {ConfidentialProtocolConfig["client"]} client - The configured client option.
+ * @returns {ConfidentialProtocolConfig["client"]} The shared client option.
+ */
+function shareClients(client) {
+  if (client && typeof client !== "function") {
+    return client;
+  }
+
+  const clients = new Map();
+
+  return (rpcUrl, chainId) => {
+    if (!clients.has(rpcUrl)) {
+      clients.set(
+        rpcUrl,
+        client
+          ? client(rpcUrl, chainId)
+          : new ConfidentialTransferClient(rpcUrl, chainId),
+      );
+    }
+
+    return clients.get(rpcUrl);
+  };
+}
@@ -0,0 +1,132 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { MaxUint256 } from "ethers";
+import { InvalidAmountError } from "./confidential-protocol.js";
+
+/**
+ * An amount of tokens: a number or a bigint of base units, a decimal string of tokens such as
+ * "1.5", or an explicit value and unit.
+ *
+ * @typedef {number | bigint | string | { value: number | bigint | string, unit: "token" | "base" }} Amount
+ */
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Returns whether an amount is expressed in tokens, and thus needs the token's decimals to be
+ * converted to base units.
+ *
+ * @param {Amount} amount - The amount.
+ * @returns {boolean} True if the amount is in tokens.
+ */
+export function isTokenAmount(amount) {
+  return (
+    typeof amount === "string" ||
+    (typeof amount === "object" && amount?.unit === "token")
+  );
+}
+
+/**
+ * Converts an amount to base units, and checks that it is a positive integer amount of base units
+ * that fits in a uint256.
+ *
+ * @param {Amount} amount - The amount.
+ * @param {number} [decimals] - The decimals of the token. Required for amounts in tokens.
+ * @returns {bigint} The amount, in base units.
+ * @throws {InvalidAmountError} If the amount is invalid.
+ */
+export function parseAmount(amount, decimals) {
+  const invalid = (reason) => new InvalidAmountError({ amount, reason });
+
+  let value = amount;
+  let unit = typeof amount === "string" ? "token" : "base";
+
+  if (typeof amount === "object" && amount !== null) {
+    ({ value, unit } = amount);
+
+    if (unit !== "token" && unit !== "base") {
+      throw invalid(`unknown unit '${unit}', use 'token' or 'base'`);
+    }
+  }
+
+  let baseUnits;
+
+  if (unit === "token") {
+    baseUnits = parseTokens(value, decimals, invalid);
+  } else if (typeof value === "bigint") {
+    baseUnits = value;
+  } else if (typeof value === "number") {
+    if (!Number.isInteger(value)) {
+      throw invalid("must be an integer amount of base units");
+    }
+
+    if (!Number.isSafeInteger(value)) {
+      throw invalid("exceeds the safe integer range, use a bigint instead");
+    }
+
+    baseUnits = BigInt(value);
+  } else if (typeof value === "string" && INTEGER_PATTERN.test(value)) {
+    baseUnits = BigInt(value);
+  } else {
+    throw invalid(
+      "must be a number or a bigint of base units, a decimal string of tokens, or { value, unit }",
+    );
+  }
+
+  if (baseUnits <= 0n) {
+    throw invalid("must be positive");
+  }
+
+  if (baseUnits > MaxUint256) {
+    throw invalid("exceeds the maximum uint256 amount");
+  }
+
+  return baseUnits;
+}
+
+function parseTokens(value, decimals, invalid) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw invalid("must be a finite number of tokens");
+    }
+
+    // Numbers printed in exponent notation, such as 1e-7, are rejected below
+    value = String(value);
+  } else if (typeof value === "bigint") {
+    value = value.toString();
+  }
+
+  if (typeof value !== "string") {
+    throw invalid("must be a decimal string of tokens");
+  }
+
+  const match = DECIMAL_PATTERN.exec(value);
+
+  if (!match) {
+    throw invalid(
+      "must be a non-negative decimal number of tokens, such as '1.5'",
+    );
+  }
+
+  const [, whole, fraction = ""] = match;
+
+  if (fraction.length > decimals) {
+    throw invalid(`has more than the ${decimals} decimals of the token`);
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
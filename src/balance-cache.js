@@ -0,0 +1,193 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @typedef {Object} BalanceCacheConfig
+ * @property {number} [maxAgeBlocks] - How many blocks a cached balance is served for after the block it was read at (default: 0, only at that block).
+ */
+
+/**
+ * @typedef {Object} CachedBalance
+ * @property {bigint} available - The confirmed balance.
+ * @property {number} blockNumber - The block the balance was read at.
+ */
+
+/**
+ * Tracks the confidential balances of an account, by token.
+ *
+ * Keeps the pending balance changes of the account's own operations, from the moment their
+ * transaction is sent until it is mined, reverted or given up on. Can also cache the confirmed
+ * balances, each tagged with the block it was read at, so that reads within the same block (or the
+ * same few blocks) do not decrypt the balance again.
+ */
+export class ConfidentialBalanceCache {
+  /**
+   * Creates a new balance cache.
+   *
+   * @param {BalanceCacheConfig | boolean} [config] - The cache configuration, or false to only track pending changes.
+   */
+  constructor(config = false) {
+    /** @private */
+    this._enabled = config !== false;
+
+    /** @private */
+    this._maxAgeBlocks = config.maxAgeBlocks ?? 0;
+
+    /**
+     * The confirmed balances, by lowercase token address.
+     *
+     * @private
+     * @type {Map<string, CachedBalance>}
+     */
+    this._balances = new Map();
+
+    /**
+     * The pending balance changes, by transaction hash, with the block their transaction was mined in
+     * once it is known.
+     *
+     * @private
+     * @type {Map<string, { token: string, delta: bigint, blockNumber?: number }>}
+     */
+    this._pending = new Map();
+  }
+
+  /**
+   * Returns the cached confirmed balance of a token, if it is still fresh at a block.
+   *
+   * @param {string} token - The address of the token.
+   * @param {number} blockNumber - The current block number.
+   * @returns {CachedBalance | undefined} The cached balance, or undefined if none is fresh.
+   */
+  get(token, blockNumber) {
+    const balance = this._balances.get(token.toLowerCase());
+
+    if (!balance || blockNumber - balance.blockNumber > this._maxAgeBlocks) {
+      return undefined;
+    }
+
+    return balance;
+  }
+
+  /**
+   * Caches the confirmed balance of a token. A balance read at an older block than the cached one is
+   * ignored. Does nothing if caching is disabled.
+   *
+   * @param {string} token - The address of the token.
+   * @param {bigint} available - The confirmed balance.
+   * @param {number} blockNumber - The block the balance was read at.
+   */
+  set(token, available, blockNumber) {
+    const key = token.toLowerCase();
+    const cached = this._balances.get(key);
+
+    if (!this._enabled || (cached && cached.blockNumber > blockNumber)) {
+      return;
+    }
+
+    this._balances.set(key, { available, blockNumber });
+  }
+
+  /**
+   * Returns the sum of the pending balance changes of a token that a balance read at a block does not
+   * include yet: the changes whose transaction was mined at or before the block are left out.
+   *
+   * @param {string} token - The address of the token.
+   * @param {number} [blockNumber] - The block the balance was read at (default: all the changes are pending).
+   * @returns {bigint} The pending change, negative if the pending operations spend more than they add.
+   */
+  getPending(token, blockNumber) {
+    let pending = 0n;
+
+    for (const change of this._pending.values()) {
+      if (
+        change.token.toLowerCase() === token.toLowerCase() &&
+        !(change.blockNumber <= blockNumber)
+      ) {
+        pending += change.delta;
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Returns the transactions of the pending changes of a token that are not known to be mined yet.
+   *
+   * @param {string} token - The address of the token.
+   * @returns {string[]} The hashes of the transactions.
+   */
+  getUnmined(token) {
+    return [...this._pending]
+      .filter(
+        ([, change]) =>
+          change.token.toLowerCase() === token.toLowerCase() &&
+          change.blockNumber === undefined,
+      )
+      .map(([hash]) => hash);
+  }
+
+  /**
+   * Records the block the transaction of a pending change was mined in, so that the balances read at
+   * or after that block, which already include the change, do not count it again.
+   *
+   * @param {string} hash - The hash of the transaction.
+   * @param {number} blockNumber - The block the transaction was mined in.
+   */
+  setMined(hash, blockNumber) {
+    const change = this._pending.get(hash);
+
+    if (change) {
+      change.blockNumber = blockNumber;
+    }
+  }
+
+  /**
+   * Records the balance change of an operation whose transaction was sent.
+   *
+   * @param {string} hash - The hash of the transaction.
+   * @param {string} token - The address of the token.
+   * @param {bigint} delta - The balance change, negative for a spending.
+   */
+  addPending(hash, token, delta) {
+    this._pending.set(hash, { token, delta });
+  }
+
+  /**
+   * Reconciles an operation once its transaction is mined, reverted or given up on: its pending change
+   * is dropped, and the cached balance of its token, which it may have changed, is invalidated.
+   *
+   * @param {string} hash - The hash of the transaction.
+   */
+  settle(hash) {
+    const change = this._pending.get(hash);
+
+    if (change) {
+      this._pending.delete(hash);
+      this.invalidate(change.token);
+    }
+  }
+
+  /**
+   * Invalidates the cached balance of a token, or of all the tokens. Pending changes are kept.
+   *
+   * @param {string} [token] - The address of the token.
+   */
+  invalidate(token) {
+    if (token === undefined) {
+      this._balances.clear();
+    } else {
+      this._balances.delete(token.toLowerCase());
+    }
+  }
+}
@@ -0,0 +1,553 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountReadOnlyEvm} WalletAccountReadOnlyEvm */
+/** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountEvm} WalletAccountEvm */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialProtocolEvm} ConfidentialProtocolEvm */
+/** @typedef {import('./confidential-protocol.js').DepositConfidentialOptions} DepositConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').TransferConfidentialOptions} TransferConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').WithdrawConfidentialOptions} WithdrawConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').GetConfidentialBalanceOptions} GetConfidentialBalanceOptions */
+/** @typedef {import('./confidential-protocol.js').QuoteDepositConfidentialOptions} QuoteDepositConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').QuoteTransferConfidentialOptions} QuoteTransferConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').QuoteWithdrawConfidentialOptions} QuoteWithdrawConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').ConfidentialKeys} ConfidentialKeys */
+/** @typedef {import('./confidential-protocol.js').WaitForConfidentialOperationOptions} WaitForConfidentialOperationOptions */
+/** @typedef {import('./confidential-protocol.js').ConfidentialResult} ConfidentialResult */
+/** @typedef {import('./confidential-protocol.js').ConfidentialQuote} ConfidentialQuote */
+/** @typedef {import('./confidential-protocol.js').ConfidentialBalanceResult} ConfidentialBalanceResult */
+/** @typedef {import('./fairblock-protocol-evm.js').TransferConfidentialBatchOptions} TransferConfidentialBatchOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialBatchResult} ConfidentialBatchResult */
+/** @typedef {import('./fairblock-protocol-evm.js').WithdrawAllConfidentialOptions} WithdrawAllConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').SweepConfidentialOptions} SweepConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialSweepResult} ConfidentialSweepResult */
+/** @typedef {import('./fairblock-protocol-evm.js').RotateConfidentialKeysOptions} RotateConfidentialKeysOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').DisableConfidentialityOptions} DisableConfidentialityOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').DisableConfidentialityResult} DisableConfidentialityResult */
+/** @typedef {import('./fairblock-protocol-evm.js').BuildDepositConfidentialOptions} BuildDepositConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').BuildTransferConfidentialOptions} BuildTransferConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').BuildWithdrawConfidentialOptions} BuildWithdrawConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').UnsignedConfidentialTransaction} UnsignedConfidentialTransaction */
+/** @typedef {import('./fairblock-protocol-evm.js').BroadcastSignedConfidentialOptions} BroadcastSignedConfidentialOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').QuoteTransferConfidentialBatchOptions} QuoteTransferConfidentialBatchOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialBatchQuote} ConfidentialBatchQuote */
+/** @typedef {import('./fairblock-protocol-evm.js').GetConfidentialBalancesOptions} GetConfidentialBalancesOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialTokenBalance} ConfidentialTokenBalance */
+/** @typedef {import('./fairblock-protocol-evm.js').GetDepositAllowanceOptions} GetDepositAllowanceOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialTransferReceivedOptions} ConfidentialTransferReceivedOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialBalanceChangedOptions} ConfidentialBalanceChangedOptions */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialBalanceChangedEvent} ConfidentialBalanceChangedEvent */
+/** @typedef {import('./history.js').GetConfidentialHistoryOptions} GetConfidentialHistoryOptions */
+/** @typedef {import('./history.js').ConfidentialHistoryResult} ConfidentialHistoryResult */
+/** @typedef {import('./history.js').ConfidentialHistoryEntry} ConfidentialHistoryEntry */
+/** @typedef {import('./keystore.js').ConfidentialKeystore} ConfidentialKeystore */
+/** @typedef {import('./operation-queue.js').ConfidentialQueueState} ConfidentialQueueState */
+/** @typedef {import('./disclosure.js').ConfidentialDisclosure} ConfidentialDisclosure */
+/** @typedef {import('./disclosure.js').CreateDisclosureOptions} CreateDisclosureOptions */
+/** @typedef {import('./disclosure.js').DisclosureVerification} DisclosureVerification */
+
+/**
+ * A wallet account with confidential capabilities.
+ *
+ * Wraps a WDK account without modifying it: the usual wallet methods are forwarded to the account,
+ * and the confidential methods to a {@link ConfidentialProtocolEvm} bound to it.
+ *
+ * @template {WalletAccountReadOnlyEvm | WalletAccountEvm} [T=WalletAccountEvm]
+ */
+export default class ConfidentialAccount {
+  /**
+   * Creates a new confidential account.
+   *
+   * @param {T} account - The wallet account.
+   * @param {ConfidentialProtocolEvm} protocol - The confidential protocol bound to the account.
+   */
+  constructor(account, protocol) {
+    /** @private */
+    this._account = account;
+
+    /** @private */
+    this._protocol = protocol;
+  }
+
+  /**
+   * The wrapped wallet account.
+   *
+   * @type {T}
+   */
+  get account() {
+    return this._account;
+  }
+
+  /**
+   * The confidential protocol bound to the account.
+   *
+   * @type {ConfidentialProtocolEvm}
+   */
+  get protocol() {
+    return this._protocol;
+  }
+
+  /**
+   * The derivation path's index of the account.
+   *
+   * @type {number}
+   */
+  get index() {
+    return this._account.index;
+  }
+
+  /**
+   * The derivation path of the account.
+   *
+   * @type {string}
+   */
+  get path() {
+    return this._account.path;
+  }
+
+  /**
+   * The account's key pair.
+   *
+   * @type {WalletAccountEvm["keyPair"]}
+   */
+  get keyPair() {
+    return this._account.keyPair;
+  }
+
+  /**
+   * True if the account cannot sign transactions.
+   *
+   * @type {boolean}
+   */
+  get readOnly() {
+    return this._protocol.readOnly;
+  }
+
+  /**
+   * Returns the account's address.
+   *
+   * @returns {Promise<string>} The address.
+   */
+  async getAddress() {
+    return await this._account.getAddress();
+  }
+
+  /**
+   * Returns the account's native token balance.
+   *
+   * @returns {Promise<bigint>} The balance (in base unit).
+   */
+  async getBalance() {
+    return await this._account.getBalance();
+  }
+
+  /**
+   * Returns the account's public balance of an erc20 token.
+   *
+   * @param {string} tokenAddress - The address of the token.
+   * @returns {Promise<bigint>} The balance (in base unit).
+   */
+  async getTokenBalance(tokenAddress) {
+    return await this._account.getTokenBalance(tokenAddress);
+  }
+
+  /**
+   * Returns a transaction's receipt.
+   *
+   * @param {string} hash - The hash of the transaction.
+   * @returns {Promise<import('ethers').TransactionReceipt | null>} The receipt, or null if the transaction has not been included in a block yet.
+   */
+  async getTransactionReceipt(hash) {
+    return await this._account.getTransactionReceipt(hash);
+  }
+
+  /**
+   * Signs a message.
+   *
+   * @param {string} message - The message to sign.
+   * @returns {Promise<string>} The message's signature.
+   */
+  async sign(message) {
+    return await this._account.sign(message);
+  }
+
+  /**
+   * Verifies a message's signature.
+   *
+   * @param {string} message - The original message.
+   * @param {string} signature - The signature to verify.
+   * @returns {Promise<boolean>} True if the signature is valid.
+   */
+  async verify(message, signature) {
+    return await this._account.verify(message, signature);
+  }
+
+  /**
+   * Sends a transaction.
+   *
+   * @param {Parameters<WalletAccountEvm["sendTransaction"]>[0]} tx - The transaction.
+   * @returns {ReturnType<WalletAccountEvm["sendTransaction"]>} The transaction's result.
+   */
+  async sendTransaction(tx) {
+    return await this._account.sendTransaction(tx);
+  }
+
+  /**
+   * Quotes the costs of a send transaction operation.
+   *
+   * @param {Parameters<WalletAccountEvm["quoteSendTransaction"]>[0]} tx - The transaction.
+   * @returns {ReturnType<WalletAccountEvm["quoteSendTransaction"]>} The transaction's quotes.
+   */
+  async quoteSendTransaction(tx) {
+    return await this._account.quoteSendTransaction(tx);
+  }
+
+  /**
+   * Transfers a token to another address.
+   *
+   * @param {Parameters<WalletAccountEvm["transfer"]>[0]} options - The transfer's options.
+   * @returns {ReturnType<WalletAccountEvm["transfer"]>} The transfer's result.
+   */
+  async transfer(options) {
+    return await this._account.transfer(options);
+  }
+
+  /**
+   * Quotes the costs of a transfer operation.
+   *
+   * @param {Parameters<WalletAccountEvm["quoteTransfer"]>[0]} options - The transfer's options.
+   * @returns {ReturnType<WalletAccountEvm["quoteTransfer"]>} The transfer's quotes.
+   */
+  async quoteTransfer(options) {
+    return await this._account.quoteTransfer(options);
+  }
+
+  /**
+   * Returns a read-only copy of the wrapped account.
+   *
+   * @returns {Promise<WalletAccountReadOnlyEvm>} The read-only account.
+   */
+  async toReadOnlyAccount() {
+    return await this._account.toReadOnlyAccount();
+  }
+
+  /**
+   * Disposes the wrapped account, erasing its private key from the memory.
+   */
+  dispose() {
+    this._account.dispose();
+  }
+
+  /**
+   * Deposits tokens into the confidential balance.
+   *
+   * @param {DepositConfidentialOptions} options - The deposit options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async depositConfidential(options) {
+    return await this._protocol.depositConfidential(options);
+  }
+
+  /**
+   * Transfers tokens confidentially.
+   *
+   * @param {TransferConfidentialOptions} options - The transfer options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async transferConfidential(options) {
+    return await this._protocol.transferConfidential(options);
+  }
+
+  /**
+   * Transfers tokens confidentially to several recipients.
+   *
+   * @param {TransferConfidentialBatchOptions} options - The batch options.
+   * @returns {Promise<ConfidentialBatchResult>} The report of the batch.
+   */
+  async transferConfidentialBatch(options) {
+    return await this._protocol.transferConfidentialBatch(options);
+  }
+
+  /**
+   * Withdraws tokens from the confidential balance.
+   *
+   * @param {WithdrawConfidentialOptions} options - The withdraw options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async withdrawConfidential(options) {
+    return await this._protocol.withdrawConfidential(options);
+  }
+
+  /**
+   * Withdraws the whole confidential balance of a token, or of several tokens one after the other.
+   *
+   * @param {WithdrawAllConfidentialOptions} [options] - The withdraw options.
+   * @returns {Promise<ConfidentialSweepResult | ConfidentialSweepResult[]>} The report of the token, or of each token.
+   */
+  async withdrawAllConfidential(options) {
+    return await this._protocol.withdrawAllConfidential(options);
+  }
+
+  /**
+   * Transfers the whole confidential balance of a token, or of several tokens one after the other, to
+   * a recipient.
+   *
+   * @param {SweepConfidentialOptions} options - The sweep options.
+   * @returns {Promise<ConfidentialSweepResult | ConfidentialSweepResult[]>} The report of the token, or of each token.
+   */
+  async sweepConfidential(options) {
+    return await this._protocol.sweepConfidential(options);
+  }
+
+  /**
+   * Builds the unsigned transaction of a deposit, to be signed offline.
+   *
+   * @param {BuildDepositConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildDepositConfidential(options) {
+    return await this._protocol.buildDepositConfidential(options);
+  }
+
+  /**
+   * Builds the unsigned transaction of a confidential transfer, to be signed offline.
+   *
+   * @param {BuildTransferConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildTransferConfidential(options) {
+    return await this._protocol.buildTransferConfidential(options);
+  }
+
+  /**
+   * Builds the unsigned transaction of a withdrawal, to be signed offline.
+   *
+   * @param {BuildWithdrawConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildWithdrawConfidential(options) {
+    return await this._protocol.buildWithdrawConfidential(options);
+  }
+
+  /**
+   * Broadcasts a confidential transaction built with one of the build methods and signed offline.
+   *
+   * @param {string} rawTx - The signed serialized transaction.
+   * @param {BroadcastSignedConfidentialOptions} [options] - The broadcast options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async broadcastSignedConfidential(rawTx, options) {
+    return await this._protocol.broadcastSignedConfidential(rawTx, options);
+  }
+
+  /**
+   * Gets the confidential balance of a token.
+   *
+   * @param {GetConfidentialBalanceOptions} options - The balance options.
+   * @returns {Promise<ConfidentialBalanceResult>} The confidential balance.
+   */
+  async getConfidentialBalance(options) {
+    return await this._protocol.getConfidentialBalance(options);
+  }
+
+  /**
+   * Invalidates the cached confidential balance of a token, or of all the tokens.
+   *
+   * @param {string} [token] - The address of the token (default: all the tokens).
+   */
+  invalidateConfidentialBalance(token) {
+    this._protocol.invalidateConfidentialBalance(token);
+  }
+
+  /**
+   * Gets the confidential and public balances of several tokens.
+   *
+   * @param {GetConfidentialBalancesOptions} [options] - The balances options.
+   * @returns {Promise<ConfidentialTokenBalance[]>} The balances.
+   */
+  async getConfidentialBalances(options) {
+    return await this._protocol.getConfidentialBalances(options);
+  }
+
+  /**
+   * Gets the history of the account's confidential operations.
+   *
+   * @param {GetConfidentialHistoryOptions} [options] - The history options.
+   * @returns {Promise<ConfidentialHistoryResult>} A page of history.
+   */
+  async getConfidentialHistory(options) {
+    return await this._protocol.getConfidentialHistory(options);
+  }
+
+  /**
+   * Creates a signed disclosure of one confidential transfer sent or received by the account.
+   *
+   * @param {CreateDisclosureOptions} options - The disclosure options.
+   * @returns {Promise<ConfidentialDisclosure>} The signed disclosure.
+   */
+  async createDisclosure(options) {
+    return await this._protocol.createDisclosure(options);
+  }
+
+  /**
+   * Verifies a disclosure against the protocol's chain.
+   *
+   * @param {ConfidentialDisclosure | string} document - The disclosure, or its json serialization.
+   * @returns {Promise<DisclosureVerification>} The verification.
+   */
+  async verifyDisclosure(document) {
+    return await this._protocol.verifyDisclosure(document);
+  }
+
+  /**
+   * Gets the amount of tokens the stabletrust contract can currently deposit from the account.
+   *
+   * @param {GetDepositAllowanceOptions} options - The allowance options.
+   * @returns {Promise<bigint>} The allowance.
+   */
+  async getDepositAllowance(options) {
+    return await this._protocol.getDepositAllowance(options);
+  }
+
+  /**
+   * Quotes the costs of a confidential deposit.
+   *
+   * @param {QuoteDepositConfidentialOptions} options - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteDepositConfidential(options) {
+    return await this._protocol.quoteDepositConfidential(options);
+  }
+
+  /**
+   * Quotes the costs of a confidential transfer.
+   *
+   * @param {QuoteTransferConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteTransferConfidential(options) {
+    return await this._protocol.quoteTransferConfidential(options);
+  }
+
+  /**
+   * Quotes the costs of a batch of confidential transfers.
+   *
+   * @param {QuoteTransferConfidentialBatchOptions} options - The quote options.
+   * @returns {Promise<ConfidentialBatchQuote>} The quote.
+   */
+  async quoteTransferConfidentialBatch(options) {
+    return await this._protocol.quoteTransferConfidentialBatch(options);
+  }
+
+  /**
+   * Quotes the costs of a confidential withdrawal.
+   *
+   * @param {QuoteWithdrawConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteWithdrawConfidential(options) {
+    return await this._protocol.quoteWithdrawConfidential(options);
+  }
+
+  /**
+   * Subscribes to the confidential transfers received by the account.
+   *
+   * @param {(entry: ConfidentialHistoryEntry) => void | Promise<void>} handler - Called with each received transfer.
+   * @param {ConfidentialTransferReceivedOptions} [options] - The subscription options.
+   * @returns {() => void} A function that unsubscribes the handler.
+   */
+  onConfidentialTransferReceived(handler, options) {
+    return this._protocol.onConfidentialTransferReceived(handler, options);
+  }
+
+  /**
+   * Subscribes to the changes of the account's confidential balance of a token.
+   *
+   * @param {ConfidentialBalanceChangedOptions} options - The subscription options.
+   * @param {(event: ConfidentialBalanceChangedEvent) => void | Promise<void>} handler - Called with each balance change.
+   * @returns {() => void} A function that unsubscribes the handler.
+   */
+  onConfidentialBalanceChanged(options, handler) {
+    return this._protocol.onConfidentialBalanceChanged(options, handler);
+  }
+
+  /**
+   * Waits for a confidential operation to be confirmed.
+   *
+   * @param {string} hash - The hash of the operation's transaction.
+   * @param {WaitForConfidentialOperationOptions} [options] - The wait options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async waitForConfidentialOperation(hash, options) {
+    return await this._protocol.waitForConfidentialOperation(hash, options);
+  }
+
+  /**
+   * Returns the state of the account's operation queue.
+   *
+   * @returns {ConfidentialQueueState} The state of the queue.
+   */
+  getConfidentialQueue() {
+    return this._protocol.getConfidentialQueue();
+  }
+
+  /**
+   * Cancels an operation waiting in the account's operation queue.
+   *
+   * @param {number} id - The id of the operation.
+   * @returns {boolean} True if the operation was pending and is cancelled.
+   */
+  cancelConfidentialOperation(id) {
+    return this._protocol.cancelConfidentialOperation(id);
+  }
+
+  /**
+   * Cancels all the operations waiting in the account's operation queue.
+   *
+   * @returns {number} The number of cancelled operations.
+   */
+  cancelPendingConfidentialOperations() {
+    return this._protocol.cancelPendingConfidentialOperations();
+  }
+
+  /**
+   * Exports the confidential keys as a password-encrypted keystore.
+   *
+   * @param {string} password - The password to encrypt the keys with.
+   * @returns {Promise<ConfidentialKeystore>} The keystore.
+   */
+  async exportConfidentialKeys(password) {
+    return await this._protocol.exportConfidentialKeys(password);
+  }
+
+  /**
+   * Rotates the confidential keys to a new keypair, moving the confidential balances under it.
+   *
+   * @param {RotateConfidentialKeysOptions} [options] - The options.
+   * @returns {Promise<ConfidentialKeys>} The new keys.
+   */
+  async rotateConfidentialKeys(options) {
+    return await this._protocol.rotateConfidentialKeys(options);
+  }
+
+  /**
+   * Withdraws every confidential balance, deregisters the account, then forgets the confidential keys.
+   *
+   * @param {DisableConfidentialityOptions} [options] - The options.
+   * @returns {Promise<DisableConfidentialityResult>} The withdrawals and the deregistration.
+   */
+  async disableConfidentiality(options) {
+    return await this._protocol.disableConfidentiality(options);
+  }
+}
@@ -19,44 +19,529 @@ export class NotImplementedError extends Error {
   }
 }
 
+/**
+ * The base class of all the errors thrown by confidential protocols.
+ */
+export class ConfidentialProtocolError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {ErrorOptions} [options] - The error options.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ConfidentialProtocolError";
+  }
+}
+
+export class ReadOnlyAccountError extends ConfidentialProtocolError {
+  /**
+   * @param {string} methodName - The name of the method that was called.
+   * @param {string} [hint] - An optional hint appended to the message.
+   */
+  constructor(methodName, hint) {
+    super(
+      `Method '${methodName}' cannot be called on a read-only account.` +
+        (hint ? ` ${hint}` : ""),
+    );
+    this.name = "ReadOnlyAccountError";
+
+    /** @type {string} */
+    this.methodName = methodName;
+  }
+}
+
+export class ConfidentialityNotEnabledError extends ConfidentialProtocolError {
+  /**
+   * @param {string} methodName - The name of the method that was called.
+   */
+  constructor(methodName) {
+    super(
+      `Method '${methodName}' requires confidentiality to be enabled. Call enableConfidentiality() first.`,
+    );
+    this.name = "ConfidentialityNotEnabledError";
+
+    /** @type {string} */
+    this.methodName = methodName;
+  }
+}
+
+export class ProviderNotConnectedError extends ConfidentialProtocolError {
+  /**
+   * @param {string} methodName - The name of the method that was called.
+   */
+  constructor(methodName) {
+    super(
+      `Method '${methodName}' requires the wallet to be connected to a provider.`,
+    );
+    this.name = "ProviderNotConnectedError";
+
+    /** @type {string} */
+    this.methodName = methodName;
+  }
+}
+
+export class ChainMismatchError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {number} details.expected - The chain ID of the protocol configuration.
+   * @param {number} details.actual - The chain ID of the wallet provider.
+   */
+  constructor({ expected, actual }) {
+    super(
+      `The wallet provider is connected to chain ${actual}, but the protocol is configured for chain ${expected}.`,
+    );
+    this.name = "ChainMismatchError";
+
+    /** @type {number} */
+    this.expected = expected;
+
+    /** @type {number} */
+    this.actual = actual;
+  }
+}
+
+export class SignerMismatchError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.expected - The address of the account.
+   * @param {string} details.actual - The address of the signer.
+   */
+  constructor({ expected, actual }) {
+    super(
+      `The signer's address ${actual} does not match the account's address ${expected}.`,
+    );
+    this.name = "SignerMismatchError";
+
+    /** @type {string} */
+    this.expected = expected;
+
+    /** @type {string} */
+    this.actual = actual;
+  }
+}
+
+export class InvalidAmountError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {unknown} details.amount - The invalid amount.
+   * @param {string} details.reason - Why the amount is invalid.
+   */
+  constructor({ amount, reason }) {
+    const shown =
+      typeof amount === "object" && amount !== null && "unit" in amount
+        ? `${String(amount.value)} ${String(amount.unit)}`
+        : String(amount);
+
+    super(`Invalid amount '${shown}': ${reason}.`);
+    this.name = "InvalidAmountError";
+
+    /** @type {unknown} */
+    this.amount = amount;
+
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+export class InsufficientConfidentialBalanceError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.token - The address of the token.
+   * @param {bigint} details.required - The required amount, fees included.
+   * @param {bigint} details.available - The available confidential balance.
+   */
+  constructor({ token, required, available }) {
+    super(
+      `Insufficient confidential balance of token ${token}: ${required} required, ${available} available.`,
+    );
+    this.name = "InsufficientConfidentialBalanceError";
+
+    /** @type {string} */
+    this.token = token;
+
+    /** @type {bigint} */
+    this.required = required;
+
+    /** @type {bigint} */
+    this.available = available;
+  }
+}
+
+export class InsufficientPublicBalanceError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.token - The address of the token.
+   * @param {bigint} details.required - The required amount.
+   * @param {bigint} details.available - The available public balance.
+   */
+  constructor({ token, required, available }) {
+    super(
+      `Insufficient public balance of token ${token}: ${required} required, ${available} available.`,
+    );
+    this.name = "InsufficientPublicBalanceError";
+
+    /** @type {string} */
+    this.token = token;
+
+    /** @type {bigint} */
+    this.required = required;
+
+    /** @type {bigint} */
+    this.available = available;
+  }
+}
+
+export class InsufficientAllowanceError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.token - The address of the token.
+   * @param {string} details.spender - The address of the spender.
+   * @param {bigint} details.required - The required allowance.
+   * @param {bigint} details.allowance - The current allowance.
+   */
+  constructor({ token, spender, required, allowance }) {
+    super(
+      `Insufficient allowance of token ${token} for spender ${spender}: ${required} required, ${allowance} approved.`,
+    );
+    this.name = "InsufficientAllowanceError";
+
+    /** @type {string} */
+    this.token = token;
+
+    /** @type {string} */
+    this.spender = spender;
+
+    /** @type {bigint} */
+    this.required = required;
+
+    /** @type {bigint} */
+    this.allowance = allowance;
+  }
+}
+
+export class RecipientNotRegisteredError extends ConfidentialProtocolError {
+  /**
+   * @param {string} recipient - The address of the recipient.
+   */
+  constructor(recipient) {
+    super(
+      `The recipient ${recipient} has not registered a confidential account.`,
+    );
+    this.name = "RecipientNotRegisteredError";
+
+    /** @type {string} */
+    this.recipient = recipient;
+  }
+}
+
+export class PolicyViolationError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.operation - The name of the refused operation.
+   * @param {"denylist" | "allowlist" | "unregistered-recipient" | "per-transaction-limit" | "window-limit" | "approval-denied"} details.rule - The rule that refused the operation.
+   * @param {string} details.reason - Why the operation was refused.
+   * @param {string} [details.token] - The address of the token.
+   * @param {string} [details.recipient] - The address of the refused recipient.
+   */
+  constructor({ operation, rule, reason, token, recipient }) {
+    super(
+      `Confidential operation '${operation}' refused by the spending policy: ${reason}.`,
+    );
+    this.name = "PolicyViolationError";
+
+    /** @type {string} */
+    this.operation = operation;
+
+    /** @type {string} */
+    this.rule = rule;
+
+    /** @type {string} */
+    this.reason = reason;
+
+    /** @type {string | undefined} */
+    this.token = token;
+
+    /** @type {string | undefined} */
+    this.recipient = recipient;
+  }
+}
+
+export class ConfidentialTransferNotFoundError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.hash - The hash of the transaction.
+   * @param {string} details.address - The address of the account.
+   */
+  constructor({ hash, address }) {
+    super(
+      `Transaction ${hash} contains no confidential transfer sent or received by ${address}.`,
+    );
+    this.name = "ConfidentialTransferNotFoundError";
+
+    /** @type {string} */
+    this.hash = hash;
+
+    /** @type {string} */
+    this.address = address;
+  }
+}
+
+export class InvalidConfidentialKeysError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.address - The address of the account.
+   * @param {string} details.reason - Why the keys are invalid.
+   */
+  constructor({ address, reason }) {
+    super(`Invalid confidential keys for ${address}: ${reason}.`);
+    this.name = "InvalidConfidentialKeysError";
+
+    /** @type {string} */
+    this.address = address;
+
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+export class KeyRotationNotSupportedError extends ConfidentialProtocolError {
+  /**
+   * @param {string} address - The address of the account.
+   */
+  constructor(address) {
+    const recovery =
+      "if the keys are lost, call enableConfidentiality() with the wallet to derive the same keys again; " +
+      "if they leaked, call disableConfidentiality() to withdraw the confidential balances, and move the funds to a new wallet account";
+
+    super(
+      `The confidential keys of ${address} cannot be rotated: the stabletrust client cannot replace the registered public key. Recovery: ${recovery}.`,
+    );
+    this.name = "KeyRotationNotSupportedError";
+
+    /** @type {string} */
+    this.address = address;
+
+    /** @type {string} */
+    this.recovery = recovery;
+  }
+}
+
+export class InvalidKeystorePasswordError extends ConfidentialProtocolError {
+  /**
+   * @param {string} address - The address of the account the keystore belongs to.
+   */
+  constructor(address) {
+    super(
+      `Invalid password for the keystore of ${address}, or the keystore is corrupted.`,
+    );
+    this.name = "InvalidKeystorePasswordError";
+
+    /** @type {string} */
+    this.address = address;
+  }
+}
+
+export class InvalidKeystoreFormatError extends ConfidentialProtocolError {
+  /**
+   * @param {string} reason - Why the keystore cannot be read.
+   */
+  constructor(reason) {
+    super(`Invalid keystore: ${reason}.`);
+    this.name = "InvalidKeystoreFormatError";
+
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+export class OperationTimeoutError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.hash - The hash of the operation's transaction.
+   * @param {number} details.timeoutMs - The timeout that expired, in milliseconds.
+   */
+  constructor({ hash, timeoutMs }) {
+    super(
+      `Timed out after ${timeoutMs}ms waiting for the confirmation of transaction ${hash}.`,
+    );
+    this.name = "OperationTimeoutError";
+
+    /** @type {string} */
+    this.hash = hash;
+
+    /** @type {number} */
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class OperationCancelledError extends ConfidentialProtocolError {
+  /**
+   * @param {string} operation - The name of the cancelled operation.
+   */
+  constructor(operation) {
+    super(
+      `Confidential operation '${operation}' was cancelled before it started.`,
+    );
+    this.name = "OperationCancelledError";
+
+    /** @type {string} */
+    this.operation = operation;
+  }
+}
+
+export class InvalidOptionError extends ConfidentialProtocolError {
+  /**
+   * @param {Object} details - The error details.
+   * @param {string} details.option - The name of the invalid option or configuration field.
+   * @param {string} details.reason - Why the option is invalid.
+   */
+  constructor({ option, reason }) {
+    super(`Invalid option '${option}': ${reason}.`);
+    this.name = "InvalidOptionError";
+
+    /** @type {string} */
+    this.option = option;
+
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+export class UnknownNetworkError extends ConfidentialProtocolError {
+  /**
+   * @param {string | number} network - The name or chain ID of the network.
+   */
+  constructor(network) {
+    super(`Unknown network: '${network}'.`);
+    this.name = "UnknownNetworkError";
+
+    /** @type {string | number} */
+    this.network = network;
+  }
+}
+
+export class UnknownProtocolError extends ConfidentialProtocolError {
+  /**
+   * @param {string} label - The label of the protocol.
+   */
+  constructor(label) {
+    super(`No confidential protocol registered for label: '${label}'.`);
+    this.name = "UnknownProtocolError";
+
+    /** @type {string} */
+    this.label = label;
+  }
+}
+
+export class ConfidentialOperationError extends ConfidentialProtocolError {
+  /**
+   * @param {string} operation - The name of the operation that failed.
+   * @param {unknown} cause - The underlying error.
+   */
+  constructor(operation, cause) {
+    super(
+      `Confidential operation '${operation}' failed: ${cause?.message ?? cause}`,
+      { cause },
+    );
+    this.name = "ConfidentialOperationError";
+
+    /** @type {string} */
+    this.operation = operation;
+  }
+}
+
 /** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountReadOnlyEvm} WalletAccountReadOnlyEvm */
 /** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountEvm} WalletAccountEvm */
+/** @typedef {import('./amount.js').Amount} Amount */
 
 /**
  * @typedef {Object} EnableConfidentialityOptions
+ * @property {ConfidentialKeys} [keys] - Previously obtained confidential keys to import instead of deriving them. Required for read-only accounts, where the private key acts as a viewing key.
+ * @property {import('./keystore.js').ConfidentialKeystore | string} [keystore] - A password-encrypted keystore to import the keys from.
+ * @property {import('./keystore.js').KeyStorage} [storage] - A storage to load the keys from, or to save newly derived keys to.
+ * @property {string} [password] - The password of the keystore. Required with 'keystore' and 'storage'.
+ * @property {boolean} [verify] - If true, imported and derived keys are checked against the public key registered onchain (default: true).
  */
 
 /**
  * @typedef {Object} DepositConfidentialOptions
  * @property {string} token - The address of the token to deposit.
- * @property {number | bigint} amount - The amount of tokens to deposit (in base unit).
+ * @property {Amount} amount - The amount to deposit: base units as a number or a bigint, or tokens as a decimal string such as "1.5".
+ * @property {"none" | "exact" | "infinite" | "permit"} [approval] - How to handle an insufficient allowance of the stabletrust contract: throw ("none", default), approve the amount ("exact") or an unlimited amount ("infinite"), or submit an eip-2612 permit for the amount, falling back to "exact" if the token does not support it ("permit").
+ * @property {number} [confirmations] - If set, waits for the transaction to reach this number of confirmations (default: 0, returns as soon as the transaction is sent).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the operation while it waits in the account's operation queue.
  */
 
 /**
  * @typedef {Object} TransferConfidentialOptions
  * @property {string} recipient - The recipient's address.
  * @property {string} token - The address of the token to transfer.
- * @property {number | bigint} amount - The amount of tokens to transfer (in base unit).
+ * @property {Amount} amount - The amount to transfer: base units as a number or a bigint, or tokens as a decimal string such as "1.5".
+ * @property {number} [confirmations] - If set, waits for the transaction to reach this number of confirmations (default: 0, returns as soon as the transaction is sent).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the operation while it waits in the account's operation queue.
  */
 
 /**
  * @typedef {Object} WithdrawConfidentialOptions
  * @property {string} token - The address of the token to withdraw.
- * @property {number | bigint} amount - The amount of tokens to withdraw (in base unit).
+ * @property {Amount} amount - The amount to withdraw: base units as a number or a bigint, or tokens as a decimal string such as "1.5".
+ * @property {number} [confirmations] - If set, waits for the transaction to reach this number of confirmations (default: 0, returns as soon as the transaction is sent).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the operation while it waits in the account's operation queue.
  */
 
 /**
  * @typedef {Object} GetConfidentialBalanceOptions
  * @property {string} token - The address of the token.
+ * @property {boolean} [fresh] - Reads the balance from the chain even if a cached one is fresh (default: false).
  */
 
 /**
- * @typedef {Object} QuoteTransferConfidentialOptions
+ * @typedef {DepositConfidentialOptions} QuoteDepositConfidentialOptions
+ */
+
+/**
+ * @typedef {Partial<TransferConfidentialOptions>} QuoteTransferConfidentialOptions
+ */
+
+/**
+ * @typedef {Partial<WithdrawConfidentialOptions>} QuoteWithdrawConfidentialOptions
+ */
+
+/**
+ * @typedef {Object} ConfidentialQuote
+ * @property {bigint} protocolFee - The protocol fee charged on the confidential balance (in token base units).
+ * @property {bigint} gasLimit - The gas limit of the operation's transaction.
+ * @property {bigint} feePerGas - The current fee per gas (in native base units).
+ * @property {boolean} approvalRequired - True if an erc20 approval must be sent before the operation.
+ * @property {bigint} approvalGasLimit - The gas limit of the approval transaction, or 0 if no approval is required.
+ * @property {bigint} totalNativeCost - The total gas cost of the operation and of the approval (in native base units).
+ */
+
+/**
+ * @typedef {Object} WaitForConfidentialOperationOptions
+ * @property {number} [confirmations] - The number of confirmations to wait for (default: 1).
+ * @property {number} [timeoutMs] - The maximum time to wait, in milliseconds.
  */
 
 /**
  * @typedef {Object} ConfidentialResult
  * @property {string} hash - The hash of the operation.
+ * @property {"pending" | "success" | "reverted"} status - The status of the operation's transaction.
+ * @property {number} [blockNumber] - The number of the block that includes the transaction, once mined.
+ * @property {bigint} [gasUsed] - The gas used by the transaction, once mined.
+ * @property {bigint} [effectiveFee] - The gas fee paid for the transaction (in native base units), once mined.
+ * @property {bigint} [protocolFee] - The protocol fee charged on the confidential balance (in token base units).
+ * @property {ConfidentialApproval} [approval] - The approval sent before a deposit, if any.
+ */
+
+/**
+ * @typedef {Object} ConfidentialApproval
+ * @property {"approve" | "permit"} type - Whether an erc20 approval or an eip-2612 permit was sent.
+ * @property {string} hash - The hash of the approval transaction.
+ * @property {bigint} amount - The approved amount.
  */
 
 /**
@@ -67,7 +552,10 @@ export class NotImplementedError extends Error {
 
 /**
  * @typedef {Object} ConfidentialBalanceResult
- * @property {bigint} amount - The balance amount.
+ * @property {bigint} amount - The balance amount, once the pending operations are mined: the available balance plus the pending one.
+ * @property {bigint} available - The balance confirmed onchain.
+ * @property {bigint} pending - The net change of the account's operations sent and not mined yet, negative if they spend more than they add.
+ * @property {number} [blockNumber] - The block the available balance was read at, if the wallet has a provider.
  */
 
 /** @interface */
@@ -122,15 +610,35 @@ export class IConfidentialProtocol {
     throw new NotImplementedError("getConfidentialBalance(options)");
   }
 
+  /**
+   * Quotes a confidential deposit.
+   *
+   * @param {QuoteDepositConfidentialOptions} options - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteDepositConfidential(options) {
+    throw new NotImplementedError("quoteDepositConfidential(options)");
+  }
+
   /**
    * Quotes a confidential transfer.
    *
-   * @param {QuoteTransferConfidentialOptions} options - The quote options.
-   * @returns {Promise<bigint>} The quoted amount.
+   * @param {QuoteTransferConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
    */
   async quoteTransferConfidential(options) {
     throw new NotImplementedError("quoteTransferConfidential(options)");
   }
+
+  /**
+   * Quotes a confidential withdrawal.
+   *
+   * @param {QuoteWithdrawConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteWithdrawConfidential(options) {
+    throw new NotImplementedError("quoteWithdrawConfidential(options)");
+  }
 }
 
 /**
@@ -216,14 +724,36 @@ export default class ConfidentialProtocol {
     throw new NotImplementedError("getConfidentialBalance(options)");
   }
 
+  /**
+   * Quotes a confidential deposit.
+   *
+   * @abstract
+   * @param {QuoteDepositConfidentialOptions} options - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteDepositConfidential(options) {
+    throw new NotImplementedError("quoteDepositConfidential(options)");
+  }
+
   /**
    * Quotes a confidential transfer.
    *
    * @abstract
-   * @param {QuoteTransferConfidentialOptions} options - The quote options.
-   * @returns {Promise<bigint>} The quoted amount.
+   * @param {QuoteTransferConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
    */
   async quoteTransferConfidential(options) {
     throw new NotImplementedError("quoteTransferConfidential(options)");
   }
+
+  /**
+   * Quotes a confidential withdrawal.
+   *
+   * @abstract
+   * @param {QuoteWithdrawConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteWithdrawConfidential(options) {
+    throw new NotImplementedError("quoteWithdrawConfidential(options)");
+  }
 }
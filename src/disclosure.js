@@ -0,0 +1,374 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { ConfidentialTransferClient } from "@fairblock/stabletrust";
+import { Interface, JsonRpcProvider, verifyTypedData } from "ethers";
+import { STABLETRUST_EVENTS_ABI } from "./history.js";
+import { getNetwork } from "./networks.js";
+
+/** @typedef {import('ethers').Provider} Provider */
+
+/**
+ * @typedef {Object} ConfidentialDisclosure
+ * @property {1} version - The disclosure format version.
+ * @property {number} chainId - The chain ID of the transfer.
+ * @property {string} stabletrustAddress - The address of the stabletrust contract that emitted the transfer.
+ * @property {string} hash - The hash of the transfer's transaction.
+ * @property {number} blockNumber - The number of the block that includes the transfer.
+ * @property {number} logIndex - The index of the transfer's event in the block.
+ * @property {string} token - The address of the token.
+ * @property {string} from - The sender's address.
+ * @property {string} to - The recipient's address.
+ * @property {string} amount - The amount transferred (in base unit), as a decimal string.
+ * @property {"sender" | "recipient"} role - The party of the transfer that created the disclosure.
+ * @property {string} discloser - The address of the party that created the disclosure.
+ * @property {string} ciphertext - The amount encrypted for the discloser, as emitted by the transfer's event.
+ * @property {string} publicKey - The discloser's confidential public key.
+ * @property {string} proof - The proof that the ciphertext decrypts to the amount under the public key. It reveals nothing about the private key.
+ * @property {number} createdAt - When the disclosure was created (unix timestamp in seconds).
+ * @property {string} signature - The discloser's eip-712 signature of all the fields above.
+ */
+
+/**
+ * @typedef {Object} CreateDisclosureOptions
+ * @property {string} hash - The hash of the transfer's transaction.
+ * @property {number} [logIndex] - The index of the transfer's event in the block, if the transaction contains several transfers of the account (default: the first one).
+ */
+
+/**
+ * @typedef {Object} VerifyDisclosureOptions
+ * @property {string} rpcUrl - The RPC URL of a node of the disclosure's chain.
+ * @property {ConfidentialTransferClient} [client] - The stabletrust client to verify the proof with (default: a stabletrust client of the RPC URL).
+ * @property {string} [stabletrustAddress] - The address of the genuine stabletrust contract (default: the registered network's, or the stabletrust client's).
+ */
+
+/**
+ * @typedef {Object} DisclosureVerification
+ * @property {boolean} valid - True if every check passed.
+ * @property {string} [reason] - Why the disclosure is invalid.
+ */
+
+/**
+ * @typedef {Object} ConfidentialTransferLog
+ * @property {number} blockNumber - The number of the block that includes the transfer.
+ * @property {number} logIndex - The index of the transfer's event in the block.
+ * @property {string} token - The address of the token.
+ * @property {string} from - The sender's address.
+ * @property {string} to - The recipient's address.
+ * @property {string} senderAmount - The amount encrypted for the sender.
+ * @property {string} recipientAmount - The amount encrypted for the recipient.
+ */
+
+export const DISCLOSURE_VERSION = 1;
+
+/**
+ * The eip-712 types of a disclosure.
+ */
+export const DISCLOSURE_TYPES = {
+  ConfidentialDisclosure: [
+    { name: "version", type: "uint256" },
+    { name: "stabletrustAddress", type: "address" },
+    { name: "hash", type: "bytes32" },
+    { name: "blockNumber", type: "uint256" },
+    { name: "logIndex", type: "uint256" },
+    { name: "token", type: "address" },
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "role", type: "string" },
+    { name: "discloser", type: "address" },
+    { name: "ciphertext", type: "bytes" },
+    { name: "publicKey", type: "string" },
+    { name: "proof", type: "string" },
+    { name: "createdAt", type: "uint256" },
+  ],
+};
+
+const events = new Interface(STABLETRUST_EVENTS_ABI);
+
+function isSameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Parses the json serialization of a disclosure.
+ *
+ * @param {ConfidentialDisclosure | string} document - The disclosure, or its json serialization.
+ * @returns {ConfidentialDisclosure | undefined} The disclosure, or undefined if it is not valid json.
+ */
+function parseDisclosure(document) {
+  if (typeof document !== "string") {
+    return document;
+  }
+
+  try {
+    return JSON.parse(document);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Returns the eip-712 domain of the disclosures of a chain.
+ *
+ * @param {number} chainId - The chain ID.
+ * @returns {import('ethers').TypedDataDomain} The domain.
+ */
+export function getDisclosureDomain(chainId) {
+  return { name: "Confidential Transfer Disclosure", version: "1", chainId };
+}
+
+/**
+ * Returns the signed fields of a disclosure.
+ *
+ * @param {Omit<ConfidentialDisclosure, "signature">} document - The disclosure.
+ * @returns {Record<string, any>} The eip-712 message.
+ */
+export function toDisclosureMessage(document) {
+  return Object.fromEntries(
+    DISCLOSURE_TYPES.ConfidentialDisclosure.map(({ name }) => [
+      name,
+      document[name],
+    ]),
+  );
+}
+
+/**
+ * Finds a confidential transfer emitted by the stabletrust contract in a transaction.
+ *
+ * @param {Provider} provider - The provider.
+ * @param {string} stabletrustAddress - The address of the stabletrust contract.
+ * @param {string} hash - The hash of the transaction.
+ * @param {Object} [filter] - Restricts the transfers to find.
+ * @param {string} [filter.address] - An address that must be the sender or the recipient.
+ * @param {number} [filter.logIndex] - The index of the transfer's event in the block.
+ * @returns {Promise<ConfidentialTransferLog | undefined>} The first matching transfer, or undefined if none.
+ */
+export async function findConfidentialTransfer(
+  provider,
+  stabletrustAddress,
+  hash,
+  { address, logIndex } = {},
+) {
+  const receipt = await provider.getTransactionReceipt(hash);
+
+  if (!receipt) {
+    return undefined;
+  }
+
+  for (const log of receipt.logs) {
+    if (
+      !isSameAddress(log.address, stabletrustAddress) ||
+      (logIndex !== undefined && log.index !== logIndex)
+    ) {
+      continue;
+    }
+
+    const event = events.parseLog(log);
+
+    if (event?.name !== "ConfidentialTransfer") {
+      continue;
+    }
+
+    const { from, to, token, senderAmount, recipientAmount } = event.args;
+
+    if (
+      address &&
+      !isSameAddress(from, address) &&
+      !isSameAddress(to, address)
+    ) {
+      continue;
+    }
+
+    return {
+      blockNumber: receipt.blockNumber,
+      logIndex: log.index,
+      token,
+      from,
+      to,
+      senderAmount,
+      recipientAmount,
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * Checks a disclosure against the chain.
+ *
+ * @param {ConfidentialDisclosure | string} document - The disclosure, or its json serialization.
+ * @param {Object} params - The verification parameters.
+ * @param {Provider} params.provider - A provider connected to the disclosure's chain.
+ * @param {ConfidentialTransferClient} params.client - A stabletrust client of the disclosure's chain.
+ * @param {string} params.stabletrustAddress - The address of the genuine stabletrust contract.
+ * @returns {Promise<DisclosureVerification>} The verification.
+ */
+export async function checkDisclosure(
+  document,
+  { provider, client, stabletrustAddress },
+) {
+  const invalid = (reason) => ({ valid: false, reason });
+
+  document = parseDisclosure(document);
+
+  if (document === undefined) {
+    return invalid("the disclosure is not valid json");
+  }
+
+  if (document?.version !== DISCLOSURE_VERSION) {
+    return invalid(`unsupported disclosure version: ${document?.version}`);
+  }
+
+  if (typeof document.amount !== "string" || !/^\d+$/.test(document.amount)) {
+    return invalid(`invalid amount: ${document.amount}`);
+  }
+
+  const { chainId } = await provider.getNetwork();
+
+  if (chainId !== BigInt(document.chainId)) {
+    return invalid(
+      `the disclosure is for chain ${document.chainId}, but the provider is connected to chain ${chainId}`,
+    );
+  }
+
+  // Events of any other contract could be forged by the discloser
+  if (!isSameAddress(document.stabletrustAddress, stabletrustAddress)) {
+    return invalid(
+      `the transfer was not emitted by the stabletrust contract ${stabletrustAddress}`,
+    );
+  }
+
+  const transfer = await findConfidentialTransfer(
+    provider,
+    stabletrustAddress,
+    document.hash,
+    { logIndex: document.logIndex },
+  );
+
+  if (!transfer) {
+    return invalid(
+      `no confidential transfer found in transaction ${document.hash} at log index ${document.logIndex}`,
+    );
+  }
+
+  const { role, discloser } = document;
+  const party = role === "sender" ? transfer.from : transfer.to;
+  const ciphertext =
+    role === "sender" ? transfer.senderAmount : transfer.recipientAmount;
+
+  if (
+    transfer.blockNumber !== document.blockNumber ||
+    !isSameAddress(transfer.token, document.token) ||
+    !isSameAddress(transfer.from, document.from) ||
+    !isSameAddress(transfer.to, document.to)
+  ) {
+    return invalid("the disclosure does not match the onchain transfer");
+  }
+
+  if (
+    !["sender", "recipient"].includes(role) ||
+    !isSameAddress(party, discloser)
+  ) {
+    return invalid(`the discloser is not the ${role} of the transfer`);
+  }
+
+  if (ciphertext.toLowerCase() !== document.ciphertext.toLowerCase()) {
+    return invalid("the ciphertext does not match the onchain transfer");
+  }
+
+  const registeredPublicKey = await client.getPublicKey(discloser);
+
+  if (
+    !registeredPublicKey ||
+    typeof document.publicKey !== "string" ||
+    registeredPublicKey.toLowerCase() !== document.publicKey.toLowerCase()
+  ) {
+    return invalid(
+      "the public key is not the one registered onchain for the discloser",
+    );
+  }
+
+  const proven = await client.verifyDecryptionProof(
+    document.ciphertext,
+    document.publicKey,
+    BigInt(document.amount),
+    document.proof,
+  );
+
+  if (!proven) {
+    return invalid(
+      "the proof does not show that the ciphertext decrypts to the amount",
+    );
+  }
+
+  let signer;
+
+  try {
+    signer = verifyTypedData(
+      getDisclosureDomain(document.chainId),
+      DISCLOSURE_TYPES,
+      toDisclosureMessage(document),
+      document.signature,
+    );
+  } catch {
+    return invalid("the signature is malformed");
+  }
+
+  if (!isSameAddress(signer, discloser)) {
+    return invalid("the disclosure is not signed by the discloser");
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Verifies a disclosure with nothing but an RPC endpoint of its chain: no keys are needed.
+ *
+ * Checks that the transfer exists onchain at the disclosed position and was emitted by the genuine
+ * stabletrust contract, that its parties, token and ciphertext match the disclosure, that the
+ * public key is the one registered onchain for the discloser, that the proof shows the ciphertext
+ * decrypts to the disclosed amount under that key, and that the discloser signed the document.
+ *
+ * @param {ConfidentialDisclosure | string} document - The disclosure, or its json serialization.
+ * @param {VerifyDisclosureOptions} options - The verification options.
+ * @returns {Promise<DisclosureVerification>} The verification.
+ */
+export async function verifyDisclosure(document, options) {
+  document = parseDisclosure(document);
+
+  if (document === undefined) {
+    return { valid: false, reason: "the disclosure is not valid json" };
+  }
+
+  const { rpcUrl } = options;
+  const chainId = Number(document.chainId);
+
+  const provider = new JsonRpcProvider(rpcUrl);
+  const client =
+    options.client ?? new ConfidentialTransferClient(rpcUrl, chainId);
+
+  try {
+    return await checkDisclosure(document, {
+      provider,
+      client,
+      stabletrustAddress:
+        options.stabletrustAddress ??
+        getNetwork(chainId)?.stabletrustAddress ??
+        client.contractAddress,
+    });
+  } finally {
+    provider.destroy();
+  }
+}
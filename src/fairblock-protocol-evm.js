@@ -13,235 +13,2961 @@
 // limitations under the License.
 
 import { ConfidentialTransferClient } from "@fairblock/stabletrust";
-import { Wallet, JsonRpcProvider, BrowserProvider } from "ethers";
-import ConfidentialProtocol from "./confidential-protocol.js";
+import {
+  BrowserProvider,
+  Contract,
+  MaxUint256,
+  NonceManager,
+  Signature,
+  Transaction,
+  TypedDataEncoder,
+  formatUnits,
+  isAddress,
+} from "ethers";
+import ConfidentialProtocol, {
+  ReadOnlyAccountError,
+  ConfidentialProtocolError,
+  ConfidentialityNotEnabledError,
+  ProviderNotConnectedError,
+  ChainMismatchError,
+  SignerMismatchError,
+  InvalidAmountError,
+  InsufficientConfidentialBalanceError,
+  InsufficientPublicBalanceError,
+  InsufficientAllowanceError,
+  RecipientNotRegisteredError,
+  ConfidentialTransferNotFoundError,
+  InvalidConfidentialKeysError,
+  OperationTimeoutError,
+  KeyRotationNotSupportedError,
+  InvalidOptionError,
+  ConfidentialOperationError,
+} from "./confidential-protocol.js";
+import {
+  encryptConfidentialKeys,
+  decryptConfidentialKeys,
+  getKeystoreId,
+} from "./keystore.js";
+import { STABLETRUST_EVENTS_ABI, scanConfidentialHistory } from "./history.js";
+import { ConfidentialEventWatcher } from "./subscriptions.js";
+import { resolveNetworkConfig } from "./networks.js";
+import ConfidentialAccount from "./confidential-account.js";
+import { isTokenAmount, parseAmount } from "./amount.js";
+import { observe } from "./hooks.js";
+import { SpendingPolicy } from "./policy.js";
+import {
+  CallbackSigner,
+  OfflineSigner,
+  WalletAccountSigner,
+} from "./signer.js";
+import { FailoverProvider, resolveRetryPolicy, withRetry } from "./rpc.js";
+import { findOperationQueue, getOperationQueue } from "./operation-queue.js";
+import { ConfidentialBalanceCache } from "./balance-cache.js";
+import {
+  DISCLOSURE_TYPES,
+  DISCLOSURE_VERSION,
+  checkDisclosure,
+  findConfidentialTransfer,
+  getDisclosureDomain,
+  toDisclosureMessage,
+} from "./disclosure.js";
 
 /** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountReadOnlyEvm} WalletAccountReadOnlyEvm */
+/** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountEvm} WalletAccountEvm */
+/** @typedef {import('ethers').Signer} Signer */
+/** @typedef {import('ethers').JsonRpcApiProvider} JsonRpcApiProvider */
+/** @typedef {import('./signer.js').SigningCallback} SigningCallback */
+/** @typedef {import('./operation-queue.js').ConfidentialQueueState} ConfidentialQueueState */
+/** @typedef {import('./rpc.js').RetryPolicy} RetryPolicy */
+/** @typedef {import('./mock-client.js').MockConfidentialTransferClient} MockConfidentialTransferClient */
+/** @typedef {import('./balance-cache.js').BalanceCacheConfig} BalanceCacheConfig */
+/** @typedef {import('./amount.js').Amount} Amount */
+/** @typedef {import('./hooks.js').ConfidentialHooks} ConfidentialHooks */
+/** @typedef {import('./keystore.js').KeyStorage} KeyStorage */
+/** @typedef {import('./policy.js').SpendingPolicyConfig} SpendingPolicyConfig */
+/** @typedef {import('./policy.js').SpendingRequest} SpendingRequest */
 /** @typedef {import('./confidential-protocol.js').EnableConfidentialityOptions} EnableConfidentialityOptions */
 /** @typedef {import('./confidential-protocol.js').DepositConfidentialOptions} DepositConfidentialOptions */
 /** @typedef {import('./confidential-protocol.js').TransferConfidentialOptions} TransferConfidentialOptions */
 /** @typedef {import('./confidential-protocol.js').WithdrawConfidentialOptions} WithdrawConfidentialOptions */
 /** @typedef {import('./confidential-protocol.js').GetConfidentialBalanceOptions} GetConfidentialBalanceOptions */
+/** @typedef {import('./confidential-protocol.js').QuoteDepositConfidentialOptions} QuoteDepositConfidentialOptions */
 /** @typedef {import('./confidential-protocol.js').QuoteTransferConfidentialOptions} QuoteTransferConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').QuoteWithdrawConfidentialOptions} QuoteWithdrawConfidentialOptions */
+/** @typedef {import('./confidential-protocol.js').ConfidentialQuote} ConfidentialQuote */
 /** @typedef {import('./confidential-protocol.js').ConfidentialResult} ConfidentialResult */
+/** @typedef {import('./confidential-protocol.js').ConfidentialApproval} ConfidentialApproval */
+
+/**
+ * @typedef {Object} GetConfidentialBalancesOptions
+ * @property {string[]} tokens - The addresses of the tokens.
+ */
+
+/**
+ * @typedef {Object} WithdrawAllConfidentialOptions
+ * @property {string} [token] - The address of the token to empty. If unset, every token of 'tokens' is emptied.
+ * @property {string[]} [tokens] - The addresses of the tokens to empty when no 'token' is given (default: the tokens of the registered network).
+ * @property {number} [confirmations] - The number of confirmations to wait for before reading the remaining balance (default: 1).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the operation while it waits in the account's operation queue.
+ */
+
+/**
+ * @typedef {WithdrawAllConfidentialOptions & { recipient: string }} SweepConfidentialOptions
+ */
+
+/**
+ * @typedef {Object} RotateConfidentialKeysOptions
+ * @property {string[]} [tokens] - The addresses of the tokens whose confidential balances to move under the new keys (default: the tokens of the registered network).
+ * @property {number} [confirmations] - The number of confirmations to wait for before the new keys are used (default: 1).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the rotation while it waits in the account's operation queue.
+ * @property {KeyStorage} [storage] - If set, the new keys are saved to this storage, replacing the account's keystore.
+ * @property {string} [password] - The password to encrypt the new keys with. Required with 'storage'.
+ */
+
+/**
+ * @typedef {Object} DisableConfidentialityOptions
+ * @property {string[]} [tokens] - The addresses of the tokens to empty (default: the tokens of the registered network).
+ * @property {number} [confirmations] - The number of confirmations to wait for before reading the remaining balances, and before the account counts as deregistered (default: 1).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the withdrawals and the deregistration while they wait in the account's operation queue.
+ * @property {KeyStorage} [storage] - If set, the account's keystore is deleted from this storage.
+ */
+
+/**
+ * @typedef {Object} DisableConfidentialityResult
+ * @property {ConfidentialSweepResult[]} withdrawals - The report of each token.
+ * @property {ConfidentialResult} [deregistration] - The result of the deregistration, unless the stabletrust client cannot deregister accounts.
+ */
+
+/**
+ * @typedef {Object} ConfidentialSweepResult
+ * @property {string} token - The address of the token.
+ * @property {bigint} amount - The amount sent (in base unit), fees excluded, or 0 if the balance did not cover the fee.
+ * @property {bigint} protocolFee - The protocol fee charged on the confidential balance (in token base units).
+ * @property {ConfidentialResult} [result] - The result of the operation, if a transaction was sent.
+ * @property {bigint} remaining - The confidential balance left once the transaction is mined: dust smaller than the fee, or tokens received meanwhile.
+ */
+
+/**
+ * @typedef {Object} BuildDepositConfidentialOptions
+ * @property {string} token - The address of the token to deposit.
+ * @property {Amount} amount - The amount to deposit.
+ * @property {number} [nonce] - The nonce of the transaction, for example to build several transactions in a row (default: the account's next nonce).
+ */
+
+/**
+ * @typedef {BuildDepositConfidentialOptions & { recipient: string }} BuildTransferConfidentialOptions
+ */
+
+/**
+ * @typedef {BuildDepositConfidentialOptions} BuildWithdrawConfidentialOptions
+ */
+
+/**
+ * @typedef {Object} UnsignedConfidentialTransaction
+ * @property {"depositConfidential" | "transferConfidential" | "withdrawConfidential"} operation - The name of the operation.
+ * @property {string} from - The address of the account that must sign the transaction.
+ * @property {string} token - The address of the token.
+ * @property {string} amount - The amount of the operation (in base unit), as a decimal string.
+ * @property {string} [recipient] - The recipient of a transfer.
+ * @property {string} protocolFee - The protocol fee charged on the confidential balance (in token base units), as a decimal string.
+ * @property {Record<string, unknown>} transaction - The fields of the transaction (to, data, nonce, gas limit and fees, chain ID...), with the big numbers as decimal strings.
+ * @property {string} unsignedTransaction - The unsigned transaction, serialized as an eip-2718 envelope, to sign offline.
+ */
+
+/**
+ * @typedef {Object} BroadcastSignedConfidentialOptions
+ * @property {number} [confirmations] - If set, waits for the transaction to reach this number of confirmations (default: 0, returns as soon as the transaction is sent).
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmations, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} TokenMetadata
+ * @property {string} symbol - The symbol of the token.
+ * @property {number} decimals - The decimals of the token.
+ */
+
+/**
+ * @typedef {Object} ConfidentialTokenBalance
+ * @property {string} token - The address of the token.
+ * @property {string} symbol - The symbol of the token.
+ * @property {number} decimals - The decimals of the token.
+ * @property {bigint} amount - The confidential balance (in base unit).
+ * @property {string} formatted - The confidential balance, formatted with the token's decimals.
+ * @property {bigint} publicAmount - The public erc20 balance (in base unit).
+ * @property {string} publicFormatted - The public erc20 balance, formatted with the token's decimals.
+ */
+
+/**
+ * @typedef {Object} GetDepositAllowanceOptions
+ * @property {string} token - The address of the token.
+ */
+/** @typedef {import('./confidential-protocol.js').WaitForConfidentialOperationOptions} WaitForConfidentialOperationOptions */
 /** @typedef {import('./confidential-protocol.js').ConfidentialKeys} ConfidentialKeys */
 /** @typedef {import('./confidential-protocol.js').ConfidentialBalanceResult} ConfidentialBalanceResult */
+/** @typedef {import('./keystore.js').ConfidentialKeystore} ConfidentialKeystore */
+/** @typedef {import('./history.js').GetConfidentialHistoryOptions} GetConfidentialHistoryOptions */
+/** @typedef {import('./history.js').ConfidentialHistoryResult} ConfidentialHistoryResult */
+/** @typedef {import('./history.js').ConfidentialHistoryEntry} ConfidentialHistoryEntry */
+/** @typedef {import('./networks.js').ConfidentialNetwork} ConfidentialNetwork */
+/** @typedef {import('./disclosure.js').ConfidentialDisclosure} ConfidentialDisclosure */
+/** @typedef {import('./disclosure.js').CreateDisclosureOptions} CreateDisclosureOptions */
+/** @typedef {import('./disclosure.js').DisclosureVerification} DisclosureVerification */
+
+/**
+ * @typedef {Object} ConfidentialBatchTransfer
+ * @property {string} recipient - The recipient's address.
+ * @property {Amount} amount - The amount to transfer: base units as a number or a bigint, or tokens as a decimal string.
+ */
+
+/**
+ * @typedef {Object} TransferConfidentialBatchOptions
+ * @property {string} token - The address of the token to transfer.
+ * @property {ConfidentialBatchTransfer[]} transfers - The transfers, sent in this order.
+ * @property {number} [timeoutMs] - The maximum time to wait for the confirmation of each transfer, in milliseconds.
+ * @property {AbortSignal} [signal] - Cancels the batch while it waits in the account's operation queue.
+ */
+
+/**
+ * @typedef {Object} QuoteTransferConfidentialBatchOptions
+ * @property {string} token - The address of the token to transfer.
+ * @property {ConfidentialBatchTransfer[]} transfers - The transfers.
+ */
+
+/**
+ * @typedef {Object} ConfidentialBatchQuote
+ * @property {bigint} totalAmount - The sum of the transferred amounts (in token base units).
+ * @property {bigint} protocolFee - The protocol fees of all the transfers (in token base units).
+ * @property {bigint} totalRequired - The confidential balance required by the batch, fees included (in token base units).
+ * @property {bigint} gasLimit - The gas limit of all the transfers.
+ * @property {bigint} feePerGas - The current fee per gas (in native base units).
+ * @property {bigint} totalNativeCost - The total gas cost of the batch (in native base units).
+ */
+
+/**
+ * @typedef {Object} ConfidentialBatchItemResult
+ * @property {string} recipient - The recipient's address.
+ * @property {bigint} amount - The transferred amount.
+ * @property {"success" | "failed"} status - Whether the transfer was confirmed.
+ * @property {ConfidentialResult} [result] - The result of the transfer, if it was sent.
+ * @property {Error} [error] - The reason of the failure.
+ */
+
+/**
+ * @typedef {Object} ConfidentialBatchResult
+ * @property {ConfidentialBatchItemResult[]} items - The result of each transfer, in the order of the request.
+ * @property {number} succeeded - The number of confirmed transfers.
+ * @property {number} failed - The number of failed transfers.
+ */
+
+/**
+ * @typedef {Object} ConfidentialTransferReceivedOptions
+ * @property {string} [token] - If set, only notifies the transfers of this token.
+ * @property {(error: Error) => void} [onError] - Called when the events cannot be fetched, or when the handler throws.
+ */
+
+/**
+ * @typedef {Object} ConfidentialBalanceChangedOptions
+ * @property {string} token - The address of the token.
+ * @property {(error: Error) => void} [onError] - Called when the events or the balance cannot be fetched, or when the handler throws.
+ */
+
+/**
+ * @typedef {Object} ConfidentialBalanceChangedEvent
+ * @property {string} token - The address of the token.
+ * @property {bigint} amount - The new confidential balance.
+ * @property {bigint | undefined} previousAmount - The previous confidential balance, or undefined if it could not be read.
+ * @property {number} blockNumber - The block at which the change was detected.
+ */
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+  "function name() external view returns (string)",
+  "function version() external view returns (string)",
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_VALIDITY_SECONDS = 3_600;
+
+const APPROVAL_STRATEGIES = ["none", "exact", "infinite", "permit"];
+
+const DEFAULT_SETTLE_TIMEOUT_MS = 120_000;
+
+// Confidential transactions carry encrypted amounts and proofs generated client-side, so their gas
+// cannot be estimated without building them: quotes fall back to these upper bounds when the
+// stabletrust client cannot build the transaction, for example without an amount.
+const DEFAULT_GAS_LIMITS = {
+  deposit: 500_000n,
+  transfer: 1_500_000n,
+  withdraw: 1_000_000n,
+};
 
 /**
  * @typedef {Object} ConfidentialProtocolConfig
- * @property {string} rpcUrl - The RPC URL of the blockchain network.
- * @property {number} chainId - The chain ID.
+ * @property {string} [network] - The name of a registered network, which provides the defaults of the other options.
+ * @property {string | string[]} [rpcUrl] - The RPC URL of the blockchain network, or several to fail over across, in order of preference. Required if no network or client is given.
+ * @property {RetryPolicy} [retry] - How failed rpc requests are retried across the RPC URLs.
+ * @property {ConfidentialTransferClient | ((rpcUrl: string, chainId: number) => ConfidentialTransferClient)} [client] - The stabletrust client, or a function that creates the client of an RPC URL, for example a {@link MockConfidentialTransferClient} in tests (default: a stabletrust client per RPC URL).
+ * @property {JsonRpcApiProvider} [provider] - The provider to read the chain and send transactions through, for example one shared by the protocols of several accounts (default: a provider of the wallet's RPC URLs or eip-1193 provider).
+ * @property {number} [pollingInterval] - How often the provider polls for new blocks while waiting for confirmations and following events, in milliseconds (default: 4000).
+ * @property {number} [chainId] - The chain ID. Required if no network is given.
+ * @property {string} [stabletrustAddress] - The address of the stabletrust contract, used to read allowances and events (default: the network's, or the stabletrust client's). It must match the contract the stabletrust client sends its operations to.
+ * @property {number} [deploymentBlock] - The block the stabletrust contract was deployed at, where history scans start by default (default: the network's, or the stabletrust client's).
+ * @property {{ deposit?: bigint, transfer?: bigint, withdraw?: bigint }} [gasLimits] - Overrides the gas limits used to quote each operation, instead of estimating them.
+ * @property {number} [logChunkSize] - The maximum number of blocks per log query when scanning the history (default: 10000).
+ * @property {ConfidentialHooks | ConfidentialHooks[]} [hooks] - Callbacks notified before, after and on the failure of each operation, for logging, metrics or audit trails. Private keys, passwords and decrypted amounts are redacted unless a hook sets 'includeSensitive'.
+ * @property {SpendingPolicyConfig} [policy] - The spending limits, recipient lists and approval callback that confidential transfers and withdrawals are checked against before they are signed.
+ * @property {boolean | BalanceCacheConfig} [balanceCache] - Caches the confirmed confidential balances, each for the block it was read at, or for 'maxAgeBlocks' more blocks (default: false).
+ * @property {Signer | SigningCallback | "provider"} [signer] - Signs the account's transactions: an ethers signer, an external signing callback, or "provider" for the signer of the wallet's eip-1193 provider (default: the wallet account itself, which never exposes its private key).
  */
 
 /**
- * Enables confidentiality for a WDK account by patching it with confidential methods.
+ * Enables confidentiality for a WDK account.
+ *
+ * The account itself is left untouched: the function returns a {@link ConfidentialAccount} that
+ * wraps it, forwarding the usual wallet methods to the account and adding the confidential ones.
+ *
+ * Read-only accounts can be enabled by passing the account's confidential keys in the options;
+ * the returned account can then read balances, while state-changing methods throw a
+ * {@link ReadOnlyAccountError}.
  *
- * @param {WalletAccountEvm} account - The WDK wallet account to enable confidentiality for.
+ * @template {WalletAccountReadOnlyEvm | WalletAccountEvm} T
+ * @param {T} account - The WDK wallet account to enable confidentiality for.
  * @param {ConfidentialProtocolConfig} config - The protocol configuration.
- * @returns {Promise<WalletAccountEvm>} The same account instance, patched with confidential methods.
+ * @param {EnableConfidentialityOptions} [options] - The enable options.
+ * @returns {Promise<ConfidentialAccount<T>>} The confidential account wrapping the wallet account.
  *
  * @example
- * const confAccount = await enableConfidentiality(account, { rpcUrl, chainId });
+ * const confAccount = await enableConfidentiality(account, { network: "stable-testnet" });
  * await confAccount.depositConfidential({ token, amount });
  * await confAccount.transferConfidential({ recipient, token, amount });
  * await confAccount.withdrawConfidential({ token, amount });
+ *
+ * @example
+ * const viewer = await enableConfidentiality(readOnlyAccount, { network: "stable-testnet" }, { keys });
+ * await viewer.getConfidentialBalance({ token });
  */
-export async function enableConfidentiality(account, config) {
+export async function enableConfidentiality(account, config, options) {
   const protocol = new ConfidentialProtocolEvm(account, config);
-  await protocol.enableConfidentiality();
-
-  account.depositConfidential = (options) =>
-    protocol.depositConfidential(options);
-  account.withdrawConfidential = (options) =>
-    protocol.withdrawConfidential(options);
-  account.transferConfidential = (options) =>
-    protocol.transferConfidential(options);
-  account.getConfidentialBalance = (options) =>
-    protocol.getConfidentialBalance(options);
-  account.quoteTransferConfidential = (options) =>
-    protocol.quoteTransferConfidential(options);
-
-  return account;
+  await protocol.enableConfidentiality(options);
+
+  return new ConfidentialAccount(account, protocol);
+}
+
+function isSameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
 }
 
 export class ConfidentialProtocolEvm extends ConfidentialProtocol {
   /**
    * Creates a new interface to the confidential protocol for evm blockchains.
    *
-   * @param {WalletAccountEvm} account - The wallet account to use to interact with the protocol.
+   * If the account is read-only (it has no signing key), only balance reads and quotes are available.
+   *
+   * @param {WalletAccountReadOnlyEvm | WalletAccountEvm} account - The wallet account to use to interact with the protocol.
    * @param {ConfidentialProtocolConfig} config - The protocol configuration.
    */
   constructor(account, config) {
     super(account);
 
+    const { config: resolvedConfig, network } = resolveNetworkConfig(config);
+
     /** @private */
-    this._config = config;
+    this._config = resolvedConfig;
 
     /** @private */
-    this._client = new ConfidentialTransferClient(
-      config.rpcUrl,
-      config.chainId,
-    );
+    this._network = network;
+
+    /** @private */
+    this._rpcUrls =
+      resolvedConfig.rpcUrl === undefined ? [] : [resolvedConfig.rpcUrl].flat();
+
+    /** @private */
+    this._retryPolicy = resolveRetryPolicy(resolvedConfig.retry);
+
+    /**
+     * @private
+     * @type {ConfidentialHooks[]}
+     */
+    this._hooks = [resolvedConfig.hooks ?? []].flat();
+
+    /**
+     * @private
+     * @type {SpendingPolicy | undefined}
+     */
+    this._policy = resolvedConfig.policy
+      ? new SpendingPolicy(resolvedConfig.policy)
+      : undefined;
+
+    /**
+     * The stabletrust clients, by index of their RPC URL.
+     *
+     * @private
+     * @type {ConfidentialTransferClient[]}
+     */
+    this._clients = [];
+
+    /**
+     * The index of the RPC URL the stabletrust client currently uses.
+     *
+     * @private
+     */
+    this._endpoint = 0;
 
     /** @private */
     this._keys = undefined;
 
-    if (account._config.provider) {
-      const { provider } = account._config;
+    /**
+     * The address of the account, set when confidentiality is enabled.
+     *
+     * @private
+     * @type {string | undefined}
+     */
+    this._address = undefined;
 
+    /** @private */
+    this._chainVerified = false;
+
+    /**
+     * The pending balance changes of the account's operations, and the cached balances.
+     *
+     * @private
+     */
+    this._balances = new ConfidentialBalanceCache(resolvedConfig.balanceCache);
+
+    /**
+     * @private
+     * @type {Promise<NonceManager> | undefined}
+     */
+    this._signer = undefined;
+
+    /**
+     * @private
+     * @type {ConfidentialEventWatcher | undefined}
+     */
+    this._watcher = undefined;
+
+    /**
+     * The metadata of the tokens, by lowercase address.
+     *
+     * @private
+     * @type {Map<string, Promise<TokenMetadata>>}
+     */
+    this._tokenMetadata = new Map();
+
+    if (resolvedConfig.provider) {
+      /** @private */
+      this._provider = resolvedConfig.provider;
+    } else if (account._config.provider) {
+      const entries = [account._config.provider].flat();
+      const urls = entries.filter((entry) => typeof entry === "string");
+
+      const { pollingInterval } = resolvedConfig;
+
+      // Responses are not cached: the nonce of an operation is read right after the previous one
+      // is mined, which on instantly mined chains is within the default cache time of 250ms
+      const options = {
+        cacheTimeout: -1,
+        ...(pollingInterval === undefined ? {} : { pollingInterval }),
+      };
+
+      // The wallet's urls come first, then the protocol's as further fallbacks
       /** @private */
       this._provider =
-        typeof provider === "string"
-          ? new JsonRpcProvider(provider)
-          : new BrowserProvider(provider);
+        urls.length === entries.length
+          ? new FailoverProvider(
+              [...new Set([...urls, ...this._rpcUrls])],
+              resolvedConfig.retry,
+              options,
+            )
+          : new BrowserProvider(
+              entries.find((entry) => typeof entry !== "string"),
+              undefined,
+              options,
+            );
     }
   }
 
+  /**
+   * The registered network the protocol is configured for, if any.
+   *
+   * @type {ConfidentialNetwork | undefined}
+   */
+  get network() {
+    return this._network;
+  }
+
+  /**
+   * The provider the protocol reads the chain and sends transactions through, if the wallet has one.
+   *
+   * @type {JsonRpcApiProvider | undefined}
+   */
+  get provider() {
+    return this._provider;
+  }
+
+  /**
+   * True if the account cannot sign transactions.
+   *
+   * @type {boolean}
+   */
+  get readOnly() {
+    return !this._config.signer && !this._account.keyPair?.privateKey;
+  }
+
   /**
    * @private
-   * @returns {Promise<Wallet>} The ethers wallet.
+   * @param {string} methodName - The name of the state-changing method being called.
    */
-  async _getEthersWallet() {
-    if (!this._provider) {
-      throw new Error(
-        "The wallet must be connected to a provider in order to perform confidential operations.",
-      );
+  _assertWritable(methodName) {
+    if (this.readOnly) {
+      throw new ReadOnlyAccountError(methodName);
     }
+  }
 
-    // We need the private key to create the ethers wallet for the SDK
-    const privateKey = this._account.keyPair.privateKey;
-    // Ensure privateKey is in hex string format
-    const privateKeyHex = Buffer.from(privateKey).toString("hex");
+  /**
+   * @private
+   * @param {string} methodName - The name of the method being called.
+   */
+  _assertEnabled(methodName) {
+    if (!this._keys) {
+      throw new ConfidentialityNotEnabledError(methodName);
+    }
+  }
 
-    return new Wallet(privateKeyHex, this._provider);
+  /**
+   * @private
+   * @param {string} methodName - The name of the method being called.
+   */
+  _assertProvider(methodName) {
+    if (!this._provider) {
+      throw new ProviderNotConnectedError(methodName);
+    }
   }
 
   /**
-   * Enables confidentiality for the account.
+   * Checks that the wallet provider is connected to the configured chain. The check only hits the
+   * provider until it succeeds once.
    *
-   * @param {EnableConfidentialityOptions} [options] - The options.
-   * @returns {Promise<ConfidentialKeys>} The generated keys.
+   * @private
    */
-  async enableConfidentiality(options) {
-    const wallet = await this._getEthersWallet();
+  async _assertChain() {
+    if (this._chainVerified) {
+      return;
+    }
 
-    // ensureAccount registers the user's public key on the stabletrust contract
-    // and returns the keypair used for confidential transactions
-    const keys = await this._client.ensureAccount(wallet);
+    const network = await this._call("getNetwork", () =>
+      this._provider.getNetwork(),
+    );
+    const actual = Number(network.chainId);
 
-    this._keys = keys;
+    if (actual !== Number(this._config.chainId)) {
+      throw new ChainMismatchError({
+        expected: Number(this._config.chainId),
+        actual,
+      });
+    }
 
-    return {
-      publicKey: keys.publicKey,
-      privateKey: keys.privateKey,
-    };
+    this._chainVerified = true;
   }
 
   /**
-   * Deposits tokens into the confidential balance.
+   * Runs a call to stabletrust or ethers, wrapping its failures in a {@link ConfidentialOperationError}.
    *
-   * @param {DepositConfidentialOptions} options - The deposit options.
-   * @returns {Promise<ConfidentialResult>} The operation result.
+   * @private
+   * @template T
+   * @param {string} operation - The name of the operation.
+   * @param {() => Promise<T>} fn - The call.
+   * @returns {Promise<T>} The result of the call.
    */
-  async depositConfidential(options) {
-    if (!this._keys) {
-      throw new Error(
-        "Confidentiality not enabled. Call enableConfidentiality() first.",
-      );
+  async _call(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error instanceof ConfidentialProtocolError) {
+        throw error;
+      }
+
+      throw new ConfidentialOperationError(operation, error);
     }
+  }
 
-    const { token, amount } = options;
-    const wallet = await this._getEthersWallet();
+  /**
+   * Runs a public operation, and notifies the configured hooks when it starts, succeeds and fails.
+   *
+   * @private
+   * @template T
+   * @param {string} operation - The name of the operation.
+   * @param {Record<string, unknown>} params - The parameters of the operation.
+   * @param {() => Promise<T>} fn - The operation.
+   * @returns {Promise<T>} The value of the operation.
+   */
+  async _observe(operation, params, fn) {
+    return await observe(this._hooks, operation, params, fn);
+  }
 
-    const result = await this._client.confidentialDeposit(
-      wallet,
-      token,
-      amount,
+  /**
+   * @private
+   * @returns {ConfidentialTransferClient} The stabletrust client of the current RPC URL.
+   */
+  _getClient() {
+    const { client, chainId } = this._config;
+
+    if (client && typeof client !== "function") {
+      return this._assertStabletrustAddress(client);
+    }
+
+    this._clients[this._endpoint] ??= this._assertStabletrustAddress(
+      client
+        ? client(this._rpcUrls[this._endpoint], chainId)
+        : new ConfidentialTransferClient(
+            this._rpcUrls[this._endpoint],
+            chainId,
+          ),
     );
 
-    return { hash: result.hash };
+    return this._clients[this._endpoint];
   }
 
   /**
-   * Transfers tokens confidentially.
+   * Checks that a stabletrust client sends its transactions to the configured stabletrust contract.
+   * The client only knows its own deployment for the chain, so allowances and events would
+   * otherwise be read from another contract than the one the operations go to.
    *
-   * @param {TransferConfidentialOptions} options - The transfer options.
-   * @returns {Promise<ConfidentialResult>} The operation result.
+   * @private
+   * @param {ConfidentialTransferClient} client - The client.
+   * @returns {ConfidentialTransferClient} The client.
    */
-  async transferConfidential(options) {
-    if (!this._keys) {
-      throw new Error(
-        "Confidentiality not enabled. Call enableConfidentiality() first.",
-      );
+  _assertStabletrustAddress(client) {
+    const { stabletrustAddress } = this._config;
+
+    if (
+      stabletrustAddress !== undefined &&
+      client.contractAddress !== undefined &&
+      stabletrustAddress.toLowerCase() !== client.contractAddress.toLowerCase()
+    ) {
+      throw new InvalidOptionError({
+        option: "stabletrustAddress",
+        reason: `the stabletrust client sends its operations to ${client.contractAddress}, not to ${stabletrustAddress}`,
+      });
     }
 
-    const { recipient, token, amount } = options;
-    const wallet = await this._getEthersWallet();
+    return client;
+  }
 
-    const result = await this._client.confidentialTransfer(
-      wallet,
-      recipient,
-      token,
-      amount,
-    );
+  /**
+   * Calls the stabletrust client, failing over to the next RPC URL on the errors the retry policy can
+   * retry.
+   *
+   * State-changing calls, which get the account's signer, are only retried if the failed attempt
+   * did not broadcast any transaction through the failover provider; otherwise the transaction may
+   * already be pending, and sending the operation again could execute it twice.
+   *
+   * @private
+   * @template T
+   * @param {string} operation - The name of the operation.
+   * @param {(client: ConfidentialTransferClient) => Promise<T>} fn - The call.
+   * @param {NonceManager} [signer] - The signer of a state-changing call.
+   * @returns {Promise<T>} The value of the call.
+   */
+  async _callClient(operation, fn, signer) {
+    let broadcastCount;
 
-    return { hash: result.hash };
+    const canRetry = () =>
+      !signer ||
+      (signer.provider === this._provider &&
+        this._provider instanceof FailoverProvider &&
+        this._provider.broadcastCount === broadcastCount);
+
+    return await this._call(operation, () =>
+      withRetry(
+        this._retryPolicy,
+        () => {
+          broadcastCount = this._provider?.broadcastCount;
+
+          return fn(this._getClient());
+        },
+        {
+          canRetry,
+          onRetry: () => {
+            if (this._rpcUrls.length > 0) {
+              this._endpoint = (this._endpoint + 1) % this._rpcUrls.length;
+            }
+
+            // Nothing was broadcast, but the nonce manager may have counted a transaction
+            signer?.reset();
+          },
+        },
+      ),
+    );
   }
 
   /**
-   * Withdraws tokens from the confidential balance.
+   * Converts an amount to base units and validates it. Amounts in tokens are converted with the
+   * decimals of the token.
    *
-   * @param {WithdrawConfidentialOptions} options - The withdraw options.
-   * @returns {Promise<ConfidentialResult>} The operation result.
+   * @private
+   * @param {Amount} amount - The amount to validate.
+   * @param {string} token - The address of the token.
+   * @param {string} methodName - The name of the method being called.
+   * @returns {Promise<bigint>} The amount, in base units.
    */
-  async withdrawConfidential(options) {
-    if (!this._keys) {
-      throw new Error(
-        "Confidentiality not enabled. Call enableConfidentiality() first.",
-      );
+  async _parseAmount(amount, token, methodName) {
+    if (!isTokenAmount(amount)) {
+      return parseAmount(amount);
     }
 
-    const { token, amount } = options;
-    const wallet = await this._getEthersWallet();
+    this._assertProvider(methodName);
 
-    const result = await this._client.withdraw(wallet, token, amount);
+    const { decimals } = await this._getTokenMetadata(token);
 
-    return { hash: result.hash };
+    return parseAmount(amount, decimals);
   }
 
   /**
-   * Gets the confidential balance.
+   * @private
+   * @returns {string} The address of the stabletrust contract.
+   */
+  _getStabletrustAddress() {
+    // Getting the client checks it against the configured address
+    const client = this._getClient();
+
+    return this._config.stabletrustAddress ?? client.contractAddress;
+  }
+
+  /**
+   * @private
+   * @returns {Contract} The stabletrust contract, to read its events.
+   */
+  _getStabletrustContract() {
+    return new Contract(
+      this._getStabletrustAddress(),
+      STABLETRUST_EVENTS_ABI,
+      this._provider,
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} ciphertext - An amount encrypted with the account's confidential public key.
+   * @returns {Promise<bigint>} The decrypted amount.
+   */
+  async _decryptAmount(ciphertext) {
+    const amount = await this._getClient().decryptAmount(
+      ciphertext,
+      this._keys.privateKey,
+    );
+
+    return BigInt(amount);
+  }
+
+  /**
+   * @private
+   * @param {string} token - The address of the token.
+   * @param {import('ethers').ContractRunner} [runner] - The runner of the contract (default: the provider).
+   * @returns {Contract} An erc20 contract.
+   */
+  _getTokenContract(token, runner = this._provider) {
+    return new Contract(token, ERC20_ABI, runner);
+  }
+
+  /**
+   * Returns the protocol fee charged, in token base units, on the confidential balance.
    *
-   * @param {GetConfidentialBalanceOptions} options - The balance options.
-   * @returns {Promise<ConfidentialBalanceResult>} The confidential balance.
+   * @private
+   * @param {"deposit" | "transfer" | "withdraw"} operation - The operation.
+   * @returns {Promise<bigint>} The fee.
    */
-  async getConfidentialBalance(options) {
-    if (!this._keys) {
-      throw new Error(
-        "Confidentiality not enabled. Call enableConfidentiality() first.",
-      );
+  async _getProtocolFee(operation) {
+    if (operation === "deposit") {
+      return 0n;
     }
 
-    const { token } = options;
-    const address = await this._account.getAddress();
+    const fee = await this._callClient("getFeeAmount", (client) =>
+      client.getFeeAmount(),
+    );
 
-    const result = await this._client.getConfidentialBalance(
-      address,
-      this._keys.privateKey,
+    return BigInt(fee);
+  }
+
+  /**
+   * @private
+   * @param {string} token - The address of the token.
+   * @param {bigint} required - The required amount, fees included.
+   */
+  async _assertConfidentialBalance(token, required) {
+    const { available } = await this._getConfidentialBalance({
       token,
+      fresh: true,
+    });
+
+    if (available < required) {
+      throw new InsufficientConfidentialBalanceError({
+        token,
+        required,
+        available,
+      });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} recipient - The address of the recipient.
+   */
+  async _assertRecipientRegistered(recipient) {
+    const publicKey = await this._callClient("getPublicKey", (client) =>
+      client.getPublicKey(recipient),
     );
 
-    return { amount: BigInt(result.amount) };
+    if (!publicKey) {
+      throw new RecipientNotRegisteredError(recipient);
+    }
   }
 
   /**
-   * Quotes a confidential transfer.
+   * Returns the signer of the account's transactions, created on first use. The signer is wrapped
+   * in a nonce manager, so that the transactions of an operation get consecutive nonces.
    *
-   * @param {QuoteTransferConfidentialOptions} options - The quote options.
-   * @returns {Promise<bigint>} The quoted amount.
+   * @private
+   * @returns {Promise<NonceManager>} The signer.
+   */
+  async _getSigner() {
+    this._assertWritable("_getSigner()");
+
+    if (!this._provider) {
+      throw new ProviderNotConnectedError("_getSigner()");
+    }
+
+    this._signer ??= this._createSigner().catch((error) => {
+      this._signer = undefined;
+      throw error;
+    });
+
+    return await this._signer;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<NonceManager>} The signer.
    */
-  async quoteTransferConfidential(options) {
-    const fee = await this._client.getFeeAmount();
-    return fee;
+  async _createSigner() {
+    const { signer } = this._config;
+    const address = await this._account.getAddress();
+
+    let result;
+
+    if (signer === "provider") {
+      if (!(this._provider instanceof BrowserProvider)) {
+        throw new ConfidentialProtocolError(
+          "The 'provider' signer requires the wallet to be configured with an eip-1193 provider.",
+        );
+      }
+
+      result = await this._provider.getSigner(address);
+    } else if (typeof signer === "function") {
+      result = new CallbackSigner(address, signer, this._provider);
+    } else if (signer) {
+      result = signer.provider ? signer : signer.connect(this._provider);
+    } else {
+      // The account signs on its own: its private key is never read
+      result = new WalletAccountSigner(this._account, this._provider);
+    }
+
+    const signerAddress = await result.getAddress();
+
+    if (!isSameAddress(signerAddress, address)) {
+      throw new SignerMismatchError({
+        expected: address,
+        actual: signerAddress,
+      });
+    }
+
+    return new NonceManager(result);
+  }
+
+  /**
+   * Checks a transfer or a withdrawal against the spending policy, before anything is signed.
+   *
+   * @private
+   * @param {SpendingRequest["operation"]} operation - The name of the operation.
+   * @param {{ token: string, items: { recipient?: string, amount: bigint }[] }} spending - What the operation spends.
+   * @returns {Promise<(amount?: bigint) => Promise<void>>} Releases an amount of the operation, by default all of it, from the policy's window.
+   */
+  async _reserveSpending(operation, { token, items }) {
+    if (!this._policy) {
+      return async () => {};
+    }
+
+    return await this._policy.reserve(
+      {
+        operation,
+        address: this._address,
+        chainId: this._config.chainId,
+        token,
+        items,
+        total: items.reduce((sum, { amount }) => sum + amount, 0n),
+      },
+      {
+        isRegistered: async (recipient) =>
+          Boolean(
+            await this._callClient("getPublicKey", (client) =>
+              client.getPublicKey(recipient),
+            ),
+          ),
+      },
+    );
+  }
+
+  /**
+   * Runs a state-changing operation in the account's operation queue.
+   *
+   * The nonce manager is synchronized with the chain when the operation starts, and the queue waits for
+   * the operation's transaction, if any, to be mined before starting the next operation.
+   *
+   * A transfer or a withdrawal, which passes what it spends, is first checked against the spending
+   * policy. If the operation then fails before sending its transaction, or its transaction reverts,
+   * its amount is released from the policy's window. Operations that send several transactions
+   * release the amounts of the ones that fail themselves.
+   *
+   * @private
+   * @template {{ hash?: string }} T
+   * @param {string} operation - The name of the operation.
+   * @param {{ signal?: AbortSignal, timeoutMs?: number, spending?: { token: string, items: { recipient?: string, amount: bigint }[] } }} options - The operation options.
+   * @param {(signer: NonceManager, release: (amount?: bigint) => Promise<void>) => Promise<T>} task - The operation.
+   * @returns {Promise<T>} The operation's value.
+   */
+  async _enqueue(operation, { signal, timeoutMs, spending }, task) {
+    const release = spending
+      ? await this._reserveSpending(operation, spending)
+      : async () => {};
+
+    try {
+      const signer = await this._getSigner();
+      const queue = getOperationQueue(this._config.chainId, this._address);
+
+      return await queue.run(
+        operation,
+        async () => {
+          // The previous operations have landed: the next nonce is read from the chain again
+          signer.reset();
+
+          return await task(signer, release);
+        },
+        {
+          signal,
+          settle: async ({ hash }) => {
+            if (!hash) {
+              return;
+            }
+
+            try {
+              const receipt = await this._provider.waitForTransaction(
+                hash,
+                1,
+                timeoutMs ?? DEFAULT_SETTLE_TIMEOUT_MS,
+              );
+
+              // A reverted transaction spent nothing
+              if (receipt?.status === 0) {
+                await release();
+              }
+            } finally {
+              // Mined, reverted or timed out: the balance is read from the chain again
+              this._balances.settle(hash);
+            }
+          },
+        },
+      );
+    } catch (error) {
+      await release();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Enables confidentiality for the account.
+   *
+   * Keys can be imported, either in clear through 'options.keys' or encrypted through 'options.keystore',
+   * or loaded from 'options.storage'. Imported keys are checked against the public key registered onchain
+   * and are not registered again. Otherwise, the keys are derived and registered onchain, and saved to
+   * 'options.storage' if given. Derived keys are checked too, as the keys of an account whose keys were
+   * rotated can no longer be derived. Read-only accounts must always import their keys.
+   *
+   * If the wallet is connected to a provider, its chain is checked against the configured one first.
+   *
+   * @param {EnableConfidentialityOptions} [options] - The options.
+   * @returns {Promise<ConfidentialKeys>} The generated or imported keys.
+   */
+  async enableConfidentiality(options = {}) {
+    return await this._observe("enableConfidentiality", options, async () => {
+      const { keystore, storage, password, verify = true } = options;
+
+      if ((keystore || storage) && password === undefined) {
+        throw new InvalidOptionError({
+          option: "password",
+          reason:
+            "a password is required to import or persist confidential keys",
+        });
+      }
+
+      if (this._provider) {
+        await this._assertChain();
+      }
+
+      const address = await this._account.getAddress();
+      const keystoreId = getKeystoreId(address, this._config.chainId);
+
+      let keys = options.keys;
+
+      if (!keys && keystore) {
+        keys = await decryptConfidentialKeys(keystore, password);
+      }
+
+      if (!keys && storage) {
+        const storedKeystore = await storage.get(keystoreId);
+
+        if (storedKeystore) {
+          keys = await decryptConfidentialKeys(storedKeystore, password);
+        }
+      }
+
+      if (keys) {
+        if (verify) {
+          await this._verifyConfidentialKeys(address, keys);
+        }
+
+        const { publicKey, privateKey } = keys;
+
+        this._keys = { publicKey, privateKey };
+        this._address = address;
+
+        return { publicKey, privateKey };
+      }
+
+      if (this.readOnly) {
+        throw new ReadOnlyAccountError(
+          "enableConfidentiality(options)",
+          "Pass the account's existing keys in 'options.keys'.",
+        );
+      }
+
+      const signer = await this._getSigner();
+
+      // ensureAccount registers the user's public key on the stabletrust contract
+      // and returns the keypair used for confidential transactions
+      keys = await this._callClient(
+        "enableConfidentiality",
+        (client) => client.ensureAccount(signer),
+        signer,
+      );
+
+      // Keys rotated away from the derived ones are not derived again: they must be imported
+      if (verify) {
+        await this._verifyConfidentialKeys(address, keys);
+      }
+
+      this._keys = keys;
+      this._address = address;
+
+      if (storage) {
+        await storage.set(
+          keystoreId,
+          await encryptConfidentialKeys(keys, password, {
+            address,
+            chainId: this._config.chainId,
+          }),
+        );
+      }
+
+      return {
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+      };
+    });
+  }
+
+  /**
+   * Exports the confidential keys of the account as a password-encrypted keystore.
+   *
+   * @param {string} password - The password to encrypt the keys with.
+   * @returns {Promise<ConfidentialKeystore>} The keystore.
+   */
+  async exportConfidentialKeys(password) {
+    return await this._observe(
+      "exportConfidentialKeys",
+      { password },
+      async () => {
+        this._assertEnabled("exportConfidentialKeys(password)");
+
+        const address = await this._account.getAddress();
+
+        return await encryptConfidentialKeys(this._keys, password, {
+          address,
+          chainId: this._config.chainId,
+        });
+      },
+    );
+  }
+
+  /**
+   * Rotates the confidential keys of the account to a new keypair generated by the stabletrust
+   * client. One transaction replaces the public key registered onchain and re-encrypts the
+   * confidential balance of each token for it, proving with the current private key that the
+   * account owns them. The new keys are used once the transaction is confirmed.
+   *
+   * The new keys are random, so they cannot be derived from the wallet again: they are saved to
+   * 'options.storage' before the transaction is sent, and the previous keystore is put back if the
+   * rotation fails. Without a storage, export the returned keys. If the confirmations time out, the
+   * new keystore is kept, as the transaction may still be mined. Transfers received before the
+   * rotation stay encrypted for the previous keys, so the history lists them without an amount.
+   *
+   * Throws a {@link KeyRotationNotSupportedError} if the stabletrust client cannot rotate keys.
+   *
+   * @param {RotateConfidentialKeysOptions} [options] - The options.
+   * @returns {Promise<ConfidentialKeys>} The new keys.
+   */
+  async rotateConfidentialKeys(options = {}) {
+    return await this._observe("rotateConfidentialKeys", options, async () => {
+      this._assertWritable("rotateConfidentialKeys(options)");
+      this._assertEnabled("rotateConfidentialKeys(options)");
+
+      const {
+        confirmations = 1,
+        timeoutMs,
+        signal,
+        storage,
+        password,
+      } = options;
+
+      const client = this._getClient();
+
+      if (
+        typeof client.generateKeys !== "function" ||
+        typeof client.rotateAccountKeys !== "function"
+      ) {
+        throw new KeyRotationNotSupportedError(this._address);
+      }
+
+      if (storage && password === undefined) {
+        throw new InvalidOptionError({
+          option: "password",
+          reason: "a password is required to persist confidential keys",
+        });
+      }
+
+      const tokens = this._getKnownTokens(options.tokens);
+
+      const keys = await this._callClient("generateKeys", (client) =>
+        client.generateKeys(),
+      );
+
+      const keystoreId = getKeystoreId(this._address, this._config.chainId);
+      const previousKeystore = storage
+        ? await storage.get(keystoreId)
+        : undefined;
+
+      if (storage) {
+        await storage.set(
+          keystoreId,
+          await encryptConfidentialKeys(keys, password, {
+            address: this._address,
+            chainId: this._config.chainId,
+          }),
+        );
+      }
+
+      try {
+        const { hash } = await this._enqueue(
+          "rotateConfidentialKeys",
+          { signal, timeoutMs },
+          async (signer) => {
+            await this._assertChain();
+
+            return await this._callClient(
+              "rotateConfidentialKeys",
+              (client) =>
+                client.rotateAccountKeys(
+                  signer,
+                  this._keys.privateKey,
+                  keys,
+                  tokens,
+                ),
+              signer,
+            );
+          },
+        );
+
+        const { status } = await this._getResult(hash, {
+          confirmations: Math.max(confirmations, 1),
+          timeoutMs,
+        });
+
+        if (status === "reverted") {
+          throw new ConfidentialOperationError(
+            "rotateConfidentialKeys",
+            new Error(`The transaction ${hash} reverted.`),
+          );
+        }
+      } catch (error) {
+        // The previous keys stay registered: they are put back in the storage
+        if (storage && !(error instanceof OperationTimeoutError)) {
+          await (previousKeystore
+            ? storage.set(keystoreId, previousKeystore)
+            : storage.delete(keystoreId));
+        }
+
+        throw error;
+      }
+
+      this._keys = { publicKey: keys.publicKey, privateKey: keys.privateKey };
+      this._balances.invalidate();
+
+      return { publicKey: keys.publicKey, privateKey: keys.privateKey };
+    });
+  }
+
+  /**
+   * Disables confidentiality for the account: withdraws the whole confidential balance of each token,
+   * like {@link withdrawAllConfidential}, then deregisters the account's public key from the
+   * stabletrust contract, forgets the confidential keys, and deletes the account's keystore from
+   * 'options.storage' if given.
+   *
+   * The contract refuses to deregister an account that still holds a withdrawable balance, for
+   * example tokens received during the withdrawals. Dust smaller than the protocol fee, which no
+   * withdrawal can take out, is forfeited. If a withdrawal or the deregistration fails, the keys are
+   * kept and the error is thrown. If the stabletrust client cannot deregister accounts, the public
+   * key stays registered, and the result has no 'deregistration'.
+   *
+   * Once deregistered, the account cannot receive confidential transfers. Enabling confidentiality
+   * again registers it anew.
+   *
+   * @param {DisableConfidentialityOptions} [options] - The options.
+   * @returns {Promise<DisableConfidentialityResult>} The withdrawals and the deregistration.
+   */
+  async disableConfidentiality(options = {}) {
+    return await this._observe("disableConfidentiality", options, async () => {
+      this._assertWritable("disableConfidentiality(options)");
+      this._assertEnabled("disableConfidentiality(options)");
+
+      const { tokens, confirmations = 1, timeoutMs, signal, storage } = options;
+
+      const withdrawals = await this._sweepTokens("withdrawAllConfidential", {
+        tokens,
+        confirmations,
+        timeoutMs,
+        signal,
+      });
+
+      let deregistration;
+
+      if (typeof this._getClient().deregisterAccount === "function") {
+        const { hash } = await this._enqueue(
+          "disableConfidentiality",
+          { signal, timeoutMs },
+          async (signer) => {
+            await this._assertChain();
+
+            return await this._callClient(
+              "disableConfidentiality",
+              (client) =>
+                client.deregisterAccount(signer, this._keys.privateKey),
+              signer,
+            );
+          },
+        );
+
+        deregistration = await this._getResult(hash, {
+          confirmations: Math.max(confirmations, 1),
+          timeoutMs,
+        });
+
+        if (deregistration.status === "reverted") {
+          throw new ConfidentialOperationError(
+            "disableConfidentiality",
+            new Error(`The transaction ${hash} reverted.`),
+          );
+        }
+      }
+
+      if (storage) {
+        await storage.delete(
+          getKeystoreId(this._address, this._config.chainId),
+        );
+      }
+
+      this._keys = undefined;
+      this._balances.invalidate();
+
+      return { withdrawals, deregistration };
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} address - The address of the account.
+   * @param {ConfidentialKeys} keys - The keys to check.
+   */
+  async _verifyConfidentialKeys(address, keys) {
+    const registeredPublicKey = await this._callClient(
+      "getPublicKey",
+      (client) => client.getPublicKey(address),
+    );
+
+    if (!registeredPublicKey) {
+      throw new InvalidConfidentialKeysError({
+        address,
+        reason: "no confidential public key is registered onchain",
+      });
+    }
+
+    if (
+      String(registeredPublicKey).toLowerCase() !==
+      String(keys.publicKey).toLowerCase()
+    ) {
+      throw new InvalidConfidentialKeysError({
+        address,
+        reason: "the public key does not match the one registered onchain",
+      });
+    }
+  }
+
+  /**
+   * Deposits tokens into the confidential balance.
+   *
+   * Checks the amount, the chain and the public token balance before sending the transaction. If the
+   * allowance of the stabletrust contract is too low, the 'approval' strategy decides what happens:
+   * with 'none' (default) an {@link InsufficientAllowanceError} is thrown, otherwise an approval is
+   * sent and confirmed before the deposit.
+   *
+   * @param {DepositConfidentialOptions} options - The deposit options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async depositConfidential(options) {
+    return await this._observe("depositConfidential", options, async () => {
+      this._assertWritable("depositConfidential(options)");
+      this._assertEnabled("depositConfidential(options)");
+
+      const { token, approval: strategy = "none" } = options;
+      const amount = await this._parseAmount(
+        options.amount,
+        token,
+        "depositConfidential(options)",
+      );
+
+      if (!APPROVAL_STRATEGIES.includes(strategy)) {
+        throw new InvalidOptionError({
+          option: "approval",
+          reason: `unknown approval strategy '${strategy}'`,
+        });
+      }
+
+      const { hash, approval } = await this._enqueue(
+        "depositConfidential",
+        options,
+        async (signer) => {
+          await this._assertChain();
+
+          const { spender, allowance } = await this._assertPublicBalance(
+            "depositConfidential",
+            token,
+            amount,
+          );
+
+          let approval;
+
+          if (allowance < amount) {
+            if (strategy === "none") {
+              throw new InsufficientAllowanceError({
+                token,
+                spender,
+                required: amount,
+                allowance,
+              });
+            }
+
+            approval = await this._approveDeposit(
+              signer,
+              token,
+              amount,
+              strategy,
+            );
+          }
+
+          const { hash } = await this._callClient(
+            "depositConfidential",
+            (client) => client.confidentialDeposit(signer, token, amount),
+            signer,
+          );
+
+          this._balances.addPending(hash, token, amount);
+
+          return { hash, approval };
+        },
+      );
+
+      const depositResult = await this._getResult(hash, options, 0n);
+
+      return approval ? { ...depositResult, approval } : depositResult;
+    });
+  }
+
+  /**
+   * Checks that the public balance covers a deposit, and reads the allowance of the stabletrust
+   * contract.
+   *
+   * @private
+   * @param {string} operation - The name of the operation.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to deposit.
+   * @returns {Promise<{ spender: string, allowance: bigint }>} The stabletrust contract and its allowance.
+   */
+  async _assertPublicBalance(operation, token, amount) {
+    const spender = this._getStabletrustAddress();
+    const tokenContract = this._getTokenContract(token);
+
+    const [balance, allowance] = await this._call(operation, () =>
+      Promise.all([
+        tokenContract.balanceOf(this._address),
+        tokenContract.allowance(this._address, spender),
+      ]),
+    );
+
+    if (balance < amount) {
+      throw new InsufficientPublicBalanceError({
+        token,
+        required: amount,
+        available: balance,
+      });
+    }
+
+    return { spender, allowance };
+  }
+
+  /**
+   * Gets the amount of tokens the stabletrust contract is allowed to deposit from the account.
+   *
+   * @param {GetDepositAllowanceOptions} options - The allowance options.
+   * @returns {Promise<bigint>} The allowance.
+   */
+  async getDepositAllowance(options) {
+    return await this._observe("getDepositAllowance", options, async () => {
+      this._assertProvider("getDepositAllowance(options)");
+
+      const { token } = options;
+      const owner = await this._account.getAddress();
+      const tokenContract = this._getTokenContract(token);
+
+      return await this._call("getDepositAllowance", () =>
+        tokenContract.allowance(owner, this._getStabletrustAddress()),
+      );
+    });
+  }
+
+  /**
+   * Approves the stabletrust contract to deposit an amount of tokens, and waits for the approval to
+   * be mined.
+   *
+   * @private
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to deposit.
+   * @param {"exact" | "infinite" | "permit"} strategy - The approval strategy.
+   * @returns {Promise<ConfidentialApproval>} The approval sent.
+   */
+  async _approveDeposit(signer, token, amount, strategy) {
+    const spender = this._getStabletrustAddress();
+    const tokenContract = this._getTokenContract(token, signer);
+
+    let approval;
+
+    if (strategy === "permit") {
+      const permit = await this._signPermit(signer, token, amount);
+
+      if (permit) {
+        const { deadline, signature } = permit;
+
+        const tx = await this._call("permit", () =>
+          tokenContract.permit(
+            this._address,
+            spender,
+            amount,
+            deadline,
+            signature.v,
+            signature.r,
+            signature.s,
+          ),
+        );
+
+        approval = { type: "permit", hash: tx.hash, amount };
+      }
+    }
+
+    if (!approval) {
+      const value = strategy === "infinite" ? MaxUint256 : amount;
+
+      const tx = await this._call("approve", () =>
+        tokenContract.approve(spender, value),
+      );
+
+      approval = { type: "approve", hash: tx.hash, amount: value };
+    }
+
+    const { status } = await this._getResult(approval.hash, {
+      confirmations: 1,
+    });
+
+    if (status !== "success") {
+      throw new ConfidentialOperationError(
+        approval.type,
+        new Error(`The approval transaction ${approval.hash} reverted.`),
+      );
+    }
+
+    return approval;
+  }
+
+  /**
+   * Signs an eip-2612 permit allowing the stabletrust contract to spend an amount of tokens.
+   *
+   * @private
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to permit.
+   * @returns {Promise<{ deadline: number, signature: Signature } | undefined>} The permit, or undefined if the token does not support eip-2612.
+   */
+  async _signPermit(signer, token, amount) {
+    const tokenContract = this._getTokenContract(token);
+
+    let name, nonce, domainSeparator;
+
+    try {
+      [name, nonce, domainSeparator] = await Promise.all([
+        tokenContract.name(),
+        tokenContract.nonces(this._address),
+        tokenContract.DOMAIN_SEPARATOR(),
+      ]);
+    } catch {
+      return undefined;
+    }
+
+    const version = await tokenContract.version().catch(() => "1");
+
+    const domain = {
+      name,
+      version,
+      chainId: this._config.chainId,
+      verifyingContract: token,
+    };
+
+    // Tokens with a non-standard domain would reject the signature: fall back to an approval
+    if (TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      return undefined;
+    }
+
+    const deadline = Math.floor(Date.now() / 1_000) + PERMIT_VALIDITY_SECONDS;
+
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+      owner: this._address,
+      spender: this._getStabletrustAddress(),
+      value: amount,
+      nonce,
+      deadline,
+    });
+
+    return { deadline, signature: Signature.from(signature) };
+  }
+
+  /**
+   * Transfers tokens confidentially.
+   *
+   * Checks the amount, the chain, the recipient's registration and the confidential balance, fees
+   * included, before sending the transaction.
+   *
+   * @param {TransferConfidentialOptions} options - The transfer options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async transferConfidential(options) {
+    return await this._observe("transferConfidential", options, async () => {
+      this._assertWritable("transferConfidential(options)");
+      this._assertEnabled("transferConfidential(options)");
+
+      const { recipient, token } = options;
+      const amount = await this._parseAmount(
+        options.amount,
+        token,
+        "transferConfidential(options)",
+      );
+
+      const { hash, fee } = await this._enqueue(
+        "transferConfidential",
+        { ...options, spending: { token, items: [{ recipient, amount }] } },
+        async (signer) => {
+          await this._assertChain();
+          await this._assertRecipientRegistered(recipient);
+
+          const fee = await this._getProtocolFee("transfer");
+          await this._assertConfidentialBalance(token, amount + fee);
+
+          const { hash } = await this._callClient(
+            "transferConfidential",
+            (client) =>
+              client.confidentialTransfer(signer, recipient, token, amount),
+            signer,
+          );
+
+          this._balances.addPending(hash, token, -(amount + fee));
+
+          return { hash, fee };
+        },
+      );
+
+      return await this._getResult(hash, options, fee);
+    });
+  }
+
+  /**
+   * Transfers tokens confidentially to several recipients, for example for payouts.
+   *
+   * Before sending anything, checks every amount, that every recipient is registered and that the
+   * confidential balance covers the total, fees included. The transfers are then sent one by one,
+   * each waiting for the previous one to be mined: every transfer is computed from the encrypted
+   * balance left by the previous one, which also keeps the nonces in sequence. A failed transfer
+   * does not stop the batch; it is reported in its item.
+   *
+   * @param {TransferConfidentialBatchOptions} options - The batch options.
+   * @returns {Promise<ConfidentialBatchResult>} The report of the batch.
+   */
+  async transferConfidentialBatch(options) {
+    return await this._observe(
+      "transferConfidentialBatch",
+      options,
+      async () => {
+        this._assertWritable("transferConfidentialBatch(options)");
+        this._assertEnabled("transferConfidentialBatch(options)");
+
+        const { token, timeoutMs } = options;
+        const transfers = await this._parseBatch(options.transfers, token);
+
+        // Every transfer waits for its own confirmation, so the queue has nothing left to wait for
+        const items = await this._enqueue(
+          "transferConfidentialBatch",
+          { signal: options.signal, spending: { token, items: transfers } },
+          async (signer, release) => {
+            await this._assertChain();
+
+            for (const { recipient } of transfers) {
+              await this._assertRecipientRegistered(recipient);
+            }
+
+            const fee = await this._getProtocolFee("transfer");
+            const total = transfers.reduce(
+              (sum, { amount }) => sum + amount + fee,
+              0n,
+            );
+            await this._assertConfidentialBalance(token, total);
+
+            const items = [];
+
+            for (const { recipient, amount } of transfers) {
+              let hash;
+
+              try {
+                ({ hash } = await this._callClient(
+                  "transferConfidential",
+                  (client) =>
+                    client.confidentialTransfer(
+                      signer,
+                      recipient,
+                      token,
+                      amount,
+                    ),
+                  signer,
+                ));
+
+                this._balances.addPending(hash, token, -(amount + fee));
+
+                const result = await this._getResult(
+                  hash,
+                  { confirmations: 1, timeoutMs },
+                  fee,
+                );
+
+                if (result.status === "reverted") {
+                  await release(amount);
+                }
+
+                items.push({
+                  recipient,
+                  amount,
+                  status: result.status === "success" ? "success" : "failed",
+                  result,
+                });
+              } catch (error) {
+                // A failed send may leave the nonce manager ahead of the chain
+                signer.reset();
+
+                // A transfer that was sent may still be mined after a timeout
+                if (!hash) {
+                  await release(amount);
+                }
+
+                items.push({ recipient, amount, status: "failed", error });
+              } finally {
+                this._balances.settle(hash);
+              }
+            }
+
+            return items;
+          },
+        );
+
+        const succeeded = items.filter(
+          ({ status }) => status === "success",
+        ).length;
+
+        return { items, succeeded, failed: items.length - succeeded };
+      },
+    );
+  }
+
+  /**
+   * Quotes a batch of confidential transfers.
+   *
+   * @param {QuoteTransferConfidentialBatchOptions} options - The quote options.
+   * @returns {Promise<ConfidentialBatchQuote>} The quote.
+   */
+  async quoteTransferConfidentialBatch(options) {
+    return await this._observe(
+      "quoteTransferConfidentialBatch",
+      options,
+      async () => {
+        this._assertProvider("quoteTransferConfidentialBatch(options)");
+
+        const { token } = options;
+        const transfers = await this._parseBatch(options.transfers, token);
+
+        const quote = await this._quote("transfer", {
+          token,
+          amount: transfers[0].amount,
+          recipient: transfers[0].recipient,
+        });
+
+        const count = BigInt(transfers.length);
+        const totalAmount = transfers.reduce(
+          (sum, { amount }) => sum + amount,
+          0n,
+        );
+        const protocolFee = quote.protocolFee * count;
+        const gasLimit = quote.gasLimit * count;
+
+        return {
+          totalAmount,
+          protocolFee,
+          totalRequired: totalAmount + protocolFee,
+          gasLimit,
+          feePerGas: quote.feePerGas,
+          totalNativeCost: gasLimit * quote.feePerGas,
+        };
+      },
+    );
+  }
+
+  /**
+   * @private
+   * @param {ConfidentialBatchTransfer[]} transfers - The transfers of a batch.
+   * @param {string} token - The address of the token.
+   * @returns {Promise<{ recipient: string, amount: bigint }[]>} The transfers, with their amounts validated.
+   */
+  async _parseBatch(transfers, token) {
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      throw new InvalidAmountError({
+        amount: transfers,
+        reason: "a batch must contain at least one transfer",
+      });
+    }
+
+    return await Promise.all(
+      transfers.map(async ({ recipient, amount }) => ({
+        recipient,
+        amount: await this._parseAmount(
+          amount,
+          token,
+          "transferConfidentialBatch(options)",
+        ),
+      })),
+    );
+  }
+
+  /**
+   * Withdraws tokens from the confidential balance.
+   *
+   * Checks the amount, the chain and the confidential balance, fees included, before sending the
+   * transaction.
+   *
+   * @param {WithdrawConfidentialOptions} options - The withdraw options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async withdrawConfidential(options) {
+    return await this._observe("withdrawConfidential", options, async () => {
+      this._assertWritable("withdrawConfidential(options)");
+      this._assertEnabled("withdrawConfidential(options)");
+
+      const { token } = options;
+      const amount = await this._parseAmount(
+        options.amount,
+        token,
+        "withdrawConfidential(options)",
+      );
+
+      const { hash, fee } = await this._enqueue(
+        "withdrawConfidential",
+        { ...options, spending: { token, items: [{ amount }] } },
+        async (signer) => {
+          await this._assertChain();
+
+          const fee = await this._getProtocolFee("withdraw");
+          await this._assertConfidentialBalance(token, amount + fee);
+
+          const { hash } = await this._callClient(
+            "withdrawConfidential",
+            (client) => client.withdraw(signer, token, amount),
+            signer,
+          );
+
+          this._balances.addPending(hash, token, -(amount + fee));
+
+          return { hash, fee };
+        },
+      );
+
+      return await this._getResult(hash, options, fee);
+    });
+  }
+
+  /**
+   * Withdraws the whole confidential balance of a token, or of several tokens one after the other.
+   *
+   * Runs in the account's operation queue: the balance is read and the maximum amount the fees allow
+   * is sent without any other operation of the account in between. The withdrawal is then confirmed
+   * and the balance read again, to report what is left, for example transfers received meanwhile or
+   * dust smaller than the fee. Nothing is sent if the balance does not cover the fee.
+   *
+   * Without 'token', sweeps each of 'tokens', by default the tokens of the registered network, and
+   * stops at the first failure.
+   *
+   * @param {WithdrawAllConfidentialOptions} options - The withdraw options.
+   * @returns {Promise<ConfidentialSweepResult | ConfidentialSweepResult[]>} The report of the token, or of each token.
+   */
+  async withdrawAllConfidential(options = {}) {
+    return await this._observe("withdrawAllConfidential", options, () =>
+      this._sweepTokens("withdrawAllConfidential", options),
+    );
+  }
+
+  /**
+   * Transfers the whole confidential balance of a token, or of several tokens one after the other, to
+   * a recipient, for example another account of the same user when offboarding.
+   *
+   * Works like {@link withdrawAllConfidential}, with the transfer fee, and checks that the recipient
+   * is registered first.
+   *
+   * @param {SweepConfidentialOptions} options - The sweep options.
+   * @returns {Promise<ConfidentialSweepResult | ConfidentialSweepResult[]>} The report of the token, or of each token.
+   */
+  async sweepConfidential(options) {
+    return await this._observe("sweepConfidential", options, () =>
+      this._sweepTokens("sweepConfidential", options),
+    );
+  }
+
+  /**
+   * @private
+   * @param {"withdrawAllConfidential" | "sweepConfidential"} operation - The name of the operation.
+   * @param {SweepConfidentialOptions} options - The operation options, without a recipient for withdrawals.
+   * @returns {Promise<ConfidentialSweepResult | ConfidentialSweepResult[]>} The report of the token, or of each token.
+   */
+  async _sweepTokens(operation, options) {
+    this._assertWritable(`${operation}(options)`);
+    this._assertEnabled(`${operation}(options)`);
+
+    if (options.token !== undefined) {
+      return await this._sweep(operation, options);
+    }
+
+    const tokens = this._getKnownTokens(options.tokens);
+    const results = [];
+
+    for (const token of tokens) {
+      results.push(await this._sweep(operation, { ...options, token }));
+    }
+
+    return results;
+  }
+
+  /**
+   * @private
+   * @param {string[]} [tokens] - The addresses of the tokens given by the caller.
+   * @returns {string[]} The given tokens, or the tokens of the registered network.
+   */
+  _getKnownTokens(tokens) {
+    tokens ??= this._network?.tokens.map(({ address }) => address);
+
+    if (!tokens) {
+      throw new InvalidOptionError({
+        option: "tokens",
+        reason:
+          "no tokens given, and no registered network to list the known tokens of",
+      });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * @private
+   * @param {"withdrawAllConfidential" | "sweepConfidential"} operation - The name of the operation.
+   * @param {SweepConfidentialOptions & { token: string }} options - The operation options.
+   * @returns {Promise<ConfidentialSweepResult>} The report of the token.
+   */
+  async _sweep(operation, options) {
+    const { token, recipient, confirmations = 1, timeoutMs } = options;
+
+    const sent = await this._enqueue(
+      operation,
+      { signal: options.signal, timeoutMs },
+      async (signer) => {
+        await this._assertChain();
+
+        if (recipient !== undefined) {
+          await this._assertRecipientRegistered(recipient);
+        }
+
+        const fee = await this._getProtocolFee(
+          recipient === undefined ? "withdraw" : "transfer",
+        );
+        const { available } = await this._getConfidentialBalance({
+          token,
+          fresh: true,
+        });
+
+        const amount = available - fee;
+
+        if (amount <= 0n) {
+          return { amount: 0n, fee: 0n };
+        }
+
+        // The amount is only known now, still before anything is signed
+        const release = await this._reserveSpending(operation, {
+          token,
+          items: [{ recipient, amount }],
+        });
+
+        try {
+          const { hash } = await this._callClient(
+            operation,
+            (client) =>
+              recipient === undefined
+                ? client.withdraw(signer, token, amount)
+                : client.confidentialTransfer(signer, recipient, token, amount),
+            signer,
+          );
+
+          this._balances.addPending(hash, token, -(amount + fee));
+
+          return { hash, amount, fee, release };
+        } catch (error) {
+          await release();
+
+          throw error;
+        }
+      },
+    );
+
+    // The remaining balance can only be checked once the transaction is mined
+    const result = sent.hash
+      ? await this._getResult(
+          sent.hash,
+          { confirmations: Math.max(confirmations, 1), timeoutMs },
+          sent.fee,
+        )
+      : undefined;
+
+    if (result?.status === "reverted") {
+      await sent.release();
+    }
+
+    const { available: remaining } = await this._getConfidentialBalance({
+      token,
+      fresh: true,
+    });
+
+    return {
+      token,
+      amount: sent.amount,
+      protocolFee: sent.fee,
+      result,
+      remaining,
+    };
+  }
+
+  /**
+   * Builds the unsigned transaction of a deposit, to be signed offline and broadcast with
+   * {@link broadcastSignedConfidential}.
+   *
+   * Checks the amount, the chain, the public balance and the allowance of the stabletrust contract
+   * first. The allowance is not approved: a missing allowance throws an
+   * {@link InsufficientAllowanceError}, and the approval must be signed and broadcast before the
+   * deposit is built.
+   *
+   * @param {BuildDepositConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildDepositConfidential(options) {
+    return await this._observe(
+      "buildDepositConfidential",
+      options,
+      async () => {
+        this._assertEnabled("buildDepositConfidential(options)");
+        this._assertProvider("buildDepositConfidential(options)");
+
+        const { token } = options;
+        const amount = await this._parseAmount(
+          options.amount,
+          token,
+          "buildDepositConfidential(options)",
+        );
+
+        await this._assertChain();
+
+        const { spender, allowance } = await this._assertPublicBalance(
+          "buildDepositConfidential",
+          token,
+          amount,
+        );
+
+        if (allowance < amount) {
+          throw new InsufficientAllowanceError({
+            token,
+            spender,
+            required: amount,
+            allowance,
+          });
+        }
+
+        return await this._build(
+          "buildDepositConfidential",
+          { ...options, operation: "depositConfidential", amount, fee: 0n },
+          (client, signer) => client.confidentialDeposit(signer, token, amount),
+        );
+      },
+    );
+  }
+
+  /**
+   * Builds the unsigned transaction of a confidential transfer, to be signed offline and broadcast
+   * with {@link broadcastSignedConfidential}.
+   *
+   * Checks the amount, the chain, that the recipient is registered and the confidential balance,
+   * fees included, and the spending policy. The amount counts towards the policy's window as soon as
+   * the transaction is built, since it may be signed at any time.
+   *
+   * The encrypted amounts and proofs are computed against the current confidential balance: the
+   * transaction must be broadcast before any other operation of the account changes it.
+   *
+   * @param {BuildTransferConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildTransferConfidential(options) {
+    return await this._observe(
+      "buildTransferConfidential",
+      options,
+      async () => {
+        this._assertEnabled("buildTransferConfidential(options)");
+        this._assertProvider("buildTransferConfidential(options)");
+
+        const { recipient, token } = options;
+        const amount = await this._parseAmount(
+          options.amount,
+          token,
+          "buildTransferConfidential(options)",
+        );
+
+        await this._assertChain();
+        await this._assertRecipientRegistered(recipient);
+
+        const fee = await this._getProtocolFee("transfer");
+        await this._assertConfidentialBalance(token, amount + fee);
+
+        return await this._build(
+          "buildTransferConfidential",
+          { ...options, operation: "transferConfidential", amount, fee },
+          (client, signer) =>
+            client.confidentialTransfer(signer, recipient, token, amount),
+        );
+      },
+    );
+  }
+
+  /**
+   * Builds the unsigned transaction of a withdrawal, to be signed offline and broadcast with
+   * {@link broadcastSignedConfidential}.
+   *
+   * Checks the same as {@link buildTransferConfidential}, with the withdrawal fee and no recipient.
+   *
+   * @param {BuildWithdrawConfidentialOptions} options - The build options.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async buildWithdrawConfidential(options) {
+    return await this._observe(
+      "buildWithdrawConfidential",
+      options,
+      async () => {
+        this._assertEnabled("buildWithdrawConfidential(options)");
+        this._assertProvider("buildWithdrawConfidential(options)");
+
+        const { token } = options;
+        const amount = await this._parseAmount(
+          options.amount,
+          token,
+          "buildWithdrawConfidential(options)",
+        );
+
+        await this._assertChain();
+
+        const fee = await this._getProtocolFee("withdraw");
+        await this._assertConfidentialBalance(token, amount + fee);
+
+        return await this._build(
+          "buildWithdrawConfidential",
+          { ...options, operation: "withdrawConfidential", amount, fee },
+          (client, signer) => client.withdraw(signer, token, amount),
+        );
+      },
+    );
+  }
+
+  /**
+   * Runs the stabletrust client with an offline signer, which records the transaction the client
+   * populates, encrypted amounts and proofs included, and refuses to sign it.
+   *
+   * Transfers and withdrawals are checked against the spending policy before the client runs, and
+   * released from its window if no transaction could be built.
+   *
+   * @private
+   * @param {"buildDepositConfidential" | "buildTransferConfidential" | "buildWithdrawConfidential"} method - The name of the build method.
+   * @param {{ operation: UnsignedConfidentialTransaction["operation"], token: string, amount: bigint, recipient?: string, fee: bigint, nonce?: number }} details - The operation to build.
+   * @param {(client: ConfidentialTransferClient, signer: OfflineSigner) => Promise<unknown>} send - Sends the operation through the client.
+   * @returns {Promise<UnsignedConfidentialTransaction>} The unsigned transaction.
+   */
+  async _build(method, details, send) {
+    const { operation, token, amount, recipient, fee, nonce } = details;
+
+    const release =
+      operation === "depositConfidential"
+        ? undefined
+        : await this._reserveSpending(method, {
+            token,
+            items: [{ recipient, amount }],
+          });
+
+    try {
+      const signer = new OfflineSigner(this._address, this._provider, nonce);
+
+      try {
+        await this._call(method, () => send(this._getClient(), signer));
+      } catch (error) {
+        // Refusing to sign is how the transaction is recorded
+        if (!signer.transaction) {
+          throw error;
+        }
+      }
+
+      if (!signer.transaction) {
+        throw new ConfidentialProtocolError(
+          `The stabletrust client did not ask to sign a transaction for '${operation}'.`,
+        );
+      }
+
+      const transaction = Object.fromEntries(
+        Object.entries(signer.transaction).map(([field, value]) => [
+          field,
+          typeof value === "bigint" ? value.toString() : value,
+        ]),
+      );
+
+      return {
+        operation,
+        from: this._address,
+        token,
+        amount: amount.toString(),
+        ...(recipient !== undefined && { recipient }),
+        protocolFee: fee.toString(),
+        transaction: { from: this._address, ...transaction },
+        unsignedTransaction: Transaction.from(signer.transaction)
+          .unsignedSerialized,
+      };
+    } catch (error) {
+      await release?.();
+
+      throw error;
+    }
+  }
+
+  /**
+   * Broadcasts a confidential transaction built with one of the build methods and signed offline.
+   *
+   * Checks that the transaction is signed by the account, for the configured chain, before sending
+   * it. The pending balance does not include the operation: the confirmed balance changes once the
+   * transaction is mined.
+   *
+   * @param {string} rawTx - The signed serialized transaction.
+   * @param {BroadcastSignedConfidentialOptions} [options] - The broadcast options.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async broadcastSignedConfidential(rawTx, options = {}) {
+    return await this._observe(
+      "broadcastSignedConfidential",
+      { rawTx, ...options },
+      async () => {
+        this._assertProvider("broadcastSignedConfidential(rawTx)");
+
+        const transaction = Transaction.from(rawTx);
+
+        if (!transaction.isSigned()) {
+          throw new InvalidOptionError({
+            option: "rawTx",
+            reason: "the transaction to broadcast is not signed",
+          });
+        }
+
+        const address = await this._account.getAddress();
+
+        if (!isSameAddress(transaction.from, address)) {
+          throw new SignerMismatchError({
+            expected: address,
+            actual: transaction.from,
+          });
+        }
+
+        if (Number(transaction.chainId) !== Number(this._config.chainId)) {
+          throw new ChainMismatchError({
+            expected: Number(this._config.chainId),
+            actual: Number(transaction.chainId),
+          });
+        }
+
+        await this._assertChain();
+
+        const { hash } = await this._call("broadcastSignedConfidential", () =>
+          this._provider.broadcastTransaction(rawTx),
+        );
+
+        return await this._getResult(hash, options);
+      },
+    );
+  }
+
+  /**
+   * Gets the confidential and public balances of several tokens at once, with the tokens' metadata
+   * and formatted amounts. The metadata is read once per token and cached.
+   *
+   * @param {GetConfidentialBalancesOptions} options - The balances options.
+   * @returns {Promise<ConfidentialTokenBalance[]>} The balances, in the order of the tokens.
+   */
+  async getConfidentialBalances(options) {
+    return await this._observe("getConfidentialBalances", options, async () => {
+      this._assertEnabled("getConfidentialBalances(options)");
+      this._assertProvider("getConfidentialBalances(options)");
+
+      const { tokens } = options;
+      const address = await this._account.getAddress();
+
+      return await Promise.all(
+        tokens.map(async (token) => {
+          const [{ symbol, decimals }, { amount }, publicAmount] =
+            await Promise.all([
+              this._getTokenMetadata(token),
+              this._getConfidentialBalance({ token }),
+              this._call("balanceOf", () =>
+                this._getTokenContract(token).balanceOf(address),
+              ),
+            ]);
+
+          return {
+            token,
+            symbol,
+            decimals,
+            amount,
+            formatted: formatUnits(amount, decimals),
+            publicAmount,
+            publicFormatted: formatUnits(publicAmount, decimals),
+          };
+        }),
+      );
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} token - The address of the token.
+   * @returns {Promise<TokenMetadata>} The metadata of the token.
+   */
+  _getTokenMetadata(token) {
+    const key = token.toLowerCase();
+
+    if (!this._tokenMetadata.has(key)) {
+      const tokenContract = this._getTokenContract(token);
+
+      const metadata = this._call("getTokenMetadata", async () => {
+        const [symbol, decimals] = await Promise.all([
+          tokenContract.symbol(),
+          tokenContract.decimals(),
+        ]);
+
+        return { symbol, decimals: Number(decimals) };
+      });
+
+      // Failed reads are not cached, so they are retried on the next call
+      metadata.catch(() => this._tokenMetadata.delete(key));
+
+      this._tokenMetadata.set(key, metadata);
+    }
+
+    return this._tokenMetadata.get(key);
+  }
+
+  /**
+   * Waits for the transaction of a confidential operation to be confirmed. Can be used to resume
+   * tracking an operation sent earlier, for example after a reload.
+   *
+   * @param {string} hash - The hash of the operation's transaction.
+   * @param {WaitForConfidentialOperationOptions} [options] - The wait options.
+   * @returns {Promise<ConfidentialResult>} The operation result. The protocol fee is not included.
+   */
+  async waitForConfidentialOperation(hash, options = {}) {
+    return await this._observe(
+      "waitForConfidentialOperation",
+      { hash, ...options },
+      async () => {
+        this._assertProvider("waitForConfidentialOperation(hash, options)");
+
+        const { confirmations = 1, timeoutMs } = options;
+
+        return await this._getResult(hash, { confirmations, timeoutMs });
+      },
+    );
+  }
+
+  /**
+   * Returns the state of the account's operation queue.
+   *
+   * Deposits, transfers and withdrawals of the account run one at a time, in the order they were
+   * called, each starting once the transaction of the previous one is mined. The queue is shared by
+   * all the protocols of the account.
+   *
+   * @returns {ConfidentialQueueState} The state of the queue.
+   */
+  getConfidentialQueue() {
+    this._assertEnabled("getConfidentialQueue()");
+
+    const queue = findOperationQueue(this._config.chainId, this._address);
+
+    return queue?.getState() ?? { depth: 0, pending: [] };
+  }
+
+  /**
+   * Cancels an operation waiting in the account's operation queue. Its caller gets an
+   * {@link OperationCancelledError}. The running operation cannot be cancelled.
+   *
+   * @param {number} id - The id of the operation, as listed by {@link getConfidentialQueue}.
+   * @returns {boolean} True if the operation was pending and is cancelled.
+   */
+  cancelConfidentialOperation(id) {
+    this._assertEnabled("cancelConfidentialOperation(id)");
+
+    const queue = findOperationQueue(this._config.chainId, this._address);
+
+    return queue?.cancel(id) ?? false;
+  }
+
+  /**
+   * Cancels all the operations waiting in the account's operation queue.
+   *
+   * @returns {number} The number of cancelled operations.
+   */
+  cancelPendingConfidentialOperations() {
+    this._assertEnabled("cancelPendingConfidentialOperations()");
+
+    const queue = findOperationQueue(this._config.chainId, this._address);
+
+    return queue?.cancelAll() ?? 0;
+  }
+
+  /**
+   * @private
+   * @param {string} hash - The hash of the operation's transaction.
+   * @param {WaitForConfidentialOperationOptions} options - The wait options.
+   * @param {bigint} [protocolFee] - The protocol fee charged by the operation.
+   * @returns {Promise<ConfidentialResult>} The operation result.
+   */
+  async _getResult(hash, { confirmations = 0, timeoutMs }, protocolFee) {
+    const result = { hash, status: "pending", protocolFee };
+
+    if (confirmations <= 0) {
+      return result;
+    }
+
+    let receipt;
+
+    try {
+      receipt = await this._provider.waitForTransaction(
+        hash,
+        confirmations,
+        timeoutMs,
+      );
+    } catch (error) {
+      if (error.code === "TIMEOUT") {
+        throw new OperationTimeoutError({ hash, timeoutMs });
+      }
+
+      throw new ConfidentialOperationError("waitForTransaction", error);
+    }
+
+    if (!receipt) {
+      return result;
+    }
+
+    return {
+      ...result,
+      status: receipt.status === 1 ? "success" : "reverted",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveFee: receipt.fee,
+    };
+  }
+
+  /**
+   * Gets the confidential balance.
+   *
+   * The available balance is the one confirmed onchain. The pending balance is the net change of the
+   * account's operations sent and not mined yet: right after a deposit or a transfer, 'amount' already
+   * includes it. If the balance cache is enabled, the available balance is served from the cache while
+   * it is fresh.
+   *
+   * @param {GetConfidentialBalanceOptions} options - The balance options.
+   * @returns {Promise<ConfidentialBalanceResult>} The confidential balance.
+   */
+  async getConfidentialBalance(options) {
+    return await this._observe("getConfidentialBalance", options, () =>
+      this._getConfidentialBalance(options),
+    );
+  }
+
+  /**
+   * Reads the confidential balance without notifying the hooks, for the reads the protocol makes on
+   * its own behalf.
+   *
+   * @private
+   * @param {GetConfidentialBalanceOptions} options - The balance options.
+   * @returns {Promise<ConfidentialBalanceResult>} The confidential balance.
+   */
+  async _getConfidentialBalance(options) {
+    this._assertEnabled("getConfidentialBalance(options)");
+
+    const { token, fresh = false } = options;
+    const address = await this._account.getAddress();
+
+    const blockNumber = this._provider
+      ? await this._call("getBlockNumber", () =>
+          this._provider.getBlockNumber(),
+        )
+      : undefined;
+
+    let balance =
+      fresh || blockNumber === undefined
+        ? undefined
+        : this._balances.get(token, blockNumber);
+
+    if (!balance) {
+      const result = await this._callClient(
+        "getConfidentialBalance",
+        (client) =>
+          client.getConfidentialBalance(address, this._keys.privateKey, token),
+      );
+
+      balance = { available: BigInt(result.amount), blockNumber };
+
+      if (blockNumber !== undefined) {
+        this._balances.set(token, balance.available, blockNumber);
+      }
+    }
+
+    if (this._provider && balance.blockNumber !== undefined) {
+      await this._reconcilePending(token);
+    }
+
+    const pending = this._balances.getPending(token, balance.blockNumber);
+
+    return {
+      amount: balance.available + pending,
+      available: balance.available,
+      pending,
+      blockNumber: balance.blockNumber,
+    };
+  }
+
+  /**
+   * Looks up the receipts of the account's pending operations on a token, so that the ones mined
+   * before their operation settled are not counted on top of a balance that already includes them.
+   * A reverted operation changes no balance, so its pending change is dropped.
+   *
+   * @private
+   * @param {string} token - The address of the token.
+   */
+  async _reconcilePending(token) {
+    await Promise.all(
+      this._balances.getUnmined(token).map(async (hash) => {
+        const receipt = await this._call("getTransactionReceipt", () =>
+          this._provider.getTransactionReceipt(hash),
+        );
+
+        if (receipt?.status === 0) {
+          this._balances.settle(hash);
+        } else if (receipt) {
+          this._balances.setMined(hash, receipt.blockNumber);
+        }
+      }),
+    );
+  }
+
+  /**
+   * Invalidates the cached confidential balance of a token, or of all the tokens, so that the next
+   * read decrypts it from the chain again. The pending changes of the account's operations are kept.
+   *
+   * @param {string} [token] - The address of the token (default: all the tokens).
+   */
+  invalidateConfidentialBalance(token) {
+    this._assertEnabled("invalidateConfidentialBalance(token)");
+
+    this._balances.invalidate(token);
+  }
+
+  /**
+   * Gets the history of the account's confidential operations, from the newest to the oldest.
+   *
+   * The history is rebuilt from the events of the stabletrust contract. Deposit and withdrawal
+   * amounts are public; transfer amounts are decrypted with the account's confidential keys.
+   *
+   * @param {GetConfidentialHistoryOptions} [options] - The history options.
+   * @returns {Promise<ConfidentialHistoryResult>} A page of history.
+   */
+  async getConfidentialHistory(options = {}) {
+    return await this._observe("getConfidentialHistory", options, async () => {
+      this._assertEnabled("getConfidentialHistory(options)");
+      this._assertProvider("getConfidentialHistory(options)");
+
+      const address = await this._account.getAddress();
+
+      const fromBlock =
+        options.fromBlock ??
+        this._config.deploymentBlock ??
+        this._getClient().deploymentBlock;
+
+      if (fromBlock === undefined) {
+        throw new InvalidOptionError({
+          option: "fromBlock",
+          reason:
+            "no 'fromBlock' given, and the deployment block of the stabletrust contract is unknown",
+        });
+      }
+
+      return await this._call("getConfidentialHistory", () =>
+        scanConfidentialHistory(
+          {
+            contract: this._getStabletrustContract(),
+            address,
+            decrypt: (ciphertext) => this._decryptAmount(ciphertext),
+            chunkSize: this._config.logChunkSize,
+          },
+          { ...options, fromBlock },
+        ),
+      );
+    });
+  }
+
+  /**
+   * Creates a disclosure of one confidential transfer sent or received by the account, for an auditor
+   * or a counterparty.
+   *
+   * The disclosure states the transfer's amount, token, parties and transaction hash, with a proof
+   * that the ciphertext emitted onchain for the account decrypts to that amount. It is signed by the
+   * account and can be checked by anyone with {@link verifyDisclosure}. The confidential keys are not
+   * disclosed: the account's other transfers stay confidential.
+   *
+   * @param {CreateDisclosureOptions} options - The disclosure options.
+   * @returns {Promise<ConfidentialDisclosure>} The signed disclosure, serializable to json.
+   */
+  async createDisclosure(options) {
+    return await this._observe("createDisclosure", options, async () => {
+      this._assertWritable("createDisclosure(options)");
+      this._assertEnabled("createDisclosure(options)");
+      this._assertProvider("createDisclosure(options)");
+
+      const { hash, logIndex } = options;
+
+      const stabletrustAddress = this._getStabletrustAddress();
+
+      const transfer = await this._call("findConfidentialTransfer", () =>
+        findConfidentialTransfer(this._provider, stabletrustAddress, hash, {
+          address: this._address,
+          logIndex,
+        }),
+      );
+
+      if (!transfer) {
+        throw new ConfidentialTransferNotFoundError({
+          hash,
+          address: this._address,
+        });
+      }
+
+      const role = isSameAddress(transfer.from, this._address)
+        ? "sender"
+        : "recipient";
+
+      const ciphertext =
+        role === "sender" ? transfer.senderAmount : transfer.recipientAmount;
+
+      const amount = await this._call("decryptAmount", () =>
+        this._decryptAmount(ciphertext),
+      );
+
+      const proof = await this._callClient("createDecryptionProof", (client) =>
+        client.createDecryptionProof(ciphertext, this._keys.privateKey),
+      );
+
+      const document = {
+        version: DISCLOSURE_VERSION,
+        chainId: this._config.chainId,
+        stabletrustAddress,
+        hash,
+        blockNumber: transfer.blockNumber,
+        logIndex: transfer.logIndex,
+        token: transfer.token,
+        from: transfer.from,
+        to: transfer.to,
+        amount: amount.toString(),
+        role,
+        discloser: this._address,
+        ciphertext,
+        publicKey: this._keys.publicKey,
+        proof,
+        createdAt: Math.floor(Date.now() / 1_000),
+      };
+
+      const signer = await this._getSigner();
+
+      const signature = await this._call("signDisclosure", () =>
+        signer.signTypedData(
+          getDisclosureDomain(document.chainId),
+          DISCLOSURE_TYPES,
+          toDisclosureMessage(document),
+        ),
+      );
+
+      return { ...document, signature };
+    });
+  }
+
+  /**
+   * Verifies a disclosure against the protocol's chain. No confidential keys are needed: the
+   * standalone {@link verifyDisclosure} function runs the same checks with only an RPC URL.
+   *
+   * @param {ConfidentialDisclosure | string} document - The disclosure, or its json serialization.
+   * @returns {Promise<DisclosureVerification>} The verification.
+   */
+  async verifyDisclosure(document) {
+    return await this._observe("verifyDisclosure", { document }, async () => {
+      this._assertProvider("verifyDisclosure(document)");
+
+      return await this._call("verifyDisclosure", () =>
+        checkDisclosure(document, {
+          provider: this._provider,
+          client: this._getClient(),
+          stabletrustAddress: this._getStabletrustAddress(),
+        }),
+      );
+    });
+  }
+
+  /**
+   * Subscribes to the confidential transfers received by the account.
+   *
+   * Blocks missed while the provider is unreachable are caught up on once it reconnects.
+   *
+   * @param {(entry: ConfidentialHistoryEntry) => void | Promise<void>} handler - Called with each received transfer, its amount decrypted.
+   * @param {ConfidentialTransferReceivedOptions} [options] - The subscription options.
+   * @returns {() => void} A function that unsubscribes the handler.
+   */
+  onConfidentialTransferReceived(handler, options = {}) {
+    const { token, onError } = options;
+
+    const watcher = this._getWatcher(
+      "onConfidentialTransferReceived(handler, options)",
+    );
+
+    return watcher.subscribe({
+      onEntries: async (entries) => {
+        for (const entry of entries) {
+          if (
+            entry.type === "transfer" &&
+            entry.direction === "in" &&
+            (!token || isSameAddress(entry.token, token))
+          ) {
+            await handler(entry);
+          }
+        }
+      },
+      onError,
+    });
+  }
+
+  /**
+   * Subscribes to the changes of the account's confidential balance of a token.
+   *
+   * The balance is read again whenever a deposit, transfer or withdrawal of the token involving the
+   * account is mined, and the handler is called if it changed. Blocks missed while the provider is
+   * unreachable are caught up on once it reconnects.
+   *
+   * @param {ConfidentialBalanceChangedOptions} options - The subscription options.
+   * @param {(event: ConfidentialBalanceChangedEvent) => void | Promise<void>} handler - Called with each balance change.
+   * @returns {() => void} A function that unsubscribes the handler.
+   */
+  onConfidentialBalanceChanged(options, handler) {
+    const { token, onError } = options;
+
+    if (typeof token !== "string" || !isAddress(token)) {
+      throw new InvalidOptionError({
+        option: "token",
+        reason: `the token must be an address, not ${token}`,
+      });
+    }
+
+    const watcher = this._getWatcher(
+      "onConfidentialBalanceChanged(options, handler)",
+    );
+
+    let previousAmount;
+
+    const ready = this._getConfidentialBalance({ token, fresh: true }).then(
+      ({ available }) => {
+        previousAmount = available;
+      },
+      (error) => onError?.(error),
+    );
+
+    return watcher.subscribe({
+      onEntries: async (entries, blockNumber) => {
+        if (!entries.some((entry) => isSameAddress(entry.token, token))) {
+          return;
+        }
+
+        await ready;
+
+        const { available: amount } = await this._getConfidentialBalance({
+          token,
+          fresh: true,
+        });
+
+        if (amount !== previousAmount) {
+          const event = { token, amount, previousAmount, blockNumber };
+
+          previousAmount = amount;
+
+          await handler(event);
+        }
+      },
+      onError,
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} methodName - The name of the method being called.
+   * @returns {ConfidentialEventWatcher} The event watcher of the account.
+   */
+  _getWatcher(methodName) {
+    this._assertEnabled(methodName);
+    this._assertProvider(methodName);
+
+    if (!this._watcher) {
+      this._watcher = new ConfidentialEventWatcher({
+        contract: this._getStabletrustContract(),
+        address: this._address,
+        decrypt: (ciphertext) => this._decryptAmount(ciphertext),
+        chunkSize: this._config.logChunkSize,
+      });
+    }
+
+    return this._watcher;
+  }
+
+  /**
+   * Quotes a confidential deposit.
+   *
+   * @param {QuoteDepositConfidentialOptions} options - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteDepositConfidential(options) {
+    return await this._observe("quoteDepositConfidential", options, () => {
+      this._assertProvider("quoteDepositConfidential(options)");
+
+      return this._quote("deposit", options);
+    });
+  }
+
+  /**
+   * Quotes a confidential transfer.
+   *
+   * @param {QuoteTransferConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteTransferConfidential(options = {}) {
+    return await this._observe("quoteTransferConfidential", options, () => {
+      this._assertProvider("quoteTransferConfidential(options)");
+
+      return this._quote("transfer", options);
+    });
+  }
+
+  /**
+   * Quotes a confidential withdrawal.
+   *
+   * @param {QuoteWithdrawConfidentialOptions} [options] - The quote options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async quoteWithdrawConfidential(options = {}) {
+    return await this._observe("quoteWithdrawConfidential", options, () => {
+      this._assertProvider("quoteWithdrawConfidential(options)");
+
+      return this._quote("withdraw", options);
+    });
+  }
+
+  /**
+   * Estimates the gas of a confidential operation through the provider, by running the stabletrust
+   * client with an offline signer: the transaction it populates carries the provider's estimate.
+   *
+   * @private
+   * @param {"deposit" | "transfer" | "withdraw"} operation - The operation to estimate.
+   * @param {{ token?: string, amount?: bigint, recipient?: string }} options - The operation options.
+   * @returns {Promise<bigint | undefined>} The gas limit, or undefined if the client could not build the transaction.
+   */
+  async _estimateGas(operation, { token, amount, recipient }) {
+    if (
+      token === undefined ||
+      amount === undefined ||
+      (operation === "transfer" && recipient === undefined)
+    ) {
+      return undefined;
+    }
+
+    const signer = new OfflineSigner(
+      await this._account.getAddress(),
+      this._provider,
+    );
+
+    const client = this._getClient();
+
+    // Refusing to sign is how the transaction is recorded. Any other failure, such as a client that
+    // asks for the wallet's signature while building, leaves the estimate to the defaults
+    try {
+      if (operation === "deposit") {
+        await client.confidentialDeposit(signer, token, amount);
+      } else if (operation === "transfer") {
+        await client.confidentialTransfer(signer, recipient, token, amount);
+      } else {
+        await client.withdraw(signer, token, amount);
+      }
+    } catch {}
+
+    const gasLimit = signer.transaction?.gasLimit;
+
+    return gasLimit === undefined ? undefined : BigInt(gasLimit);
+  }
+
+  /**
+   * @private
+   * @param {"deposit" | "transfer" | "withdraw"} operation - The operation to quote.
+   * @param {{ token?: string, amount?: Amount, recipient?: string }} options - The operation options.
+   * @returns {Promise<ConfidentialQuote>} The quote.
+   */
+  async _quote(operation, options) {
+    const { token } = options;
+
+    // The protocol fee is flat, so only deposits need an amount, to check the allowance against.
+    // The public quote methods already checked the provider
+    const amount =
+      operation === "deposit" || options.amount !== undefined
+        ? await this._parseAmount(options.amount, token)
+        : undefined;
+
+    const [protocolFee, feeData] = await Promise.all([
+      this._getProtocolFee(operation),
+      this._call("getFeeData", () => this._provider.getFeeData()),
+    ]);
+
+    const feePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const gasLimit = BigInt(
+      this._config.gasLimits?.[operation] ??
+        (await this._estimateGas(operation, { ...options, amount })) ??
+        DEFAULT_GAS_LIMITS[operation],
+    );
+
+    let approvalGasLimit = 0n;
+
+    if (operation === "deposit") {
+      const owner = await this._account.getAddress();
+      const spender = this._getStabletrustAddress();
+      const tokenContract = this._getTokenContract(token);
+
+      const allowance = await this._call("getAllowance", () =>
+        tokenContract.allowance(owner, spender),
+      );
+
+      if (allowance < amount) {
+        approvalGasLimit = await this._call("estimateApprovalGas", () =>
+          tokenContract.approve.estimateGas(spender, amount, { from: owner }),
+        );
+      }
+    }
+
+    return {
+      protocolFee,
+      gasLimit,
+      feePerGas,
+      approvalRequired: approvalGasLimit > 0n,
+      approvalGasLimit,
+      totalNativeCost: (gasLimit + approvalGasLimit) * feePerGas,
+    };
   }
 }
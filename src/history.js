@@ -0,0 +1,268 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { InvalidOptionError } from "./confidential-protocol.js";
+
+/** @typedef {import('ethers').Contract} Contract */
+/** @typedef {import('ethers').EventLog} EventLog */
+
+/**
+ * @typedef {Object} ConfidentialHistoryEntry
+ * @property {"deposit" | "transfer" | "withdraw"} type - The type of the operation.
+ * @property {"in" | "out"} direction - Whether the operation credited ("in") or debited ("out") the confidential balance.
+ * @property {string | null} counterparty - The other party of a transfer, or null for deposits and withdrawals.
+ * @property {string} token - The address of the token.
+ * @property {bigint | null} amount - The amount (in base unit), or null if it cannot be decrypted with the account's keys.
+ * @property {number} blockNumber - The number of the block that includes the operation.
+ * @property {string} hash - The hash of the operation's transaction.
+ * @property {number} logIndex - The index of the operation's event in the block.
+ */
+
+/**
+ * @typedef {Object} GetConfidentialHistoryOptions
+ * @property {string} [token] - If set, only returns the operations of this token.
+ * @property {number} [fromBlock] - The oldest block to scan (default: the block the stabletrust contract was deployed at).
+ * @property {number} [toBlock] - The newest block to scan (default: the latest block).
+ * @property {number} [limit] - The maximum number of entries to return, a positive integer (default: 50).
+ * @property {string} [cursor] - The cursor returned with the previous page, to get the next (older) one.
+ */
+
+/**
+ * @typedef {Object} ConfidentialHistoryResult
+ * @property {ConfidentialHistoryEntry[]} entries - The entries, from the newest to the oldest.
+ * @property {string} [nextCursor] - The cursor of the next page, or undefined if there are no more entries.
+ */
+
+/**
+ * The events emitted by the stabletrust contract for confidential operations.
+ */
+export const STABLETRUST_EVENTS_ABI = [
+  "event ConfidentialDeposit(address indexed account, address indexed token, uint256 amount)",
+  "event ConfidentialTransfer(address indexed from, address indexed to, address indexed token, bytes senderAmount, bytes recipientAmount)",
+  "event ConfidentialWithdraw(address indexed account, address indexed token, uint256 amount)",
+];
+
+const DEFAULT_LIMIT = 50;
+
+export const DEFAULT_CHUNK_SIZE = 10_000;
+
+function parseCursor(cursor) {
+  const [blockNumber, logIndex] = cursor.split(":").map(Number);
+
+  if (!Number.isInteger(blockNumber) || !Number.isInteger(logIndex)) {
+    throw new InvalidOptionError({
+      option: "cursor",
+      reason: `malformed history cursor '${cursor}'`,
+    });
+  }
+
+  return { blockNumber, logIndex };
+}
+
+function isBefore(log, cursor) {
+  return (
+    log.blockNumber < cursor.blockNumber ||
+    (log.blockNumber === cursor.blockNumber && log.index < cursor.logIndex)
+  );
+}
+
+/**
+ * Converts a stabletrust event into a history entry.
+ *
+ * @param {EventLog} log - The event.
+ * @param {string} address - The address of the account.
+ * @param {(ciphertext: string) => Promise<bigint>} decrypt - Decrypts an amount encrypted for the account.
+ * @returns {Promise<ConfidentialHistoryEntry>} The entry.
+ */
+export async function toHistoryEntry(log, address, decrypt) {
+  const { args } = log;
+
+  const entry = {
+    token: args.token,
+    blockNumber: log.blockNumber,
+    hash: log.transactionHash,
+    logIndex: log.index,
+  };
+
+  switch (log.fragment.name) {
+    case "ConfidentialDeposit":
+      return {
+        type: "deposit",
+        direction: "in",
+        counterparty: null,
+        amount: args.amount,
+        ...entry,
+      };
+
+    case "ConfidentialWithdraw":
+      return {
+        type: "withdraw",
+        direction: "out",
+        counterparty: null,
+        amount: args.amount,
+        ...entry,
+      };
+
+    default: {
+      const outgoing = args.from.toLowerCase() === address.toLowerCase();
+
+      let amount = null;
+
+      try {
+        amount = await decrypt(
+          outgoing ? args.senderAmount : args.recipientAmount,
+        );
+      } catch {
+        // The amount is not encrypted for the account: it stays hidden
+      }
+
+      return {
+        type: "transfer",
+        direction: outgoing ? "out" : "in",
+        counterparty: outgoing ? args.to : args.from,
+        amount,
+        ...entry,
+      };
+    }
+  }
+}
+
+/**
+ * Queries the events of the stabletrust contract for the confidential operations of an account in a
+ * block range.
+ *
+ * @param {Contract} contract - The stabletrust contract, connected to a provider.
+ * @param {string} address - The address of the account.
+ * @param {string | null} token - If set, only queries the operations of this token.
+ * @param {number} fromBlock - The first block of the range.
+ * @param {number} toBlock - The last block of the range.
+ * @returns {Promise<EventLog[]>} The events, unsorted.
+ */
+export async function queryConfidentialLogs(
+  contract,
+  address,
+  token,
+  fromBlock,
+  toBlock,
+) {
+  const { filters } = contract;
+
+  const queries = [
+    filters.ConfidentialDeposit(address, token),
+    filters.ConfidentialWithdraw(address, token),
+    filters.ConfidentialTransfer(address, null, token),
+    filters.ConfidentialTransfer(null, address, token),
+  ];
+
+  const results = await Promise.all(
+    queries.map((query) => contract.queryFilter(query, fromBlock, toBlock)),
+  );
+
+  const seen = new Set();
+
+  return results.flat().filter((log) => {
+    // Transfers to self match both transfer queries
+    const id = `${log.transactionHash}:${log.index}`;
+
+    if (seen.has(id)) {
+      return false;
+    }
+
+    seen.add(id);
+
+    return true;
+  });
+}
+
+/**
+ * Scans the events of the stabletrust contract, from the newest block to the oldest, for the
+ * confidential operations of an account. Only standard json-rpc log queries are used, so any node,
+ * including a local development chain, can serve the history.
+ *
+ * @param {Object} params - The scan parameters.
+ * @param {Contract} params.contract - The stabletrust contract, connected to a provider.
+ * @param {string} params.address - The address of the account.
+ * @param {(ciphertext: string) => Promise<bigint>} params.decrypt - Decrypts an amount encrypted for the account.
+ * @param {number} [params.chunkSize] - The maximum number of blocks per log query (default: 10000).
+ * @param {GetConfidentialHistoryOptions} [options] - The history options.
+ * @returns {Promise<ConfidentialHistoryResult>} A page of history.
+ */
+export async function scanConfidentialHistory(
+  { contract, address, decrypt, chunkSize = DEFAULT_CHUNK_SIZE },
+  options = {},
+) {
+  const { token = null, fromBlock, limit = DEFAULT_LIMIT } = options;
+
+  if (!Number.isSafeInteger(limit) || limit <= 0) {
+    throw new InvalidOptionError({
+      option: "limit",
+      reason: `the maximum number of entries must be a positive integer, not ${limit}`,
+    });
+  }
+
+  // Scanning back to the genesis block would query every block of the chain
+  if (!Number.isSafeInteger(fromBlock) || fromBlock < 0) {
+    throw new InvalidOptionError({
+      option: "fromBlock",
+      reason: `the first block to scan must be a non-negative integer, not ${fromBlock}`,
+    });
+  }
+
+  const cursor = options.cursor ? parseCursor(options.cursor) : undefined;
+
+  let end =
+    options.toBlock ?? (await contract.runner.provider.getBlockNumber());
+
+  if (cursor) {
+    end = Math.min(end, cursor.blockNumber);
+  }
+
+  const entries = [];
+
+  while (end >= fromBlock && entries.length < limit) {
+    const start = Math.max(fromBlock, end - chunkSize + 1);
+
+    const logs = await queryConfidentialLogs(
+      contract,
+      address,
+      token,
+      start,
+      end,
+    );
+
+    const page = logs
+      .filter((log) => !cursor || isBefore(log, cursor))
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index);
+
+    for (const log of page) {
+      entries.push(await toHistoryEntry(log, address, decrypt));
+
+      if (entries.length === limit) {
+        break;
+      }
+    }
+
+    end = start - 1;
+  }
+
+  const last = entries[entries.length - 1];
+
+  return {
+    entries,
+    nextCursor:
+      entries.length === limit
+        ? `${last.blockNumber}:${last.logIndex}`
+        : undefined,
+  };
+}
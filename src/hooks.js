@@ -0,0 +1,208 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { InsufficientConfidentialBalanceError } from "./confidential-protocol.js";
+
+/**
+ * @typedef {Object} ConfidentialHookEvent
+ * @property {string} operation - The name of the operation, e.g. "transferConfidential".
+ * @property {Record<string, unknown>} params - The parameters of the operation, redacted.
+ * @property {number} startedAt - When the operation started (unix timestamp in milliseconds).
+ * @property {number} [durationMs] - How long the operation took, in milliseconds. Not set before the operation.
+ * @property {string} [hash] - The hash of the operation's transaction, if it sent one.
+ * @property {unknown} [result] - The value of the operation, redacted. Only set after a successful operation.
+ * @property {Error} [error] - The error of the operation, redacted. Only set after a failed operation.
+ */
+
+/**
+ * @typedef {Object} ConfidentialHooks
+ * @property {(event: ConfidentialHookEvent) => void | Promise<void>} [before] - Called when an operation starts.
+ * @property {(event: ConfidentialHookEvent) => void | Promise<void>} [after] - Called when an operation succeeds.
+ * @property {(event: ConfidentialHookEvent) => void | Promise<void>} [error] - Called when an operation fails.
+ * @property {boolean} [includeSensitive] - If true, the events carry the confidential private keys, passwords and decrypted amounts instead of redacting them (default: false).
+ */
+
+/**
+ * The value that replaces redacted fields.
+ */
+export const REDACTED = "[redacted]";
+
+// The fields that carry secrets in the parameters of the operations
+const SENSITIVE_PARAMS = ["privateKey", "password", "keystore"];
+
+// The fields that carry secrets or decrypted balances in the values of the operations
+const SENSITIVE_RESULTS = ["privateKey", "available", "pending", "remaining"];
+
+// The operations whose values carry decrypted amounts in their 'amount' fields. Elsewhere, such as in
+// approvals or in the items of a batch, amounts were given by the caller or are public onchain
+const DECRYPTED_RESULTS = {
+  getConfidentialBalance: ["amount"],
+  getConfidentialBalances: ["amount", "formatted"],
+  getConfidentialHistory: ["amount"],
+  createDisclosure: ["amount"],
+  sweepConfidential: ["amount"],
+  withdrawAllConfidential: ["amount"],
+  disableConfidentiality: ["amount"],
+};
+
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Copies a value, replacing the fields with the given names, at any depth, with {@link REDACTED}.
+ * Only plain objects and arrays are copied, and errors that report a decrypted balance; other
+ * objects are kept as they are.
+ *
+ * @param {unknown} value - The value.
+ * @param {string[]} fields - The names of the fields to redact.
+ * @returns {unknown} The redacted copy.
+ */
+export function redact(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, fields));
+  }
+
+  if (value instanceof Error) {
+    return redactError(value);
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      fields.includes(key) && field !== undefined && field !== null
+        ? REDACTED
+        : redact(field, fields),
+    ]),
+  );
+}
+
+function redactError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  // The error may wrap the one that reports the balance
+  const cause = redactError(error.cause);
+
+  if (
+    !(error instanceof InsufficientConfidentialBalanceError) &&
+    cause === error.cause
+  ) {
+    return error;
+  }
+
+  const redacted = Object.create(
+    Object.getPrototypeOf(error),
+    Object.getOwnPropertyDescriptors(error),
+  );
+
+  if (cause !== error.cause) {
+    redacted.cause = cause;
+  }
+
+  // The error reports the decrypted balance, in its message too
+  if (error instanceof InsufficientConfidentialBalanceError) {
+    const shown = `${error.available} available`;
+    redacted.available = REDACTED;
+    redacted.message = error.message.replace(shown, `${REDACTED} available`);
+    redacted.stack = error.stack?.replace(shown, `${REDACTED} available`);
+  }
+
+  return redacted;
+}
+
+function notify(hooks, stage, event) {
+  for (const hook of hooks) {
+    const callback = hook[stage];
+
+    if (!callback) {
+      continue;
+    }
+
+    const redacted = hook.includeSensitive
+      ? event
+      : {
+          ...event,
+          params: redact(event.params, SENSITIVE_PARAMS),
+          ...("result" in event && {
+            result: redact(event.result, [
+              ...SENSITIVE_RESULTS,
+              ...(DECRYPTED_RESULTS[event.operation] ?? []),
+            ]),
+          }),
+          ...("error" in event && { error: redactError(event.error) }),
+        };
+
+    // A failing hook must not fail the operation it observes
+    try {
+      Promise.resolve(callback(redacted)).catch(() => {});
+    } catch {}
+  }
+}
+
+/**
+ * Runs an operation, and notifies the hooks when it starts, succeeds and fails.
+ *
+ * The hooks are not awaited: a slow or failing hook neither delays nor fails the operation.
+ *
+ * @template T
+ * @param {ConfidentialHooks[]} hooks - The hooks.
+ * @param {string} operation - The name of the operation.
+ * @param {Record<string, unknown>} params - The parameters of the operation.
+ * @param {() => Promise<T>} fn - The operation.
+ * @returns {Promise<T>} The value of the operation.
+ */
+export async function observe(hooks, operation, params, fn) {
+  if (hooks.length === 0) {
+    return await fn();
+  }
+
+  const startedAt = Date.now();
+  const event = { operation, params, startedAt };
+
+  notify(hooks, "before", event);
+
+  try {
+    const result = await fn();
+
+    notify(hooks, "after", {
+      ...event,
+      durationMs: Date.now() - startedAt,
+      hash: typeof result?.hash === "string" ? result.hash : undefined,
+      result,
+    });
+
+    return result;
+  } catch (error) {
+    notify(hooks, "error", {
+      ...event,
+      durationMs: Date.now() - startedAt,
+      hash: typeof error?.hash === "string" ? error.hash : undefined,
+      error,
+    });
+
+    throw error;
+  }
+}
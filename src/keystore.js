@@ -0,0 +1,273 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scrypt,
+} from "node:crypto";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import {
+  InvalidKeystoreFormatError,
+  InvalidKeystorePasswordError,
+} from "./confidential-protocol.js";
+
+/** @typedef {import('./confidential-protocol.js').ConfidentialKeys} ConfidentialKeys */
+
+/**
+ * @typedef {Object} ConfidentialKeystore
+ * @property {1} version - The keystore format version.
+ * @property {string} address - The address of the account the keys belong to.
+ * @property {number} chainId - The chain ID the keys are registered on.
+ * @property {string} publicKey - The confidential public key, stored in clear.
+ * @property {Object} crypto - The encryption parameters and the encrypted private key.
+ * @property {"aes-256-gcm"} crypto.cipher - The cipher.
+ * @property {string} crypto.ciphertext - The encrypted private key (hex).
+ * @property {{ iv: string, tag: string }} crypto.cipherparams - The cipher iv and authentication tag (hex).
+ * @property {"scrypt"} crypto.kdf - The key derivation function.
+ * @property {{ n: number, r: number, p: number, dklen: number, salt: string }} crypto.kdfparams - The key derivation parameters.
+ */
+
+/**
+ * @typedef {Object} EncryptConfidentialKeysOptions
+ * @property {string} address - The address of the account the keys belong to.
+ * @property {number} chainId - The chain ID the keys are registered on.
+ * @property {number} [scryptN] - The scrypt cost parameter (default: 131072).
+ */
+
+/**
+ * @typedef {Object} KeyStorage
+ * @property {(id: string) => Promise<ConfidentialKeystore | undefined>} get - Loads a keystore, or returns undefined if none is stored under the id.
+ * @property {(id: string, keystore: ConfidentialKeystore) => Promise<void>} set - Stores a keystore.
+ * @property {(id: string) => Promise<void>} delete - Removes a keystore.
+ */
+
+const VERSION = 1;
+
+const CIPHER = "aes-256-gcm";
+
+const DEFAULT_SCRYPT_N = 131072;
+
+const SCRYPT_R = 8;
+
+const SCRYPT_P = 1;
+
+const DKLEN = 32;
+
+function deriveKey(password, { n, r, p, dklen, salt }) {
+  return new Promise((resolve, reject) => {
+    scrypt(
+      password,
+      Buffer.from(salt, "hex"),
+      dklen,
+      { N: n, r, p, maxmem: 256 * n * r },
+      (error, key) => (error ? reject(error) : resolve(key)),
+    );
+  });
+}
+
+/**
+ * Encrypts confidential keys with a password.
+ *
+ * @param {ConfidentialKeys} keys - The keys to encrypt.
+ * @param {string} password - The password.
+ * @param {EncryptConfidentialKeysOptions} options - The keystore options.
+ * @returns {Promise<ConfidentialKeystore>} The keystore.
+ */
+export async function encryptConfidentialKeys(keys, password, options) {
+  const { address, chainId, scryptN = DEFAULT_SCRYPT_N } = options;
+
+  const kdfparams = {
+    n: scryptN,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    dklen: DKLEN,
+    salt: randomBytes(32).toString("hex"),
+  };
+
+  const key = await deriveKey(password, kdfparams);
+  const iv = randomBytes(12);
+
+  const cipher = createCipheriv(CIPHER, key, iv);
+  // The public key is authenticated so it cannot be swapped without the password
+  cipher.setAAD(Buffer.from(keys.publicKey, "utf8"));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(keys.privateKey, "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    version: VERSION,
+    address,
+    chainId,
+    publicKey: keys.publicKey,
+    crypto: {
+      cipher: CIPHER,
+      ciphertext: ciphertext.toString("hex"),
+      cipherparams: {
+        iv: iv.toString("hex"),
+        tag: cipher.getAuthTag().toString("hex"),
+      },
+      kdf: "scrypt",
+      kdfparams,
+    },
+  };
+}
+
+/**
+ * Decrypts confidential keys from a keystore.
+ *
+ * @param {ConfidentialKeystore | string} keystore - The keystore, or its json serialization.
+ * @param {string} password - The password.
+ * @returns {Promise<ConfidentialKeys>} The keys.
+ */
+export async function decryptConfidentialKeys(keystore, password) {
+  if (typeof keystore === "string") {
+    try {
+      keystore = JSON.parse(keystore);
+    } catch {
+      throw new InvalidKeystoreFormatError("malformed json");
+    }
+  }
+
+  if (keystore?.version !== VERSION) {
+    throw new InvalidKeystoreFormatError(
+      `unsupported version ${keystore?.version}`,
+    );
+  }
+
+  if (!keystore.crypto) {
+    throw new InvalidKeystoreFormatError("missing 'crypto' section");
+  }
+
+  const {
+    cipher: cipherName,
+    ciphertext,
+    cipherparams,
+    kdf,
+    kdfparams,
+  } = keystore.crypto;
+
+  if (cipherName !== CIPHER || kdf !== "scrypt") {
+    throw new InvalidKeystoreFormatError(
+      `unsupported cipher or kdf ${cipherName}, ${kdf}`,
+    );
+  }
+
+  const key = await deriveKey(password, kdfparams);
+
+  const decipher = createDecipheriv(
+    CIPHER,
+    key,
+    Buffer.from(cipherparams.iv, "hex"),
+  );
+  decipher.setAAD(Buffer.from(keystore.publicKey, "utf8"));
+  decipher.setAuthTag(Buffer.from(cipherparams.tag, "hex"));
+
+  let privateKey;
+
+  try {
+    privateKey = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "hex")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    throw new InvalidKeystorePasswordError(keystore.address);
+  }
+
+  return { publicKey: keystore.publicKey, privateKey };
+}
+
+/**
+ * Returns the id under which a key storage keeps the keystore of an account.
+ *
+ * @param {string} address - The address of the account.
+ * @param {number} chainId - The chain ID.
+ * @returns {string} The storage id.
+ */
+export function getKeystoreId(address, chainId) {
+  return `${address.toLowerCase()}-${chainId}`;
+}
+
+/**
+ * A key storage that keeps each keystore in a json file inside a directory.
+ *
+ * @implements {KeyStorage}
+ */
+export class FileKeyStorage {
+  /**
+   * Creates a new file key storage.
+   *
+   * @param {string} directory - The directory to store the keystores in. It is created if missing.
+   */
+  constructor(directory) {
+    /** @private */
+    this._directory = directory;
+  }
+
+  /** @private */
+  _getPath(id) {
+    if (!/^[\w.-]+$/.test(id)) {
+      throw new Error(`Invalid keystore id: ${id}.`);
+    }
+
+    return join(this._directory, `${id}.json`);
+  }
+
+  /**
+   * Loads a keystore.
+   *
+   * @param {string} id - The keystore id.
+   * @returns {Promise<ConfidentialKeystore | undefined>} The keystore, or undefined if none is stored under the id.
+   */
+  async get(id) {
+    try {
+      const json = await readFile(this._getPath(id), "utf8");
+      return JSON.parse(json);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return undefined;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Stores a keystore.
+   *
+   * @param {string} id - The keystore id.
+   * @param {ConfidentialKeystore} keystore - The keystore.
+   * @returns {Promise<void>}
+   */
+  async set(id, keystore) {
+    await mkdir(this._directory, { recursive: true, mode: 0o700 });
+    await writeFile(this._getPath(id), JSON.stringify(keystore, null, 2), {
+      mode: 0o600,
+    });
+  }
+
+  /**
+   * Removes a keystore.
+   *
+   * @param {string} id - The keystore id.
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await rm(this._getPath(id), { force: true });
+  }
+}
@@ -0,0 +1,1275 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  AbiCoder,
+  Interface,
+  Transaction,
+  TypedDataEncoder,
+  ZeroAddress,
+  ZeroHash,
+  concat,
+  dataSlice,
+  getAddress,
+  hexlify,
+  id,
+  keccak256,
+  randomBytes,
+  toBeHex,
+  toQuantity,
+  verifyTypedData,
+} from "ethers";
+import { STABLETRUST_EVENTS_ABI } from "./history.js";
+
+/** @typedef {import('ethers').Signer} Signer */
+
+/**
+ * @typedef {Object} MockConfidentialTransferClientOptions
+ * @property {number} [chainId] - The chain ID of the simulated chain (default: 31337).
+ * @property {string} [contractAddress] - The address of the simulated stabletrust contract.
+ * @property {bigint} [fee] - The protocol fee charged on transfers and withdrawals (default: 0).
+ */
+
+/**
+ * @typedef {Object} MockTokenOptions
+ * @property {string} [symbol] - The symbol of the token (default: "MOCK").
+ * @property {number} [decimals] - The decimals of the token (default: 6).
+ * @property {string} [name] - The name of the token (default: its symbol).
+ * @property {boolean} [permit] - Whether the token supports eip-2612 permits (default: false).
+ */
+
+/**
+ * @typedef {Object} Eip1193Provider
+ * @property {(args: { method: string, params?: any[] }) => Promise<any>} request - Sends a json-rpc request.
+ */
+
+const DEFAULT_CHAIN_ID = 31337;
+
+const DEFAULT_CONTRACT_ADDRESS = getAddress(
+  dataSlice(id("MockConfidentialTransferClient"), 12),
+);
+
+const GENESIS_TIMESTAMP = 1_767_225_600;
+
+const BLOCK_TIME = 2;
+
+const GAS_LIMIT = 100_000n;
+
+const GAS_PRICE = 1_000_000_000n;
+
+const NATIVE_BALANCE = 10n ** 21n;
+
+const REGISTRATION_MESSAGE = "Register my confidential account";
+
+const MOCK_ERC20_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function transfer(address to, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+  "function name() external view returns (string)",
+  "function version() external view returns (string)",
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+];
+
+const PERMIT_FUNCTIONS = ["version", "nonces", "DOMAIN_SEPARATOR"];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const MOCK_STABLETRUST_ABI = [
+  "function confidentialDeposit(address token, uint256 amount) external",
+  "function confidentialTransfer(address recipient, address token, bytes amount, bytes proof) external",
+  "function withdraw(address token, uint256 amount) external",
+  "function rotateAccountKeys(bytes32 publicKey, address[] tokens, bytes proof) external",
+  "function deregisterAccount(bytes proof) external",
+];
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const events = new Interface(STABLETRUST_EVENTS_ABI);
+
+const erc20 = new Interface(MOCK_ERC20_ABI);
+
+const stabletrust = new Interface(MOCK_STABLETRUST_ABI);
+
+function derivePublicKey(privateKey) {
+  return keccak256(privateKey);
+}
+
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+/**
+ * An in-memory, deterministic stand-in for the stabletrust client, to test integrations offline.
+ *
+ * It simulates the stabletrust contract (account registration, key rotation and deregistration,
+ * deposits, transfers, withdrawals and fees), the erc20 tokens it holds, and the chain they live
+ * on: every transaction is mined at once in its own block. Its {@link provider} serves that chain
+ * to the wallet and the protocol, events included, so the history, subscriptions and disclosures
+ * work as they do against a node.
+ *
+ * The encryption is a keyed mask, not homomorphic encryption, and the proofs can be forged by
+ * anyone who knows the amount: the mock must never be used outside of tests.
+ *
+ * @example
+ * const mock = new MockConfidentialTransferClient({ fee: 10n });
+ * mock.addToken(token, { symbol: "USDT0", decimals: 6 });
+ * mock.mint(await account.getAddress(), token, 1_000_000n);
+ *
+ * // The wallet is configured with 'provider: mock.provider'
+ * const confAccount = await enableConfidentiality(account, {
+ *   chainId: mock.chainId,
+ *   client: mock,
+ *   pollingInterval: 10,
+ * });
+ */
+export class MockConfidentialTransferClient {
+  /**
+   * Creates a new mock client.
+   *
+   * @param {MockConfidentialTransferClientOptions} [options] - The mock options.
+   */
+  constructor(options = {}) {
+    const {
+      chainId = DEFAULT_CHAIN_ID,
+      contractAddress = DEFAULT_CONTRACT_ADDRESS,
+      fee = 0n,
+    } = options;
+
+    /** @private */
+    this._chainId = chainId;
+
+    /** @private */
+    this._contractAddress = getAddress(contractAddress);
+
+    /** @private */
+    this._fee = BigInt(fee);
+
+    /**
+     * The keys of the registered accounts, by lowercase address.
+     *
+     * @private
+     * @type {Map<string, { publicKey: string, privateKey: string }>}
+     */
+    this._accounts = new Map();
+
+    /**
+     * The keys generated for key rotations, by public key.
+     *
+     * @private
+     * @type {Map<string, { publicKey: string, privateKey: string }>}
+     */
+    this._generatedKeys = new Map();
+
+    /**
+     * The confidential balances, by lowercase account and token addresses.
+     *
+     * @private
+     * @type {Map<string, bigint>}
+     */
+    this._balances = new Map();
+
+    /**
+     * The erc20 tokens, by lowercase address.
+     *
+     * @private
+     * @type {Map<string, { symbol: string, decimals: number, name: string, permit: boolean, balances: Map<string, bigint>, allowances: Map<string, bigint>, nonces: Map<string, bigint> }>}
+     */
+    this._tokens = new Map();
+
+    /**
+     * The mined blocks, by number.
+     *
+     * @private
+     * @type {Array<{ number: number, hash: string, parentHash: string, timestamp: number, transactions: string[] }>}
+     */
+    this._blocks = [];
+
+    /**
+     * The mined transactions and their receipts, by hash.
+     *
+     * @private
+     * @type {Map<string, { transaction: Object, receipt: Object }>}
+     */
+    this._transactions = new Map();
+
+    /**
+     * The next nonces of the accounts, by lowercase address.
+     *
+     * @private
+     * @type {Map<string, number>}
+     */
+    this._nonces = new Map();
+
+    /**
+     * The failures to inject in the next calls.
+     *
+     * @private
+     * @type {Array<{ operation: string, error?: Error }>}
+     */
+    this._failures = [];
+
+    /** @private */
+    this._nextCiphertext = 0n;
+
+    /** @private */
+    this._provider = { request: (args) => this._request(args) };
+
+    this._mineBlock([]);
+  }
+
+  /**
+   * The chain ID of the simulated chain.
+   *
+   * @type {number}
+   */
+  get chainId() {
+    return this._chainId;
+  }
+
+  /**
+   * The address of the simulated stabletrust contract.
+   *
+   * @type {string}
+   */
+  get contractAddress() {
+    return this._contractAddress;
+  }
+
+  /**
+   * The block the simulated stabletrust contract was deployed at: the genesis block.
+   *
+   * @type {number}
+   */
+  get deploymentBlock() {
+    return 0;
+  }
+
+  /**
+   * An eip-1193 provider of the simulated chain, to configure the wallet with.
+   *
+   * @type {Eip1193Provider}
+   */
+  get provider() {
+    return this._provider;
+  }
+
+  /**
+   * The number of the latest block.
+   *
+   * @type {number}
+   */
+  get blockNumber() {
+    return this._blocks.length - 1;
+  }
+
+  /**
+   * Adds an erc20 token to the simulated chain.
+   *
+   * @param {string} address - The address of the token.
+   * @param {MockTokenOptions} [options] - The token options.
+   * @returns {MockConfidentialTransferClient} The mock client.
+   */
+  addToken(address, options = {}) {
+    const {
+      symbol = "MOCK",
+      decimals = 6,
+      name = symbol,
+      permit = false,
+    } = options;
+
+    this._tokens.set(address.toLowerCase(), {
+      symbol,
+      decimals,
+      name,
+      permit,
+      balances: new Map(),
+      allowances: new Map(),
+      nonces: new Map(),
+    });
+
+    return this;
+  }
+
+  /**
+   * Credits public tokens to an account.
+   *
+   * @param {string} address - The address of the account.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to credit (in base unit).
+   * @returns {MockConfidentialTransferClient} The mock client.
+   */
+  mint(address, token, amount) {
+    const { balances } = this._getToken(token);
+    const key = address.toLowerCase();
+
+    balances.set(key, (balances.get(key) ?? 0n) + BigInt(amount));
+
+    return this;
+  }
+
+  /**
+   * Sets the protocol fee charged on transfers and withdrawals.
+   *
+   * @param {bigint} fee - The fee (in base unit).
+   * @returns {MockConfidentialTransferClient} The mock client.
+   */
+  setFee(fee) {
+    this._fee = BigInt(fee);
+
+    return this;
+  }
+
+  /**
+   * Makes the next call of a client method throw, before it changes any state.
+   *
+   * @param {string} operation - The name of the client method, for example "confidentialTransfer".
+   * @param {Error} [error] - The error to throw. Give it a code the retry policy retries, such as "NETWORK_ERROR", to simulate a flaky node (default: a plain error).
+   * @returns {MockConfidentialTransferClient} The mock client.
+   */
+  failNext(operation, error) {
+    this._failures.push({
+      operation,
+      error: error ?? new Error(`Simulated failure of '${operation}'.`),
+    });
+
+    return this;
+  }
+
+  /**
+   * Makes the transaction of the next call of a state-changing client method revert: it is mined
+   * with a failed status, and changes no balance.
+   *
+   * @param {string} operation - The name of the client method, for example "withdraw".
+   * @returns {MockConfidentialTransferClient} The mock client.
+   */
+  revertNext(operation) {
+    this._failures.push({ operation });
+
+    return this;
+  }
+
+  /**
+   * Mines an empty block.
+   *
+   * @returns {number} The number of the block.
+   */
+  mine() {
+    return this._mineBlock([]).number;
+  }
+
+  /**
+   * Returns the public token balance of an account.
+   *
+   * @param {string} address - The address of the account.
+   * @param {string} token - The address of the token.
+   * @returns {bigint} The balance.
+   */
+  getPublicBalance(address, token) {
+    return this._getToken(token).balances.get(address.toLowerCase()) ?? 0n;
+  }
+
+  /**
+   * Registers the signer's account, if it is not registered yet, and returns its confidential keys.
+   * The keys are derived from the signer's signature of a fixed message.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @returns {Promise<{ publicKey: string, privateKey: string }>} The keys.
+   */
+  async ensureAccount(signer) {
+    this._consumeFailure("ensureAccount");
+
+    const from = getAddress(await signer.getAddress());
+    const privateKey = keccak256(
+      await signer.signMessage(REGISTRATION_MESSAGE),
+    );
+    const keys = { publicKey: derivePublicKey(privateKey), privateKey };
+
+    if (!this._accounts.has(from.toLowerCase())) {
+      this._accounts.set(from.toLowerCase(), keys);
+      this._mineTransaction({ from, operation: "ensureAccount", logs: [] });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Returns the confidential public key registered for an account.
+   *
+   * @param {string} address - The address of the account.
+   * @returns {Promise<string | null>} The public key, or null if the account is not registered.
+   */
+  async getPublicKey(address) {
+    this._consumeFailure("getPublicKey");
+
+    return this._accounts.get(address.toLowerCase())?.publicKey ?? null;
+  }
+
+  /**
+   * Returns the protocol fee charged on transfers and withdrawals.
+   *
+   * @returns {Promise<bigint>} The fee.
+   */
+  async getFeeAmount() {
+    this._consumeFailure("getFeeAmount");
+
+    return this._fee;
+  }
+
+  /**
+   * Deposits public tokens into the confidential balance of the signer's account.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to deposit.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async confidentialDeposit(signer, token, amount) {
+    return await this._execute("confidentialDeposit", signer, [
+      token,
+      BigInt(amount),
+    ]);
+  }
+
+  /**
+   * Transfers confidential tokens from the signer's account to another registered account. The fee
+   * is charged on the sender's confidential balance.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} recipient - The address of the recipient.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to transfer.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async confidentialTransfer(signer, recipient, token, amount) {
+    return await this._execute("confidentialTransfer", signer, () => {
+      const { publicKey } = this._assertRegistered(recipient);
+
+      // The amount is sent encrypted for the recipient, with the proof of its encryption
+      const ciphertext = this._encrypt(publicKey, BigInt(amount));
+
+      return [
+        recipient,
+        token,
+        ciphertext,
+        this._getProof(ciphertext, publicKey, BigInt(amount)),
+      ];
+    });
+  }
+
+  /**
+   * Withdraws confidential tokens of the signer's account to its public balance. The fee is charged
+   * on the confidential balance.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} token - The address of the token.
+   * @param {bigint} amount - The amount to withdraw.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async withdraw(signer, token, amount) {
+    return await this._execute("withdraw", signer, [token, BigInt(amount)]);
+  }
+
+  /**
+   * Generates a new random confidential keypair, to rotate the keys of an account to.
+   *
+   * @returns {Promise<{ publicKey: string, privateKey: string }>} The keys.
+   */
+  async generateKeys() {
+    this._consumeFailure("generateKeys");
+
+    const privateKey = hexlify(randomBytes(32));
+    const keys = { publicKey: derivePublicKey(privateKey), privateKey };
+
+    this._generatedKeys.set(keys.publicKey, keys);
+
+    return keys;
+  }
+
+  /**
+   * Replaces the confidential public key registered for the signer's account, and re-encrypts its
+   * balances of the given tokens for the new key. The current private key proves that the signer
+   * owns the balances.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} privateKey - The current confidential private key of the account.
+   * @param {{ publicKey: string, privateKey: string }} keys - The new keys, from {@link generateKeys}.
+   * @param {string[]} tokens - The addresses of the tokens whose balances to re-encrypt.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async rotateAccountKeys(signer, privateKey, keys, tokens) {
+    return await this._execute("rotateAccountKeys", signer, [
+      keys.publicKey,
+      tokens,
+      this._getOwnershipProof(privateKey, keys.publicKey),
+    ]);
+  }
+
+  /**
+   * Removes the confidential public key registered for the signer's account. The contract refuses to
+   * deregister an account that still holds a balance larger than the fee, and forfeits the dust.
+   *
+   * @param {Signer} signer - The signer of the account.
+   * @param {string} privateKey - The confidential private key of the account.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async deregisterAccount(signer, privateKey) {
+    const from = await signer.getAddress();
+
+    return await this._execute("deregisterAccount", signer, [
+      this._getOwnershipProof(privateKey, from.toLowerCase()),
+    ]);
+  }
+
+  /**
+   * Returns the confidential balance of an account.
+   *
+   * @param {string} address - The address of the account.
+   * @param {string} privateKey - The confidential private key of the account.
+   * @param {string} token - The address of the token.
+   * @returns {Promise<{ amount: bigint }>} The balance.
+   */
+  async getConfidentialBalance(address, privateKey, token) {
+    this._consumeFailure("getConfidentialBalance");
+
+    const { publicKey } = this._assertRegistered(address);
+
+    if (derivePublicKey(privateKey) !== publicKey) {
+      throw new Error(`The private key does not match the account ${address}.`);
+    }
+
+    return { amount: this._getBalance(address, token) };
+  }
+
+  /**
+   * Decrypts an amount encrypted for a confidential public key.
+   *
+   * @param {string} ciphertext - The encrypted amount.
+   * @param {string} privateKey - The matching confidential private key.
+   * @returns {Promise<bigint>} The amount.
+   */
+  async decryptAmount(ciphertext, privateKey) {
+    this._consumeFailure("decryptAmount");
+
+    return this._decrypt(ciphertext, privateKey);
+  }
+
+  /**
+   * Creates the proof that a ciphertext decrypts to its amount.
+   *
+   * @param {string} ciphertext - The encrypted amount.
+   * @param {string} privateKey - The matching confidential private key.
+   * @returns {Promise<string>} The proof.
+   */
+  async createDecryptionProof(ciphertext, privateKey) {
+    this._consumeFailure("createDecryptionProof");
+
+    const amount = this._decrypt(ciphertext, privateKey);
+
+    return this._getProof(ciphertext, derivePublicKey(privateKey), amount);
+  }
+
+  /**
+   * Verifies the proof that a ciphertext decrypts to an amount.
+   *
+   * @param {string} ciphertext - The encrypted amount.
+   * @param {string} publicKey - The confidential public key the amount is encrypted for.
+   * @param {bigint} amount - The amount.
+   * @param {string} proof - The proof.
+   * @returns {Promise<boolean>} True if the proof is valid.
+   */
+  async verifyDecryptionProof(ciphertext, publicKey, amount, proof) {
+    this._consumeFailure("verifyDecryptionProof");
+
+    return this._getProof(ciphertext, publicKey, BigInt(amount)) === proof;
+  }
+
+  /**
+   * Throws the error injected for an operation, if any. A reverting failure is left in place.
+   *
+   * @private
+   * @param {string} operation - The name of the operation.
+   */
+  _consumeFailure(operation) {
+    const index = this._failures.findIndex(
+      (failure) => failure.operation === operation && failure.error,
+    );
+
+    if (index !== -1) {
+      const [{ error }] = this._failures.splice(index, 1);
+
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} operation - The name of the operation.
+   * @returns {boolean} True if the operation must revert.
+   */
+  _consumeRevert(operation) {
+    const index = this._failures.findIndex(
+      (failure) => failure.operation === operation && !failure.error,
+    );
+
+    if (index === -1) {
+      return false;
+    }
+
+    this._failures.splice(index, 1);
+
+    return true;
+  }
+
+  /**
+   * Sends the transaction of a state-changing operation through the signer, as the stabletrust
+   * client does. The operation is applied when the signed transaction is broadcast.
+   *
+   * @private
+   * @param {string} operation - The name of the operation.
+   * @param {Signer} signer - The signer of the account.
+   * @param {any[] | (() => any[])} args - The arguments of the contract call, or a function that checks the operation and returns them.
+   * @returns {Promise<{ hash: string }>} The transaction.
+   */
+  async _execute(operation, signer, args) {
+    this._consumeFailure(operation);
+
+    const data = stabletrust.encodeFunctionData(
+      operation,
+      typeof args === "function" ? args() : args,
+    );
+
+    const { hash } = await signer.sendTransaction({
+      to: this._contractAddress,
+      data,
+    });
+
+    return { hash };
+  }
+
+  /**
+   * Checks and applies a call to the stabletrust contract, and returns its events.
+   *
+   * @private
+   * @param {string} from - The sender.
+   * @param {import('ethers').TransactionDescription} call - The call.
+   * @returns {Array<[string, any[]]>} The events.
+   */
+  _applyCall(from, { name, args }) {
+    const sender = this._assertRegistered(from);
+
+    if (name === "confidentialDeposit") {
+      const [token, amount] = args;
+      const { balances, allowances } = this._getToken(token);
+      const owner = from.toLowerCase();
+      const allowanceKey = `${owner}:${this._contractAddress.toLowerCase()}`;
+      const balance = balances.get(owner) ?? 0n;
+      const allowance = allowances.get(allowanceKey) ?? 0n;
+
+      if (balance < amount) {
+        throw rpcError(
+          "CALL_EXCEPTION",
+          "execution reverted: insufficient balance",
+        );
+      }
+
+      if (allowance < amount) {
+        throw rpcError(
+          "CALL_EXCEPTION",
+          "execution reverted: insufficient allowance",
+        );
+      }
+
+      balances.set(owner, balance - amount);
+      allowances.set(allowanceKey, allowance - amount);
+      this._credit(from, token, amount);
+
+      return [["ConfidentialDeposit", [from, token, amount]]];
+    }
+
+    if (name === "confidentialTransfer") {
+      const [recipient, token, ciphertext, proof] = args;
+      const receiver = this._assertRegistered(recipient);
+      const amount = this._decrypt(ciphertext, receiver.privateKey);
+
+      if (this._getProof(ciphertext, receiver.publicKey, amount) !== proof) {
+        throw rpcError("CALL_EXCEPTION", "execution reverted: invalid proof");
+      }
+
+      this._debit(from, token, amount + this._fee);
+      this._credit(recipient, token, amount);
+
+      return [
+        [
+          "ConfidentialTransfer",
+          [
+            from,
+            recipient,
+            token,
+            this._encrypt(sender.publicKey, amount),
+            this._encrypt(receiver.publicKey, amount),
+          ],
+        ],
+      ];
+    }
+
+    if (name === "rotateAccountKeys") {
+      const [publicKey, , proof] = args;
+      const keys = this._generatedKeys.get(publicKey);
+
+      if (
+        !keys ||
+        proof !== this._getOwnershipProof(sender.privateKey, publicKey)
+      ) {
+        throw rpcError("CALL_EXCEPTION", "execution reverted: invalid proof");
+      }
+
+      // The balances are kept in clear by account: re-encrypting them changes nothing here
+      this._accounts.set(from.toLowerCase(), keys);
+
+      return [];
+    }
+
+    if (name === "deregisterAccount") {
+      const [proof] = args;
+      const owner = from.toLowerCase();
+
+      if (proof !== this._getOwnershipProof(sender.privateKey, owner)) {
+        throw rpcError("CALL_EXCEPTION", "execution reverted: invalid proof");
+      }
+
+      const keys = [...this._balances.keys()].filter((key) =>
+        key.startsWith(`${owner}:`),
+      );
+
+      // Dust that cannot pay the fee of a withdrawal is forfeited
+      if (keys.some((key) => this._balances.get(key) > this._fee)) {
+        throw rpcError(
+          "CALL_EXCEPTION",
+          "execution reverted: confidential balance is not empty",
+        );
+      }
+
+      for (const key of keys) {
+        this._balances.delete(key);
+      }
+
+      this._accounts.delete(owner);
+
+      return [];
+    }
+
+    const [token, amount] = args;
+
+    this._debit(from, token, amount + this._fee);
+    this.mint(from, token, amount);
+
+    return [["ConfidentialWithdraw", [from, token, amount]]];
+  }
+
+  /**
+   * @private
+   * @param {string} address - The address of the account.
+   * @returns {{ publicKey: string, privateKey: string }} The keys of the account.
+   */
+  _assertRegistered(address) {
+    const keys = this._accounts.get(address.toLowerCase());
+
+    if (!keys) {
+      throw rpcError(
+        "CALL_EXCEPTION",
+        `execution reverted: account ${address} is not registered`,
+      );
+    }
+
+    return keys;
+  }
+
+  /** @private */
+  _getToken(token) {
+    const state = this._tokens.get(token.toLowerCase());
+
+    if (!state) {
+      throw new Error(`Unknown mock token: ${token}.`);
+    }
+
+    return state;
+  }
+
+  /** @private */
+  _getPermitDomain(address) {
+    return {
+      name: this._getToken(address).name,
+      version: "1",
+      chainId: this._chainId,
+      verifyingContract: getAddress(address),
+    };
+  }
+
+  /** @private */
+  _getBalance(address, token) {
+    return (
+      this._balances.get(`${address.toLowerCase()}:${token.toLowerCase()}`) ??
+      0n
+    );
+  }
+
+  /** @private */
+  _credit(address, token, amount) {
+    this._balances.set(
+      `${address.toLowerCase()}:${token.toLowerCase()}`,
+      this._getBalance(address, token) + amount,
+    );
+  }
+
+  /** @private */
+  _debit(address, token, amount) {
+    const balance = this._getBalance(address, token);
+
+    if (balance < amount) {
+      throw rpcError(
+        "CALL_EXCEPTION",
+        "execution reverted: insufficient confidential balance",
+      );
+    }
+
+    this._balances.set(
+      `${address.toLowerCase()}:${token.toLowerCase()}`,
+      balance - amount,
+    );
+  }
+
+  /**
+   * Masks an amount with a key derived from the public key and a counter, so that every ciphertext
+   * differs.
+   *
+   * @private
+   */
+  _encrypt(publicKey, amount) {
+    const salt = this._nextCiphertext++;
+    const mask = BigInt(keccak256(concat([publicKey, toBeHex(salt, 32)])));
+
+    return abiCoder.encode(
+      ["bytes32", "uint256", "uint256"],
+      [publicKey, salt, amount ^ mask],
+    );
+  }
+
+  /** @private */
+  _decrypt(ciphertext, privateKey) {
+    const [publicKey, salt, masked] = abiCoder.decode(
+      ["bytes32", "uint256", "uint256"],
+      ciphertext,
+    );
+
+    if (publicKey !== derivePublicKey(privateKey)) {
+      throw new Error("The ciphertext is not encrypted for this private key.");
+    }
+
+    return masked ^ BigInt(keccak256(concat([publicKey, toBeHex(salt, 32)])));
+  }
+
+  /** @private */
+  _getProof(ciphertext, publicKey, amount) {
+    return keccak256(
+      abiCoder.encode(
+        ["bytes", "bytes32", "uint256"],
+        [ciphertext, publicKey, amount],
+      ),
+    );
+  }
+
+  /**
+   * Proves the knowledge of a confidential private key, bound to some data.
+   *
+   * @private
+   */
+  _getOwnershipProof(privateKey, data) {
+    return keccak256(concat([privateKey, data]));
+  }
+
+  /**
+   * @private
+   * @param {Object} transaction - The transaction.
+   * @param {string} transaction.from - The sender.
+   * @param {string} [transaction.operation] - The client method, for an operation sent without a transaction, such as the registration.
+   * @param {Transaction} [transaction.signed] - The signed transaction, for a broadcast transaction.
+   * @param {Array<{ topics: string[], data: string }>} transaction.logs - The logs of the stabletrust contract.
+   * @param {number} [transaction.status] - The receipt status (default: 1).
+   * @returns {{ hash: string }} The mined transaction.
+   */
+  _mineTransaction({ from, operation, signed, logs, status = 1 }) {
+    const hash =
+      signed?.hash ??
+      keccak256(
+        abiCoder.encode(
+          ["string", "address", "uint256"],
+          [operation, from, this._transactions.size],
+        ),
+      );
+
+    const block = this._mineBlock([hash]);
+    const to = signed ? signed.to : this._contractAddress;
+
+    const transaction = {
+      hash,
+      type: "0x2",
+      blockHash: block.hash,
+      blockNumber: toQuantity(block.number),
+      transactionIndex: "0x0",
+      from,
+      to,
+      nonce: toQuantity(signed?.nonce ?? 0),
+      gas: toQuantity(signed?.gasLimit ?? GAS_LIMIT),
+      maxFeePerGas: toQuantity(signed?.maxFeePerGas ?? GAS_PRICE),
+      maxPriorityFeePerGas: toQuantity(signed?.maxPriorityFeePerGas ?? 0),
+      gasPrice: toQuantity(GAS_PRICE),
+      value: toQuantity(signed?.value ?? 0),
+      input: signed?.data ?? "0x",
+      chainId: toQuantity(this._chainId),
+      accessList: [],
+      r: signed?.signature.r ?? toBeHex(1, 32),
+      s: signed?.signature.s ?? toBeHex(1, 32),
+      yParity: toQuantity(signed?.signature.yParity ?? 0),
+      v: toQuantity(signed?.signature.yParity ?? 0),
+    };
+
+    const receipt = {
+      transactionHash: hash,
+      transactionIndex: "0x0",
+      blockHash: block.hash,
+      blockNumber: toQuantity(block.number),
+      from,
+      to,
+      contractAddress: null,
+      cumulativeGasUsed: toQuantity(GAS_LIMIT),
+      gasUsed: toQuantity(GAS_LIMIT),
+      effectiveGasPrice: toQuantity(GAS_PRICE),
+      logsBloom: `0x${"00".repeat(256)}`,
+      status: toQuantity(status),
+      type: "0x2",
+      logs: logs.map(({ address, topics, data }, index) => ({
+        address: address ?? this._contractAddress,
+        topics,
+        data,
+        blockHash: block.hash,
+        blockNumber: toQuantity(block.number),
+        transactionHash: hash,
+        transactionIndex: "0x0",
+        logIndex: toQuantity(index),
+        removed: false,
+      })),
+    };
+
+    this._transactions.set(hash, { transaction, receipt });
+
+    return { hash };
+  }
+
+  /** @private */
+  _mineBlock(transactions) {
+    const number = this._blocks.length;
+
+    const block = {
+      number,
+      hash: keccak256(
+        abiCoder.encode(["string", "uint256"], ["block", number]),
+      ),
+      parentHash: this._blocks[number - 1]?.hash ?? ZeroHash,
+      timestamp: GENESIS_TIMESTAMP + number * BLOCK_TIME,
+      transactions,
+    };
+
+    this._blocks.push(block);
+
+    return block;
+  }
+
+  /** @private */
+  _getBlockNumber(tag) {
+    if (tag === "earliest") {
+      return 0;
+    }
+
+    if (["latest", "pending", "safe", "finalized"].includes(tag)) {
+      return this.blockNumber;
+    }
+
+    return Number(tag);
+  }
+
+  /** @private */
+  _formatBlock(block) {
+    return block
+      ? {
+          number: toQuantity(block.number),
+          hash: block.hash,
+          parentHash: block.parentHash,
+          timestamp: toQuantity(block.timestamp),
+          nonce: "0x0000000000000000",
+          difficulty: "0x0",
+          gasLimit: toQuantity(30_000_000),
+          gasUsed: toQuantity(GAS_LIMIT * BigInt(block.transactions.length)),
+          miner: ZeroAddress,
+          extraData: "0x",
+          baseFeePerGas: toQuantity(GAS_PRICE),
+          transactions: block.transactions,
+        }
+      : null;
+  }
+
+  /** @private */
+  _getLogs({ address, topics = [], fromBlock, toBlock, blockHash }) {
+    const from =
+      blockHash !== undefined
+        ? this._blocks.findIndex((block) => block.hash === blockHash)
+        : this._getBlockNumber(fromBlock ?? "latest");
+    const to =
+      blockHash !== undefined
+        ? from
+        : this._getBlockNumber(toBlock ?? "latest");
+    const addresses = [address ?? []].flat().map((a) => a.toLowerCase());
+
+    const matches = (log) =>
+      (addresses.length === 0 ||
+        addresses.includes(log.address.toLowerCase())) &&
+      topics.every(
+        (topic, index) =>
+          topic === null ||
+          topic === undefined ||
+          [topic].flat().includes(log.topics[index]),
+      );
+
+    if (from === -1) {
+      return [];
+    }
+
+    return this._blocks
+      .slice(from, to + 1)
+      .flatMap(({ transactions }) =>
+        transactions.flatMap(
+          (hash) => this._transactions.get(hash).receipt.logs,
+        ),
+      )
+      .filter(matches);
+  }
+
+  /** @private */
+  _call({ to, data }) {
+    const token = to && this._tokens.get(to.toLowerCase());
+    const call = token && erc20.parseTransaction({ data });
+
+    // A token without eip-2612 support has no such functions
+    if (
+      !call ||
+      !call.fragment.constant ||
+      (PERMIT_FUNCTIONS.includes(call.name) && !token.permit)
+    ) {
+      throw rpcError(3, "execution reverted", "0x");
+    }
+
+    const values = {
+      balanceOf: () => [token.balances.get(call.args[0].toLowerCase()) ?? 0n],
+      allowance: () => [
+        token.allowances.get(
+          `${call.args[0].toLowerCase()}:${call.args[1].toLowerCase()}`,
+        ) ?? 0n,
+      ],
+      decimals: () => [token.decimals],
+      symbol: () => [token.symbol],
+      name: () => [token.name],
+      version: () => [this._getPermitDomain(to).version],
+      nonces: () => [token.nonces.get(call.args[0].toLowerCase()) ?? 0n],
+      DOMAIN_SEPARATOR: () => [
+        TypedDataEncoder.hashDomain(this._getPermitDomain(to)),
+      ],
+    };
+
+    return erc20.encodeFunctionResult(call.fragment, values[call.name]());
+  }
+
+  /** @private */
+  _sendRawTransaction(raw) {
+    const signed = Transaction.from(raw);
+    const from = signed.from;
+    const nonce = this._nonces.get(from.toLowerCase()) ?? 0;
+
+    if (signed.nonce !== nonce) {
+      throw rpcError(
+        -32000,
+        signed.nonce < nonce ? "nonce too low" : "nonce too high",
+      );
+    }
+
+    if (signed.to?.toLowerCase() === this._contractAddress.toLowerCase()) {
+      const call = stabletrust.parseTransaction({ data: signed.data });
+
+      if (!call) {
+        throw rpcError("CALL_EXCEPTION", "execution reverted");
+      }
+
+      // A failing call is rejected before it uses the nonce, as its gas estimate would be
+      const status = this._consumeRevert(call.name) ? 0 : 1;
+      const logs = status
+        ? this._applyCall(from, call).map(([name, args]) =>
+            events.encodeEventLog(name, args),
+          )
+        : [];
+
+      this._nonces.set(from.toLowerCase(), nonce + 1);
+
+      return this._mineTransaction({ from, signed, logs, status }).hash;
+    }
+
+    this._nonces.set(from.toLowerCase(), nonce + 1);
+
+    const token = signed.to && this._tokens.get(signed.to.toLowerCase());
+    const call =
+      token && signed.data !== "0x"
+        ? erc20.parseTransaction({ data: signed.data })
+        : null;
+
+    let status = 1;
+
+    if (call?.name === "approve") {
+      const [spender, amount] = call.args;
+
+      token.allowances.set(
+        `${from.toLowerCase()}:${spender.toLowerCase()}`,
+        amount,
+      );
+    } else if (call?.name === "permit") {
+      status = this._permit(signed.to, call.args) ? 1 : 0;
+    } else if (call?.name === "transfer") {
+      const [recipient, amount] = call.args;
+      const balance = token.balances.get(from.toLowerCase()) ?? 0n;
+
+      if (balance < amount) {
+        status = 0;
+      } else {
+        token.balances.set(from.toLowerCase(), balance - amount);
+        this.mint(recipient, signed.to, amount);
+      }
+    }
+
+    return this._mineTransaction({ from, signed, logs: [], status }).hash;
+  }
+
+  /**
+   * Applies an eip-2612 permit, if its signature and deadline are valid.
+   *
+   * @private
+   * @returns {boolean} Whether the permit was applied.
+   */
+  _permit(address, [owner, spender, value, deadline, v, r, s]) {
+    const token = this._getToken(address);
+
+    if (!token.permit || deadline < this._blocks.at(-1).timestamp) {
+      return false;
+    }
+
+    const nonce = token.nonces.get(owner.toLowerCase()) ?? 0n;
+
+    let signer;
+
+    try {
+      signer = verifyTypedData(
+        this._getPermitDomain(address),
+        PERMIT_TYPES,
+        { owner, spender, value, nonce, deadline },
+        { v, r, s },
+      );
+    } catch {
+      return false;
+    }
+
+    if (signer.toLowerCase() !== owner.toLowerCase()) {
+      return false;
+    }
+
+    token.nonces.set(owner.toLowerCase(), nonce + 1n);
+    token.allowances.set(
+      `${owner.toLowerCase()}:${spender.toLowerCase()}`,
+      value,
+    );
+
+    return true;
+  }
+
+  /**
+   * Answers the json-rpc requests of the provider.
+   *
+   * @private
+   * @param {{ method: string, params?: any[] }} args - The request.
+   * @returns {Promise<any>} The result.
+   */
+  async _request({ method, params = [] }) {
+    switch (method) {
+      case "eth_chainId":
+        return toQuantity(this._chainId);
+      case "net_version":
+        return String(this._chainId);
+      case "eth_blockNumber":
+        return toQuantity(this.blockNumber);
+      case "eth_accounts":
+      case "eth_requestAccounts":
+        return [];
+      case "eth_gasPrice":
+        return toQuantity(GAS_PRICE);
+      case "eth_maxPriorityFeePerGas":
+        return "0x0";
+      case "eth_estimateGas":
+        return toQuantity(GAS_LIMIT);
+      case "eth_getBalance":
+        return toQuantity(NATIVE_BALANCE);
+      case "eth_getCode":
+        return this._tokens.has(params[0].toLowerCase()) ||
+          params[0].toLowerCase() === this._contractAddress.toLowerCase()
+          ? "0xfe"
+          : "0x";
+      case "eth_getTransactionCount":
+        return toQuantity(this._nonces.get(params[0].toLowerCase()) ?? 0);
+      case "eth_getBlockByNumber":
+        return this._formatBlock(this._blocks[this._getBlockNumber(params[0])]);
+      case "eth_getBlockByHash":
+        return this._formatBlock(
+          this._blocks.find((block) => block.hash === params[0]),
+        );
+      case "eth_getTransactionByHash":
+        return this._transactions.get(params[0])?.transaction ?? null;
+      case "eth_getTransactionReceipt":
+        return this._transactions.get(params[0])?.receipt ?? null;
+      case "eth_getLogs":
+        return this._getLogs(params[0]);
+      case "eth_call":
+        return this._call(params[0]);
+      case "eth_sendRawTransaction":
+        return this._sendRawTransaction(params[0]);
+      default:
+        throw rpcError(4200, `Unsupported method: ${method}.`);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { isAddress } from "ethers";
+import {
+  InvalidOptionError,
+  UnknownNetworkError,
+} from "./confidential-protocol.js";
+
+/**
+ * @typedef {Object} ConfidentialToken
+ * @property {string} symbol - The symbol of the token.
+ * @property {string} address - The address of the token.
+ * @property {number} [decimals] - The decimals of the token, if known.
+ */
+
+/**
+ * @typedef {Object} ConfidentialNetwork
+ * @property {string} name - The unique name of the network.
+ * @property {number} chainId - The chain ID.
+ * @property {string | string[]} rpcUrl - The default RPC URL, or several to fail over across.
+ * @property {string} [stabletrustAddress] - The address of the stabletrust contract. If unset, the stabletrust client's own deployment for the chain is used.
+ * @property {number} [deploymentBlock] - The block the stabletrust contract was deployed at, where history scans start by default.
+ * @property {ConfidentialToken[]} tokens - The tokens supported by the stabletrust contract.
+ * @property {string} [explorerUrl] - The base URL of the block explorer.
+ */
+
+/**
+ * @type {Map<string, ConfidentialNetwork>}
+ */
+const networks = new Map();
+
+/**
+ * Registers a network, so that protocols can be configured with its name. Registering a network with
+ * the name of an existing one replaces it.
+ *
+ * @param {ConfidentialNetwork} network - The network.
+ */
+export function registerNetwork(network) {
+  const {
+    name,
+    chainId,
+    rpcUrl,
+    stabletrustAddress,
+    deploymentBlock,
+    tokens = [],
+  } = network;
+
+  if (typeof name !== "string" || name.length === 0) {
+    throw new TypeError("A network must have a name.");
+  }
+
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new TypeError(`Invalid chain ID for network '${name}': ${chainId}.`);
+  }
+
+  const rpcUrls = [rpcUrl].flat();
+
+  if (
+    rpcUrls.length === 0 ||
+    !rpcUrls.every((url) => typeof url === "string")
+  ) {
+    throw new TypeError(`Network '${name}' must have an RPC URL.`);
+  }
+
+  if (stabletrustAddress !== undefined && !isAddress(stabletrustAddress)) {
+    throw new TypeError(
+      `Invalid stabletrust address for network '${name}': ${stabletrustAddress}.`,
+    );
+  }
+
+  if (
+    deploymentBlock !== undefined &&
+    (!Number.isSafeInteger(deploymentBlock) || deploymentBlock < 0)
+  ) {
+    throw new TypeError(
+      `Invalid deployment block for network '${name}': ${deploymentBlock}.`,
+    );
+  }
+
+  for (const token of tokens) {
+    if (!isAddress(token.address)) {
+      throw new TypeError(
+        `Invalid address for token '${token.symbol}' of network '${name}': ${token.address}.`,
+      );
+    }
+  }
+
+  networks.set(name, Object.freeze({ ...network, tokens: [...tokens] }));
+}
+
+/**
+ * Finds a registered network by name or chain ID.
+ *
+ * @param {string | number} nameOrChainId - The name or the chain ID of the network.
+ * @returns {ConfidentialNetwork | undefined} The network, or undefined if none is registered.
+ */
+export function getNetwork(nameOrChainId) {
+  if (typeof nameOrChainId === "string") {
+    return networks.get(nameOrChainId);
+  }
+
+  for (const network of networks.values()) {
+    if (network.chainId === Number(nameOrChainId)) {
+      return network;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns all the registered networks.
+ *
+ * @returns {ConfidentialNetwork[]} The networks.
+ */
+export function getNetworks() {
+  return [...networks.values()];
+}
+
+/**
+ * Completes a protocol configuration with the registered network it refers to, by name through
+ * 'config.network' or by chain ID. Explicit values of the configuration take precedence.
+ *
+ * @template {{ network?: string, rpcUrl?: string | string[], chainId?: number, stabletrustAddress?: string, deploymentBlock?: number, client?: unknown }} T
+ * @param {T} config - The protocol configuration.
+ * @returns {{ config: T & { rpcUrl?: string | string[], chainId: number }, network?: ConfidentialNetwork }} The resolved configuration, and the network it refers to, if registered.
+ */
+export function resolveNetworkConfig(config) {
+  const network =
+    config.network !== undefined
+      ? getNetwork(config.network)
+      : config.chainId !== undefined
+        ? getNetwork(config.chainId)
+        : undefined;
+
+  if (config.network !== undefined && !network) {
+    throw new UnknownNetworkError(config.network);
+  }
+
+  if (
+    network &&
+    config.chainId !== undefined &&
+    Number(config.chainId) !== network.chainId
+  ) {
+    throw new InvalidOptionError({
+      option: "chainId",
+      reason: `the chain ID ${config.chainId} does not match the chain ID ${network.chainId} of network '${network.name}'`,
+    });
+  }
+
+  const chainId = config.chainId ?? network?.chainId;
+  const rpcUrl = config.rpcUrl ?? network?.rpcUrl;
+
+  // An injected client needs no RPC URL of its own
+  if (
+    chainId === undefined ||
+    (rpcUrl === undefined && config.client === undefined)
+  ) {
+    throw new InvalidOptionError({
+      option: "network",
+      reason:
+        "the protocol configuration requires a known 'network', or a 'chainId' and an 'rpcUrl' or a 'client'",
+    });
+  }
+
+  return {
+    config: {
+      ...config,
+      chainId: Number(chainId),
+      rpcUrl,
+      stabletrustAddress:
+        config.stabletrustAddress ?? network?.stabletrustAddress,
+      deploymentBlock: config.deploymentBlock ?? network?.deploymentBlock,
+    },
+    network,
+  };
+}
+
+registerNetwork({
+  name: "stable-testnet",
+  chainId: 2201,
+  rpcUrl: "https://rpc.testnet.stable.xyz",
+  explorerUrl: "https://testnet.stablescan.xyz",
+  tokens: [
+    {
+      symbol: "USDT0",
+      address: "0x78Cf24370174180738C5B8E352B6D14c83a6c9A9",
+    },
+  ],
+});
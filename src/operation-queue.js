@@ -0,0 +1,270 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { OperationCancelledError } from "./confidential-protocol.js";
+
+/**
+ * @typedef {Object} ConfidentialQueueItem
+ * @property {number} id - The id of the operation in the queue.
+ * @property {string} operation - The name of the operation.
+ * @property {number} enqueuedAt - When the operation was queued (unix timestamp in milliseconds).
+ */
+
+/**
+ * @typedef {Object} ConfidentialQueueState
+ * @property {number} depth - The number of operations in the queue, the running one included.
+ * @property {ConfidentialQueueItem} [running] - The running operation, if any.
+ * @property {ConfidentialQueueItem[]} pending - The operations waiting to run, in order.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} QueueRunOptions
+ * @property {AbortSignal} [signal] - Cancels the operation while it is pending.
+ * @property {(value: T) => Promise<void>} [settle] - Called with the operation's value; the next operation only starts once it resolves or rejects.
+ */
+
+/**
+ * @typedef {Object} ConfidentialOperationQueueOptions
+ * @property {() => void} [onDrain] - Called whenever the queue becomes empty, with no operation running or pending.
+ */
+
+/**
+ * The queues of the accounts, by chain ID and lowercase address. A queue is removed once it drains,
+ * so that the accounts that are done operating are not kept alive.
+ *
+ * @type {Map<string, ConfidentialOperationQueue>}
+ */
+const queues = new Map();
+
+/**
+ * Runs the state-changing operations of an account one at a time, in the order they were queued.
+ *
+ * An operation only starts once the previous one has settled, so that it is built from the balance
+ * left by the previous one. An operation that fails does not block the queue: its caller gets the
+ * error, and the next operation starts.
+ */
+export class ConfidentialOperationQueue {
+  /**
+   * Creates a new operation queue.
+   *
+   * @param {ConfidentialOperationQueueOptions} [options] - The queue options.
+   */
+  constructor(options = {}) {
+    /** @private */
+    this._onDrain = options.onDrain;
+
+    /**
+     * @private
+     * @type {Array<ConfidentialQueueItem & { task: () => Promise<any>, settle?: (value: any) => Promise<void>, signal?: AbortSignal, onAbort?: () => void, resolve: (value: any) => void, reject: (error: Error) => void }>}
+     */
+    this._pending = [];
+
+    /**
+     * @private
+     * @type {ConfidentialQueueItem | undefined}
+     */
+    this._running = undefined;
+
+    /** @private */
+    this._nextId = 1;
+  }
+
+  /**
+   * The number of operations in the queue, the running one included.
+   *
+   * @type {number}
+   */
+  get depth() {
+    return this._pending.length + (this._running ? 1 : 0);
+  }
+
+  /**
+   * Returns the state of the queue.
+   *
+   * @returns {ConfidentialQueueState} The state.
+   */
+  getState() {
+    const toItem = ({ id, operation, enqueuedAt }) => ({
+      id,
+      operation,
+      enqueuedAt,
+    });
+
+    return {
+      depth: this.depth,
+      running: this._running && toItem(this._running),
+      pending: this._pending.map(toItem),
+    };
+  }
+
+  /**
+   * Queues an operation.
+   *
+   * @template T
+   * @param {string} operation - The name of the operation.
+   * @param {() => Promise<T>} task - The operation.
+   * @param {QueueRunOptions<T>} [options] - The queue options.
+   * @returns {Promise<T>} The operation's value.
+   * @throws {OperationCancelledError} If the operation is cancelled before it starts.
+   */
+  run(operation, task, options = {}) {
+    const { signal, settle } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new OperationCancelledError(operation));
+        this._drainIfIdle();
+        return;
+      }
+
+      const item = {
+        id: this._nextId++,
+        operation,
+        enqueuedAt: Date.now(),
+        task,
+        settle,
+        signal,
+        resolve,
+        reject,
+      };
+
+      if (signal) {
+        item.onAbort = () => this.cancel(item.id);
+        signal.addEventListener("abort", item.onAbort, { once: true });
+      }
+
+      this._pending.push(item);
+      this._next();
+    });
+  }
+
+  /**
+   * Cancels a pending operation. Its caller gets an {@link OperationCancelledError}. The running
+   * operation cannot be cancelled, as its transactions may already be sent.
+   *
+   * @param {number} id - The id of the operation.
+   * @returns {boolean} True if the operation was pending and is cancelled.
+   */
+  cancel(id) {
+    const index = this._pending.findIndex((item) => item.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [item] = this._pending.splice(index, 1);
+
+    this._detach(item);
+    item.reject(new OperationCancelledError(item.operation));
+    this._drainIfIdle();
+
+    return true;
+  }
+
+  /**
+   * Cancels all the pending operations.
+   *
+   * @returns {number} The number of cancelled operations.
+   */
+  cancelAll() {
+    const ids = this._pending.map(({ id }) => id);
+
+    for (const id of ids) {
+      this.cancel(id);
+    }
+
+    return ids.length;
+  }
+
+  /** @private */
+  _detach(item) {
+    if (item.onAbort) {
+      item.signal.removeEventListener("abort", item.onAbort);
+    }
+  }
+
+  /** @private */
+  _drainIfIdle() {
+    if (this.depth === 0) {
+      this._onDrain?.();
+    }
+  }
+
+  /** @private */
+  async _next() {
+    if (this._running || this._pending.length === 0) {
+      return;
+    }
+
+    const item = this._pending.shift();
+
+    this._running = item;
+    this._detach(item);
+
+    try {
+      const value = await item.task();
+      item.resolve(value);
+
+      if (item.settle) {
+        await item.settle(value);
+      }
+    } catch (error) {
+      // Rejecting after the value was delivered has no effect: the settle error is swallowed
+      item.reject(error);
+    } finally {
+      this._running = undefined;
+      this._drainIfIdle();
+      this._next();
+    }
+  }
+}
+
+/**
+ * Returns the operation queue of an account if it has operations running or pending, without
+ * creating one otherwise.
+ *
+ * @param {number} chainId - The chain ID.
+ * @param {string} address - The address of the account.
+ * @returns {ConfidentialOperationQueue | undefined} The queue, or undefined if the account's queue is empty.
+ */
+export function findOperationQueue(chainId, address) {
+  return queues.get(`${chainId}:${address.toLowerCase()}`);
+}
+
+/**
+ * Returns the operation queue of an account, shared by all the protocols of the account.
+ *
+ * @param {number} chainId - The chain ID.
+ * @param {string} address - The address of the account.
+ * @returns {ConfidentialOperationQueue} The queue.
+ */
+export function getOperationQueue(chainId, address) {
+  const key = `${chainId}:${address.toLowerCase()}`;
+
+  let queue = queues.get(key);
+
+  if (!queue) {
+    queue = new ConfidentialOperationQueue({
+      onDrain: () => {
+        if (queues.get(key) === queue) {
+          queues.delete(key);
+        }
+      },
+    });
+    queues.set(key, queue);
+  }
+
+  return queue;
+}
@@ -0,0 +1,290 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { hexlify, randomBytes } from "ethers";
+import { PolicyViolationError } from "./confidential-protocol.js";
+
+/**
+ * @typedef {Object} TokenSpendingLimits
+ * @property {number | bigint} [perTransaction] - The maximum amount of a single transfer or withdrawal (in base unit, fees excluded).
+ * @property {number | bigint} [perWindow] - The maximum total amount of the transfers and withdrawals within the rolling window (in base unit, fees excluded).
+ * @property {number} [windowMs] - The duration of the rolling window, in milliseconds (default: 24 hours).
+ */
+
+/**
+ * @typedef {Object} SpendingRecord
+ * @property {string} id - The id of the record.
+ * @property {string} amount - The amount spent (in base unit), as a decimal string.
+ * @property {number} timestamp - When the amount was spent (unix timestamp in milliseconds).
+ */
+
+/**
+ * @typedef {Object} SpendingStore
+ * @property {(key: string) => Promise<SpendingRecord[] | undefined>} get - Loads the spending records of an account and token, or returns undefined if none are stored under the key.
+ * @property {(key: string, records: SpendingRecord[]) => Promise<void>} set - Stores the spending records of an account and token.
+ */
+
+/**
+ * @typedef {Object} SpendingRequest
+ * @property {"transferConfidential" | "transferConfidentialBatch" | "withdrawConfidential" | "withdrawAllConfidential" | "sweepConfidential" | "buildTransferConfidential" | "buildWithdrawConfidential"} operation - The name of the operation.
+ * @property {string} address - The address of the account.
+ * @property {number} chainId - The chain ID.
+ * @property {string} token - The address of the token.
+ * @property {{ recipient?: string, amount: bigint }[]} items - The transfers of the operation, or its withdrawal, which has no recipient.
+ * @property {bigint} total - The total amount of the operation (in base unit, fees excluded).
+ */
+
+/**
+ * @typedef {Object} SpendingPolicyConfig
+ * @property {Record<string, TokenSpendingLimits>} [limits] - The spending limits, by token address.
+ * @property {string[]} [allowlist] - If set, the only addresses confidential transfers can be sent to.
+ * @property {string[]} [denylist] - The addresses confidential transfers can never be sent to.
+ * @property {boolean} [requireRegisteredRecipient] - If true, the recipients' registration is checked with the other rules, before the approval callback (default: false).
+ * @property {(request: SpendingRequest) => boolean | Promise<boolean>} [approve] - Called once every rule passed, for example to prompt for a second factor. The operation is refused unless it returns true.
+ * @property {SpendingStore} [store] - Where the amounts spent within the rolling windows are kept (default: in memory).
+ */
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function getSpendingKey({ chainId, address, token }) {
+  return `${chainId}-${address.toLowerCase()}-${token.toLowerCase()}`;
+}
+
+/**
+ * A spending store that keeps the records in memory.
+ *
+ * @implements {SpendingStore}
+ */
+export class MemorySpendingStore {
+  constructor() {
+    /**
+     * @private
+     * @type {Map<string, SpendingRecord[]>}
+     */
+    this._records = new Map();
+  }
+
+  /**
+   * Loads the spending records of an account and token.
+   *
+   * @param {string} key - The key of the account and token.
+   * @returns {Promise<SpendingRecord[] | undefined>} The records, or undefined if none are stored under the key.
+   */
+  async get(key) {
+    return this._records.get(key);
+  }
+
+  /**
+   * Stores the spending records of an account and token.
+   *
+   * @param {string} key - The key of the account and token.
+   * @param {SpendingRecord[]} records - The records.
+   * @returns {Promise<void>}
+   */
+  async set(key, records) {
+    this._records.set(key, records);
+  }
+}
+
+/**
+ * Enforces a spending policy on the confidential transfers and withdrawals of an account.
+ *
+ * Amounts are hidden onchain, so a mistaken or malicious transfer is hard to notice once sent: the
+ * policy checks every operation before it is signed. The rules are checked in order: the denylist,
+ * the allowlist, the recipients' registration, the per-transaction limit, the rolling-window limit,
+ * and last the approval callback. The first rule that fails refuses the operation with a
+ * {@link PolicyViolationError}.
+ */
+export class SpendingPolicy {
+  /**
+   * Creates a new spending policy.
+   *
+   * @param {SpendingPolicyConfig} config - The policy configuration.
+   */
+  constructor(config) {
+    const lower = (address) => address.toLowerCase();
+
+    /** @private */
+    this._limits = new Map(
+      Object.entries(config.limits ?? {}).map(([token, limits]) => [
+        lower(token),
+        limits,
+      ]),
+    );
+
+    /** @private */
+    this._allowlist = config.allowlist && new Set(config.allowlist.map(lower));
+
+    /** @private */
+    this._denylist = new Set((config.denylist ?? []).map(lower));
+
+    /** @private */
+    this._requireRegisteredRecipient =
+      config.requireRegisteredRecipient ?? false;
+
+    /** @private */
+    this._approve = config.approve;
+
+    /** @private */
+    this._store = config.store ?? new MemorySpendingStore();
+
+    /**
+     * The last check of each account and token, which the next one waits for.
+     *
+     * @private
+     * @type {Map<string, Promise<unknown>>}
+     */
+    this._locks = new Map();
+  }
+
+  /**
+   * Checks an operation against the policy and, if it passes, records its amount in the rolling
+   * window until it is released.
+   *
+   * Checks of the same account and token run one at a time, so that concurrent operations cannot
+   * exceed the window together.
+   *
+   * @param {SpendingRequest} request - The operation.
+   * @param {Object} context - What the rules need to know about the chain.
+   * @param {(recipient: string) => Promise<boolean>} context.isRegistered - Whether a recipient has registered a confidential account.
+   * @returns {Promise<(amount?: bigint) => Promise<void>>} A function that removes an amount of the operation, by default all of it, from the window, for the parts of the operation that were not sent or reverted.
+   * @throws {PolicyViolationError} If the policy refuses the operation.
+   */
+  async reserve(request, { isRegistered }) {
+    const { operation, token, items, total } = request;
+    const key = getSpendingKey(request);
+    const violation = (rule, reason, recipient) =>
+      new PolicyViolationError({ operation, rule, reason, token, recipient });
+
+    for (const { recipient } of items) {
+      if (recipient === undefined) {
+        continue;
+      }
+
+      if (this._denylist.has(recipient.toLowerCase())) {
+        throw violation("denylist", `${recipient} is denylisted`, recipient);
+      }
+
+      if (this._allowlist && !this._allowlist.has(recipient.toLowerCase())) {
+        throw violation(
+          "allowlist",
+          `${recipient} is not allowlisted`,
+          recipient,
+        );
+      }
+
+      if (
+        this._requireRegisteredRecipient &&
+        !(await isRegistered(recipient))
+      ) {
+        throw violation(
+          "unregistered-recipient",
+          `${recipient} has not registered a confidential account`,
+          recipient,
+        );
+      }
+    }
+
+    const limits = this._limits.get(token.toLowerCase()) ?? {};
+
+    if (limits.perTransaction !== undefined) {
+      const limit = BigInt(limits.perTransaction);
+      const exceeding = items.find(({ amount }) => amount > limit);
+
+      if (exceeding) {
+        throw violation(
+          "per-transaction-limit",
+          `${exceeding.amount} exceeds the per-transaction limit of ${limit}`,
+        );
+      }
+    }
+
+    return await this._withLock(key, async () => {
+      const now = Date.now();
+      let records;
+
+      if (limits.perWindow !== undefined) {
+        const limit = BigInt(limits.perWindow);
+        const windowMs = limits.windowMs ?? DEFAULT_WINDOW_MS;
+
+        records = ((await this._store.get(key)) ?? []).filter(
+          ({ timestamp }) => timestamp > now - windowMs,
+        );
+
+        const spent = records.reduce(
+          (sum, { amount }) => sum + BigInt(amount),
+          0n,
+        );
+
+        if (spent + total > limit) {
+          throw violation(
+            "window-limit",
+            `${total} would exceed the limit of ${limit} per ${windowMs}ms, of which ${spent} is already spent`,
+          );
+        }
+      }
+
+      if (this._approve && (await this._approve(request)) !== true) {
+        throw violation("approval-denied", "the approval callback refused it");
+      }
+
+      if (!records) {
+        return async () => {};
+      }
+
+      const id = hexlify(randomBytes(16));
+
+      await this._store.set(key, [
+        ...records,
+        { id, amount: total.toString(), timestamp: now },
+      ]);
+
+      return async (amount) => {
+        await this._withLock(key, async () => {
+          const stored = (await this._store.get(key)) ?? [];
+
+          const released = stored.flatMap((record) => {
+            if (record.id !== id) {
+              return [record];
+            }
+
+            const left =
+              amount === undefined ? 0n : BigInt(record.amount) - amount;
+
+            return left > 0n ? [{ ...record, amount: left.toString() }] : [];
+          });
+
+          await this._store.set(key, released);
+        });
+      };
+    });
+  }
+
+  /** @private */
+  async _withLock(key, fn) {
+    const run = (this._locks.get(key) ?? Promise.resolve())
+      .catch(() => {})
+      .then(fn);
+
+    this._locks.set(key, run);
+
+    try {
+      return await run;
+    } finally {
+      if (this._locks.get(key) === run) {
+        this._locks.delete(key);
+      }
+    }
+  }
+}
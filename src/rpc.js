@@ -0,0 +1,240 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { FetchRequest, JsonRpcProvider, keccak256 } from "ethers";
+
+/** @typedef {import('ethers').JsonRpcPayload} JsonRpcPayload */
+/** @typedef {import('ethers').JsonRpcResult} JsonRpcResult */
+/** @typedef {import('ethers').JsonRpcError} JsonRpcError */
+/** @typedef {import('ethers').JsonRpcApiProviderOptions} JsonRpcApiProviderOptions */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts] - The maximum number of attempts of a request, the first one included (default: 3).
+ * @property {number} [backoffMs] - The delay before the first retry, doubled at each following retry (default: 250).
+ * @property {number} [maxBackoffMs] - The maximum delay between two attempts (default: 5000).
+ * @property {string[] | ((error: Error) => boolean)} [retryOn] - The codes of the errors that can be retried, or a function that decides it (default: network errors, timeouts and server errors).
+ */
+
+/**
+ * @typedef {Object} ResolvedRetryPolicy
+ * @property {number} maxAttempts - The maximum number of attempts of a request.
+ * @property {number} backoffMs - The delay before the first retry.
+ * @property {number} maxBackoffMs - The maximum delay between two attempts.
+ * @property {(error: Error) => boolean} isRetryable - Whether an error can be retried.
+ */
+
+/**
+ * The codes of the errors retried by default: the ethers codes of network failures, timeouts and
+ * 5xx responses, and the node codes of dropped connections.
+ */
+export const DEFAULT_RETRY_ON = [
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+  "TIMEOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const DEFAULT_BACKOFF_MS = 250;
+
+const DEFAULT_MAX_BACKOFF_MS = 5_000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Completes a retry policy with its default values.
+ *
+ * @param {RetryPolicy} [policy] - The retry policy.
+ * @returns {ResolvedRetryPolicy} The resolved policy.
+ */
+export function resolveRetryPolicy(policy = {}) {
+  const {
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+    retryOn = DEFAULT_RETRY_ON,
+  } = policy;
+
+  if (!Number.isSafeInteger(maxAttempts) || maxAttempts < 1) {
+    throw new TypeError(
+      `The maximum number of attempts must be a positive integer: ${maxAttempts}.`,
+    );
+  }
+
+  const isRetryable =
+    typeof retryOn === "function"
+      ? retryOn
+      : (error) =>
+          retryOn.includes(error?.code) || retryOn.includes(error?.cause?.code);
+
+  return { maxAttempts, backoffMs, maxBackoffMs, isRetryable };
+}
+
+/**
+ * Runs a function, and runs it again with an exponential backoff while it fails with an error the
+ * policy can retry.
+ *
+ * @template T
+ * @param {ResolvedRetryPolicy} policy - The retry policy.
+ * @param {(attempt: number) => Promise<T>} fn - The function, called with the number of the attempt.
+ * @param {Object} [hooks] - The retry hooks.
+ * @param {(error: Error) => boolean} [hooks.canRetry] - Further restricts which failed attempts are retried.
+ * @param {(error: Error, attempt: number) => void} [hooks.onRetry] - Called before each retry.
+ * @returns {Promise<T>} The value of the first successful attempt.
+ */
+export async function withRetry(policy, fn, hooks = {}) {
+  const { canRetry = () => true, onRetry } = hooks;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (
+        attempt >= policy.maxAttempts ||
+        !policy.isRetryable(error) ||
+        !canRetry(error)
+      ) {
+        throw error;
+      }
+
+      onRetry?.(error, attempt);
+
+      await sleep(
+        Math.min(policy.backoffMs * 2 ** (attempt - 1), policy.maxBackoffMs),
+      );
+    }
+  }
+}
+
+/**
+ * A json-rpc provider that fails over across several endpoints.
+ *
+ * A request that fails with an error the retry policy can retry is sent again to the next endpoint.
+ * Resending a raw transaction is safe, as it carries the same signature and nonce: if an earlier
+ * attempt reached a node before failing, the error of the retry ("already known", "nonce too low") is
+ * resolved by looking the transaction up by hash.
+ */
+export class FailoverProvider extends JsonRpcProvider {
+  /**
+   * Creates a new failover provider.
+   *
+   * @param {string[]} urls - The urls of the endpoints, in order of preference.
+   * @param {RetryPolicy} [policy] - The retry policy.
+   * @param {JsonRpcApiProviderOptions} [options] - The options of the underlying json-rpc provider.
+   */
+  constructor(urls, policy, options) {
+    if (urls.length === 0) {
+      throw new TypeError("A failover provider requires at least one url.");
+    }
+
+    super(urls[0], undefined, options);
+
+    /** @private */
+    this._urls = urls;
+
+    /** @private */
+    this._policy = resolveRetryPolicy(policy);
+
+    /** @private */
+    this._endpoint = 0;
+
+    /** @private */
+    this._broadcastCount = 0;
+  }
+
+  /**
+   * The url of the endpoint requests are currently sent to.
+   *
+   * @type {string}
+   */
+  get url() {
+    return this._urls[this._endpoint];
+  }
+
+  /**
+   * The number of raw transactions sent through the provider so far. A caller can compare it before
+   * and after a failed call to know whether the call may have broadcast a transaction.
+   *
+   * @type {number}
+   */
+  get broadcastCount() {
+    return this._broadcastCount;
+  }
+
+  /** @protected */
+  _getConnection() {
+    return new FetchRequest(this.url);
+  }
+
+  /**
+   * @protected
+   * @param {JsonRpcPayload | JsonRpcPayload[]} payload - The payload.
+   * @returns {Promise<Array<JsonRpcResult | JsonRpcError>>} The responses.
+   */
+  async _send(payload) {
+    const requests = [payload].flat();
+
+    this._broadcastCount += requests.filter(
+      ({ method }) => method === "eth_sendRawTransaction",
+    ).length;
+
+    return await withRetry(
+      this._policy,
+      async (attempt) => {
+        const responses = await super._send(payload);
+
+        return attempt > 1
+          ? await this._resolveRebroadcasts(requests, responses)
+          : responses;
+      },
+      {
+        onRetry: () => {
+          this._endpoint = (this._endpoint + 1) % this._urls.length;
+        },
+      },
+    );
+  }
+
+  /** @private */
+  async _resolveRebroadcasts(requests, responses) {
+    return await Promise.all(
+      responses.map(async (response) => {
+        const request = requests.find(({ id }) => id === response.id);
+
+        if (request?.method !== "eth_sendRawTransaction" || !response.error) {
+          return response;
+        }
+
+        const hash = keccak256(request.params[0]);
+
+        const [lookup] = await super._send({
+          method: "eth_getTransactionByHash",
+          params: [hash],
+          id: response.id,
+          jsonrpc: "2.0",
+        });
+
+        // An earlier attempt delivered the transaction: the error only reports the duplicate
+        return lookup.result ? { id: response.id, result: hash } : response;
+      }),
+    );
+  }
+}
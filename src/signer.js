@@ -0,0 +1,337 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { AbstractSigner, Transaction } from "ethers";
+import {
+  NotImplementedError,
+  SignerMismatchError,
+} from "./confidential-protocol.js";
+
+/** @typedef {import('ethers').Provider} Provider */
+/** @typedef {import('ethers').TransactionRequest} TransactionRequest */
+/** @typedef {import('ethers').TypedDataDomain} TypedDataDomain */
+/** @typedef {import('ethers').TypedDataField} TypedDataField */
+/** @typedef {import('@tetherto/wdk-wallet-evm').WalletAccountEvm} WalletAccountEvm */
+
+/**
+ * @typedef {{ type: "message", message: string | Uint8Array }
+ *   | { type: "typedData", domain: TypedDataDomain, types: Record<string, TypedDataField[]>, value: Record<string, any> }
+ *   | { type: "transaction", transaction: TransactionRequest }} SigningRequest
+ */
+
+/**
+ * Signs a request with an external signer, such as a hardware wallet or a remote signing service.
+ * Messages and typed data must be signed according to eip-191 and eip-712; transactions must be
+ * returned signed and serialized, ready to be broadcast.
+ *
+ * @callback SigningCallback
+ * @param {SigningRequest} request - The request to sign.
+ * @returns {Promise<string>} The signature, or the signed serialized transaction.
+ */
+
+const TRANSACTION_FIELDS = [
+  "type",
+  "to",
+  "data",
+  "value",
+  "nonce",
+  "chainId",
+  "gasLimit",
+  "gasPrice",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+  "accessList",
+];
+
+/**
+ * Converts a transaction into a plain transaction request, dropping its 'from' field and unset values.
+ *
+ * @param {Transaction | TransactionRequest} tx - The transaction.
+ * @returns {TransactionRequest} The transaction request.
+ */
+function toTransactionRequest(tx) {
+  const request = {};
+
+  // Transaction instances expose their fields through getters, which spreading would lose
+  for (const field of TRANSACTION_FIELDS) {
+    if (tx[field] !== null && tx[field] !== undefined) {
+      request[field] = tx[field];
+    }
+  }
+
+  return request;
+}
+
+/**
+ * An ethers signer that delegates every signature to a WDK wallet account, so that the account's
+ * private key never leaves it.
+ */
+export class WalletAccountSigner extends AbstractSigner {
+  /**
+   * Creates a new wallet account signer.
+   *
+   * @param {WalletAccountEvm} account - The wallet account.
+   * @param {Provider | null} [provider] - The provider to send transactions with.
+   */
+  constructor(account, provider = null) {
+    super(provider);
+
+    /** @private */
+    this._account = account;
+  }
+
+  /**
+   * Returns the address of the account.
+   *
+   * @returns {Promise<string>} The address.
+   */
+  async getAddress() {
+    return await this._account.getAddress();
+  }
+
+  /**
+   * Returns a copy of the signer connected to a provider.
+   *
+   * @param {Provider | null} provider - The provider.
+   * @returns {WalletAccountSigner} The signer.
+   */
+  connect(provider) {
+    return new WalletAccountSigner(this._account, provider);
+  }
+
+  /**
+   * Signs a message.
+   *
+   * @param {string | Uint8Array} message - The message.
+   * @returns {Promise<string>} The signature.
+   */
+  async signMessage(message) {
+    return await this._account.sign(message);
+  }
+
+  /**
+   * Signs typed data according to eip-712.
+   *
+   * @param {TypedDataDomain} domain - The domain.
+   * @param {Record<string, TypedDataField[]>} types - The types.
+   * @param {Record<string, any>} value - The value.
+   * @returns {Promise<string>} The signature.
+   */
+  async signTypedData(domain, types, value) {
+    return await this._account.signTypedData({ domain, types, message: value });
+  }
+
+  /**
+   * Signs a transaction.
+   *
+   * @param {Transaction | TransactionRequest} tx - The transaction.
+   * @returns {Promise<string>} The signed serialized transaction.
+   */
+  async signTransaction(tx) {
+    if (typeof this._account.signTransaction !== "function") {
+      throw new NotImplementedError("signTransaction(tx)");
+    }
+
+    return await this._account.signTransaction(toTransactionRequest(tx));
+  }
+}
+
+/**
+ * An ethers signer that forwards every signature to a {@link SigningCallback}.
+ */
+export class CallbackSigner extends AbstractSigner {
+  /**
+   * Creates a new callback signer.
+   *
+   * @param {string} address - The address of the signing account.
+   * @param {SigningCallback} callback - The signing callback.
+   * @param {Provider | null} [provider] - The provider to send transactions with.
+   */
+  constructor(address, callback, provider = null) {
+    super(provider);
+
+    /** @private */
+    this._address = address;
+
+    /** @private */
+    this._callback = callback;
+  }
+
+  /**
+   * Returns the address of the signing account.
+   *
+   * @returns {Promise<string>} The address.
+   */
+  async getAddress() {
+    return this._address;
+  }
+
+  /**
+   * Returns a copy of the signer connected to a provider.
+   *
+   * @param {Provider | null} provider - The provider.
+   * @returns {CallbackSigner} The signer.
+   */
+  connect(provider) {
+    return new CallbackSigner(this._address, this._callback, provider);
+  }
+
+  /**
+   * Signs a message.
+   *
+   * @param {string | Uint8Array} message - The message.
+   * @returns {Promise<string>} The signature.
+   */
+  async signMessage(message) {
+    return await this._callback({ type: "message", message });
+  }
+
+  /**
+   * Signs typed data according to eip-712.
+   *
+   * @param {TypedDataDomain} domain - The domain.
+   * @param {Record<string, TypedDataField[]>} types - The types.
+   * @param {Record<string, any>} value - The value.
+   * @returns {Promise<string>} The signature.
+   */
+  async signTypedData(domain, types, value) {
+    return await this._callback({ type: "typedData", domain, types, value });
+  }
+
+  /**
+   * Signs a transaction.
+   *
+   * @param {Transaction | TransactionRequest} tx - The transaction.
+   * @returns {Promise<string>} The signed serialized transaction.
+   */
+  async signTransaction(tx) {
+    const transaction = { from: this._address, ...toTransactionRequest(tx) };
+
+    const signed = await this._callback({ type: "transaction", transaction });
+
+    const { from } = Transaction.from(signed);
+
+    if (from?.toLowerCase() !== this._address.toLowerCase()) {
+      throw new SignerMismatchError({ expected: this._address, actual: from });
+    }
+
+    return signed;
+  }
+}
+
+/**
+ * An ethers signer that signs nothing: it records the first transaction it is asked to sign, once
+ * populated with its nonce, gas and chain ID, and refuses to sign it. The recorded transaction can
+ * then be signed on another host.
+ *
+ * Messages and typed data cannot be deferred the same way, as the client waits for their signature
+ * to go on. A client that asks for one while building, for example to derive the confidential keys
+ * from the wallet's signature, cannot build offline.
+ */
+export class OfflineSigner extends AbstractSigner {
+  /**
+   * Creates a new offline signer.
+   *
+   * @param {string} address - The address of the account the transaction is built for.
+   * @param {Provider | null} [provider] - The provider to populate the transaction with.
+   * @param {number} [nonce] - The nonce of the transaction (default: the account's next nonce).
+   */
+  constructor(address, provider = null, nonce = undefined) {
+    super(provider);
+
+    /** @private */
+    this._address = address;
+
+    /** @private */
+    this._nonce = nonce;
+
+    /**
+     * @private
+     * @type {TransactionRequest | undefined}
+     */
+    this._transaction = undefined;
+  }
+
+  /**
+   * The recorded transaction, if the signer was asked to sign one.
+   *
+   * @type {TransactionRequest | undefined}
+   */
+  get transaction() {
+    return this._transaction;
+  }
+
+  /**
+   * Returns the address of the account.
+   *
+   * @returns {Promise<string>} The address.
+   */
+  async getAddress() {
+    return this._address;
+  }
+
+  /**
+   * Returns the nonce of the transaction.
+   *
+   * @param {import('ethers').BlockTag} [blockTag] - The block tag to read the account's nonce at.
+   * @returns {Promise<number>} The nonce.
+   */
+  async getNonce(blockTag) {
+    return this._nonce ?? (await super.getNonce(blockTag));
+  }
+
+  /**
+   * Returns a copy of the signer connected to a provider.
+   *
+   * @param {Provider | null} provider - The provider.
+   * @returns {OfflineSigner} The signer.
+   */
+  connect(provider) {
+    return new OfflineSigner(this._address, provider, this._nonce);
+  }
+
+  /**
+   * Refuses to sign a message.
+   *
+   * @returns {Promise<never>}
+   */
+  async signMessage() {
+    throw new Error(
+      "An offline signer cannot sign messages: the stabletrust client asked for the wallet's signature while building the transaction.",
+    );
+  }
+
+  /**
+   * Refuses to sign typed data.
+   *
+   * @returns {Promise<never>}
+   */
+  async signTypedData() {
+    throw new Error(
+      "An offline signer cannot sign typed data: the stabletrust client asked for the wallet's signature while building the transaction.",
+    );
+  }
+
+  /**
+   * Records the transaction, and refuses to sign it.
+   *
+   * @param {Transaction | TransactionRequest} tx - The transaction.
+   * @returns {Promise<never>}
+   */
+  async signTransaction(tx) {
+    this._transaction ??= toTransactionRequest(tx);
+
+    throw new Error("The transaction was recorded to be signed offline.");
+  }
+}
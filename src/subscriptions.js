@@ -0,0 +1,192 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  DEFAULT_CHUNK_SIZE,
+  queryConfidentialLogs,
+  toHistoryEntry,
+} from "./history.js";
+
+/** @typedef {import('ethers').Contract} Contract */
+/** @typedef {import('./history.js').ConfidentialHistoryEntry} ConfidentialHistoryEntry */
+
+/**
+ * @typedef {Object} ConfidentialEventListener
+ * @property {(entries: ConfidentialHistoryEntry[], blockNumber: number) => void | Promise<void>} onEntries - Called with the operations of each new range of blocks, oldest first.
+ * @property {(error: Error) => void} [onError] - Called when the events cannot be fetched, or when 'onEntries' throws.
+ */
+
+/**
+ * Watches the stabletrust contract for the confidential operations of an account.
+ *
+ * The watcher follows the provider's "block" events and queries the contract's logs from the last
+ * processed block to each new block. If a query fails, for example while the rpc node is unreachable,
+ * the range is not marked as processed: the next block event, once the provider is reachable again,
+ * catches up on all the blocks missed in between.
+ */
+export class ConfidentialEventWatcher {
+  /**
+   * Creates a new watcher.
+   *
+   * @param {Object} params - The watcher parameters.
+   * @param {Contract} params.contract - The stabletrust contract, connected to a provider.
+   * @param {string} params.address - The address of the account.
+   * @param {(ciphertext: string) => Promise<bigint>} params.decrypt - Decrypts an amount encrypted for the account.
+   * @param {number} [params.chunkSize] - The maximum number of blocks per log query (default: 10000).
+   */
+  constructor({ contract, address, decrypt, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    /** @private */
+    this._contract = contract;
+
+    /** @private */
+    this._provider = contract.runner.provider;
+
+    /** @private */
+    this._address = address;
+
+    /** @private */
+    this._decrypt = decrypt;
+
+    /** @private */
+    this._chunkSize = chunkSize;
+
+    /**
+     * @private
+     * @type {Set<ConfidentialEventListener>}
+     */
+    this._listeners = new Set();
+
+    /**
+     * The last block whose events were delivered to the listeners.
+     *
+     * @private
+     * @type {number | undefined}
+     */
+    this._lastBlock = undefined;
+
+    /** @private */
+    this._queue = Promise.resolve();
+
+    /** @private */
+    this._onBlock = (blockNumber) => {
+      this._enqueue(() => this._process(blockNumber));
+    };
+  }
+
+  /**
+   * The number of active listeners.
+   *
+   * @type {number}
+   */
+  get listenerCount() {
+    return this._listeners.size;
+  }
+
+  /**
+   * Adds a listener. The watcher starts with its first listener and stops with its last one.
+   *
+   * @param {ConfidentialEventListener} listener - The listener.
+   * @returns {() => void} A function that removes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+
+    if (this._listeners.size === 1) {
+      this._start();
+    }
+
+    return () => {
+      if (this._listeners.delete(listener) && this._listeners.size === 0) {
+        this._stop();
+      }
+    };
+  }
+
+  /** @private */
+  _start() {
+    this._lastBlock = undefined;
+
+    this._enqueue(async () => {
+      this._lastBlock = await this._provider.getBlockNumber();
+    });
+
+    this._provider.on("block", this._onBlock);
+  }
+
+  /** @private */
+  _stop() {
+    this._provider.off("block", this._onBlock);
+  }
+
+  /** @private */
+  _enqueue(task) {
+    this._queue = this._queue.then(task).catch((error) => this._fail(error));
+  }
+
+  /** @private */
+  async _process(blockNumber) {
+    if (this._listeners.size === 0) {
+      return;
+    }
+
+    if (this._lastBlock === undefined) {
+      this._lastBlock = blockNumber - 1;
+    }
+
+    while (this._lastBlock < blockNumber) {
+      const fromBlock = this._lastBlock + 1;
+      const toBlock = Math.min(blockNumber, fromBlock + this._chunkSize - 1);
+
+      const logs = await queryConfidentialLogs(
+        this._contract,
+        this._address,
+        null,
+        fromBlock,
+        toBlock,
+      );
+
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      const entries = [];
+
+      for (const log of logs) {
+        entries.push(await toHistoryEntry(log, this._address, this._decrypt));
+      }
+
+      this._lastBlock = toBlock;
+
+      if (entries.length > 0) {
+        await this._dispatch(entries, toBlock);
+      }
+    }
+  }
+
+  /** @private */
+  async _dispatch(entries, blockNumber) {
+    for (const listener of [...this._listeners]) {
+      try {
+        await listener.onEntries(entries, blockNumber);
+      } catch (error) {
+        listener.onError?.(error);
+      }
+    }
+  }
+
+  /** @private */
+  _fail(error) {
+    for (const listener of this._listeners) {
+      listener.onError?.(error);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { ConfidentialProtocolEvm } from "./fairblock-protocol-evm.js";
+import { UnknownProtocolError } from "./confidential-protocol.js";
+
+/** @typedef {import('@tetherto/wdk').default} WDK */
+/** @typedef {import('./fairblock-protocol-evm.js').ConfidentialProtocolConfig} ConfidentialProtocolConfig */
+
+/**
+ * The confidential protocols registered for each account, by label.
+ *
+ * @type {WeakMap<object, Map<string, { config: ConfidentialProtocolConfig, protocol?: ConfidentialProtocolEvm }>>}
+ */
+const registrations = new WeakMap();
+
+/**
+ * Registers the confidential protocol for the accounts of a WDK blockchain.
+ *
+ * WDK's own 'registerProtocol' only dispatches its built-in protocol categories (swap, bridge,
+ * lending, fiat), so the registration goes through a WDK middleware instead: every account returned
+ * by 'wdk.getAccount' for the blockchain gets a 'getConfidentialProtocol(label)' method, mirroring
+ * 'getSwapProtocol(label)' and its siblings. The protocol is created on first use and cached for the
+ * account; 'enableConfidentiality' must still be called on it before any confidential operation.
+ *
+ * @param {WDK} wdk - The WDK instance.
+ * @param {string} blockchain - The name of the blockchain, as registered with 'wdk.registerWallet'.
+ * @param {string} label - The label of the protocol.
+ * @param {ConfidentialProtocolConfig} config - The protocol configuration.
+ * @returns {WDK} The WDK instance.
+ *
+ * @example
+ * registerConfidentialProtocol(wdk, "stable", "fairblock", { network: "stable-testnet" });
+ *
+ * const account = await wdk.getAccount("stable", 0);
+ * const confidential = account.getConfidentialProtocol("fairblock");
+ * await confidential.enableConfidentiality();
+ */
+export function registerConfidentialProtocol(wdk, blockchain, label, config) {
+  wdk.registerMiddleware(blockchain, async (account) => {
+    let protocols = registrations.get(account);
+
+    if (!protocols) {
+      protocols = new Map();
+      registrations.set(account, protocols);
+
+      account.getConfidentialProtocol = (label) => {
+        const registration = protocols.get(label);
+
+        if (!registration) {
+          throw new UnknownProtocolError(label);
+        }
+
+        registration.protocol ??= new ConfidentialProtocolEvm(
+          account,
+          registration.config,
+        );
+
+        return registration.protocol;
+      };
+    }
+
+    if (!protocols.has(label)) {
+      protocols.set(label, { config });
+    }
+  });
+
+  return wdk;
+}
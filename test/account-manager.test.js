@@ -0,0 +1,123 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import WDK from "@tetherto/wdk";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { Mnemonic, randomBytes } from "ethers";
+
+import { ConfidentialAccountManager, InvalidOptionError } from "../index.js";
+import { TOKEN, createMock } from "./helpers.js";
+
+describe("ConfidentialAccountManager", () => {
+  let mock, wdk, manager, requested;
+
+  beforeEach(async () => {
+    mock = createMock();
+
+    const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    wdk = new WDK(seed).registerWallet("ethereum", WalletManagerEvm, {
+      provider: mock.provider,
+    });
+
+    const getAccount = wdk.getAccount.bind(wdk);
+
+    requested = [];
+    wdk.getAccount = (blockchain, index) => {
+      requested.push(index);
+      return getAccount(blockchain, index);
+    };
+
+    const account = await getAccount("ethereum", 0);
+    mock.mint(await account.getAddress(), TOKEN, 100_000n);
+
+    manager = new ConfidentialAccountManager(wdk, {
+      blockchain: "ethereum",
+      indexes: [0, 1, 2],
+      config: { chainId: mock.chainId, client: mock, pollingInterval: 10 },
+    });
+  });
+
+  test("enables each account once, on first use", async () => {
+    const account = await manager.getAccount(1);
+
+    assert.equal(await manager.getAccount(1), account);
+    assert.equal(account.index, 1);
+    assert.deepEqual(requested, [1]);
+  });
+
+  test("throws for an index that is not managed", async () => {
+    await assert.rejects(manager.getAccount(5), InvalidOptionError);
+  });
+
+  test("moves an amount between two accounts", async () => {
+    const first = await manager.getAccount(0);
+
+    await first.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const result = await manager.rebalanceConfidential({
+      token: TOKEN,
+      from: 0,
+      to: 2,
+      amount: "0.01",
+      confirmations: 1,
+    });
+
+    assert.equal(result.status, "success");
+
+    const balance = await manager.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(balance.amount, 99_990n);
+    assert.deepEqual(
+      balance.accounts.map(({ index, amount }) => [index, amount]),
+      [
+        [0, 89_990n],
+        [1, 0n],
+        [2, 10_000n],
+      ],
+    );
+  });
+
+  test("refuses to rebalance an account into itself", async () => {
+    await assert.rejects(
+      manager.rebalanceConfidential({
+        token: TOKEN,
+        from: 1,
+        to: 1,
+        amount: 1n,
+      }),
+      InvalidOptionError,
+    );
+  });
+
+  test("validates the indexes", () => {
+    assert.throws(
+      () =>
+        new ConfidentialAccountManager(wdk, {
+          blockchain: "ethereum",
+          indexes: [-1],
+          config: { chainId: mock.chainId, client: mock },
+        }),
+      InvalidOptionError,
+    );
+  });
+});
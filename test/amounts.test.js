@@ -0,0 +1,128 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+
+import { MaxUint256, dataSlice, getAddress, id } from "ethers";
+
+import { InvalidAmountError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const GOLD = getAddress(dataSlice(id("gold"), 12));
+
+describe("amounts", () => {
+  let mock, account, address;
+
+  before(async () => {
+    mock = createMock();
+    mock.addToken(GOLD, { symbol: "XAUT0", decimals: 18 });
+
+    account = await createConfidentialAccount(mock, { balance: 10_000_000n });
+    address = await account.getAddress();
+
+    mock.mint(address, GOLD, 10n ** 18n);
+  });
+
+  test("converts the amounts in tokens with the decimals of the token", async () => {
+    const deposits = [
+      [TOKEN, "1.5", 1_500_000n],
+      [TOKEN, { value: "0.25", unit: "token" }, 250_000n],
+      [TOKEN, { value: 2n, unit: "token" }, 2_000_000n],
+      [GOLD, "0.000000000000000001", 1n],
+      [GOLD, { value: "0.5", unit: "token" }, 5n * 10n ** 17n],
+    ];
+
+    for (const [token, amount, expected] of deposits) {
+      const before = await account.getConfidentialBalance({ token });
+
+      await account.depositConfidential({
+        token,
+        amount,
+        approval: "exact",
+        confirmations: 1,
+      });
+
+      const after = await account.getConfidentialBalance({ token });
+      assert.equal(after.amount - before.amount, expected, String(amount));
+    }
+  });
+
+  test("takes the other amounts in base units", async () => {
+    const withdrawals = [
+      [100n, 100n],
+      [250, 250n],
+      [{ value: "300", unit: "base" }, 300n],
+      [{ value: 400n, unit: "base" }, 400n],
+    ];
+
+    for (const [amount, expected] of withdrawals) {
+      const before = mock.getPublicBalance(address, TOKEN);
+
+      await account.withdrawConfidential({
+        token: TOKEN,
+        amount,
+        confirmations: 1,
+      });
+
+      assert.equal(
+        mock.getPublicBalance(address, TOKEN) - before,
+        expected,
+        String(amount),
+      );
+    }
+  });
+
+  test("refuses the invalid amounts before anything is sent", async () => {
+    const invalid = [
+      [0n, /must be positive/],
+      [-1n, /must be positive/],
+      ["0", /must be positive/],
+      [1.5, /integer amount of base units/],
+      [2 ** 53, /safe integer range/],
+      [MaxUint256 + 1n, /maximum uint256/],
+      ["1e6", /decimal number of tokens/],
+      [" 1", /decimal number of tokens/],
+      ["-1", /decimal number of tokens/],
+      ["1.0000001", /more than the 6 decimals/],
+      [{ value: "1", unit: "cents" }, /unknown unit 'cents'/],
+      [null, /must be a number or a bigint/],
+    ];
+
+    const blockNumber = mock.blockNumber;
+
+    for (const [amount, reason] of invalid) {
+      await assert.rejects(
+        account.withdrawConfidential({ token: TOKEN, amount }),
+        (error) => {
+          assert.ok(error instanceof InvalidAmountError, String(amount));
+          assert.equal(error.amount, amount);
+          assert.match(error.reason, reason);
+          return true;
+        },
+      );
+    }
+
+    await assert.rejects(
+      account.quoteTransferConfidential({
+        recipient: address,
+        token: GOLD,
+        amount: "0.0000000000000000001",
+      }),
+      /more than the 18 decimals/,
+    );
+
+    assert.equal(mock.blockNumber, blockNumber);
+  });
+});
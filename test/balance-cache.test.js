@@ -0,0 +1,175 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { ConfidentialBalanceCache } from "../src/balance-cache.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("ConfidentialBalanceCache", () => {
+  test("serves a balance for 'maxAgeBlocks' blocks after the block it was read at", () => {
+    const cache = new ConfidentialBalanceCache({ maxAgeBlocks: 1 });
+
+    cache.set(TOKEN, 100n, 10);
+
+    assert.deepEqual(cache.get(TOKEN, 11), {
+      available: 100n,
+      blockNumber: 10,
+    });
+    assert.equal(cache.get(TOKEN, 12), undefined);
+  });
+
+  test("ignores a balance read at an older block", () => {
+    const cache = new ConfidentialBalanceCache(true);
+
+    cache.set(TOKEN, 100n, 10);
+    cache.set(TOKEN, 50n, 9);
+
+    assert.equal(cache.get(TOKEN, 10).available, 100n);
+  });
+
+  test("only tracks pending changes when disabled", () => {
+    const cache = new ConfidentialBalanceCache();
+
+    cache.set(TOKEN, 100n, 10);
+    cache.addPending("0x01", TOKEN, -5n);
+
+    assert.equal(cache.get(TOKEN, 10), undefined);
+    assert.equal(cache.getPending(TOKEN), -5n);
+  });
+
+  test("leaves out the changes mined at or before the block a balance was read at", () => {
+    const cache = new ConfidentialBalanceCache();
+
+    cache.addPending("0x01", TOKEN, 500n);
+    cache.addPending("0x02", TOKEN, 300n);
+    cache.setMined("0x01", 10);
+
+    assert.deepEqual(cache.getUnmined(TOKEN), ["0x02"]);
+    assert.equal(cache.getPending(TOKEN, 9), 800n);
+    assert.equal(cache.getPending(TOKEN, 10), 300n);
+
+    cache.settle("0x02");
+
+    assert.equal(cache.getPending(TOKEN, 9), 500n);
+  });
+});
+
+describe("getConfidentialBalance", () => {
+  let mock, reads;
+
+  beforeEach(() => {
+    mock = createMock();
+    reads = 0;
+
+    const getConfidentialBalance = mock.getConfidentialBalance.bind(mock);
+
+    mock.getConfidentialBalance = (...args) => {
+      reads++;
+      return getConfidentialBalance(...args);
+    };
+  });
+
+  test("does not count the operations mined before the read as pending", async () => {
+    const account = await createConfidentialAccount(mock, {
+      balance: 10_000n,
+    });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 500n,
+      approval: "infinite",
+    });
+    await account.depositConfidential({ token: TOKEN, amount: 500n });
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(balance.amount, 1_000n);
+    assert.equal(balance.available, 1_000n);
+    assert.equal(balance.pending, 0n);
+  });
+
+  test("drops the pending change of a reverted operation", async () => {
+    const account = await createConfidentialAccount(mock, {
+      balance: 10_000n,
+    });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    mock.revertNext("withdraw");
+
+    await account.withdrawConfidential({ token: TOKEN, amount: 100n });
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(balance.amount, 1_000n);
+    assert.equal(balance.pending, 0n);
+  });
+
+  test("decrypts the balance at every read without a cache", async () => {
+    const account = await createConfidentialAccount(mock);
+
+    await account.getConfidentialBalance({ token: TOKEN });
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(reads, 2);
+  });
+
+  test("serves the cached balance within the block it was read at", async () => {
+    const account = await createConfidentialAccount(mock, {
+      config: { balanceCache: true },
+    });
+
+    await account.getConfidentialBalance({ token: TOKEN });
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(reads, 1);
+
+    await account.getConfidentialBalance({ token: TOKEN, fresh: true });
+
+    assert.equal(reads, 2);
+
+    mock.mine();
+
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(reads, 3);
+  });
+
+  test("decrypts the balance again once it is invalidated", async () => {
+    const account = await createConfidentialAccount(mock, {
+      config: { balanceCache: { maxAgeBlocks: 5 } },
+    });
+
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    mock.mine();
+
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(reads, 1);
+
+    account.invalidateConfidentialBalance(TOKEN);
+
+    await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(reads, 2);
+  });
+});
@@ -0,0 +1,101 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { dataSlice, getAddress, id } from "ethers";
+
+import { ConfidentialOperationError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const OTHER_TOKEN = getAddress(dataSlice(id("other token"), 12));
+
+describe("getConfidentialBalances", () => {
+  let mock, account, address;
+
+  beforeEach(async () => {
+    mock = createMock();
+    mock.addToken(OTHER_TOKEN, { symbol: "XAUT0", decimals: 18 });
+
+    account = await createConfidentialAccount(mock, { balance: 3_000_000n });
+    address = await account.getAddress();
+
+    mock.mint(address, OTHER_TOKEN, 2n * 10n ** 18n);
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+  });
+
+  test("returns the balances of the tokens, in their order", async () => {
+    const balances = await account.getConfidentialBalances({
+      tokens: [OTHER_TOKEN, TOKEN],
+    });
+
+    assert.deepEqual(balances, [
+      {
+        token: OTHER_TOKEN,
+        symbol: "XAUT0",
+        decimals: 18,
+        amount: 0n,
+        formatted: "0.0",
+        publicAmount: 2n * 10n ** 18n,
+        publicFormatted: "2.0",
+      },
+      {
+        token: TOKEN,
+        symbol: "USDT0",
+        decimals: 6,
+        amount: 1_000_000n,
+        formatted: "1.0",
+        publicAmount: 2_000_000n,
+        publicFormatted: "2.0",
+      },
+    ]);
+  });
+
+  test("reads the metadata of a token once", async () => {
+    await account.getConfidentialBalances({ tokens: [OTHER_TOKEN] });
+
+    mock.addToken(OTHER_TOKEN, { symbol: "RENAMED", decimals: 18 });
+
+    const [balance] = await account.getConfidentialBalances({
+      tokens: [OTHER_TOKEN],
+    });
+
+    assert.equal(balance.symbol, "XAUT0");
+    assert.equal(balance.publicAmount, 0n);
+  });
+
+  test("does not cache the metadata it failed to read", async () => {
+    const unknown = getAddress(dataSlice(id("unknown token"), 12));
+
+    await assert.rejects(
+      account.getConfidentialBalances({ tokens: [unknown] }),
+      ConfidentialOperationError,
+    );
+
+    mock.addToken(unknown, { symbol: "LATE", decimals: 6 });
+
+    const [balance] = await account.getConfidentialBalances({
+      tokens: [unknown],
+    });
+
+    assert.equal(balance.symbol, "LATE");
+  });
+});
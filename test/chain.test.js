@@ -0,0 +1,87 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { Transaction } from "ethers";
+
+import {
+  ChainMismatchError,
+  enableConfidentiality,
+  WalletAccountSigner,
+} from "../index.js";
+import {
+  TOKEN,
+  createAccount,
+  createConfidentialAccount,
+  createMock,
+} from "./helpers.js";
+
+describe("chain mismatches", () => {
+  let mock;
+
+  beforeEach(() => {
+    mock = createMock();
+  });
+
+  test("refuses to enable an account on another chain than the configured one", async () => {
+    const account = await createAccount(mock);
+
+    await assert.rejects(
+      enableConfidentiality(account, { chainId: 1, client: mock }),
+      (error) => {
+        assert.ok(error instanceof ChainMismatchError);
+        assert.equal(error.expected, 1);
+        assert.equal(error.actual, mock.chainId);
+        return true;
+      },
+    );
+
+    assert.equal(await mock.getPublicKey(await account.getAddress()), null);
+  });
+
+  test("refuses to broadcast a transaction signed for another chain", async () => {
+    const account = await createConfidentialAccount(mock, { balance: 1_000n });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const { unsignedTransaction } = await account.buildWithdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    const rawTx = await new WalletAccountSigner(
+      account.account,
+    ).signTransaction(Transaction.from({ ...unsignedTransaction, chainId: 1 }));
+
+    await assert.rejects(
+      account.broadcastSignedConfidential(rawTx),
+      (error) => {
+        assert.ok(error instanceof ChainMismatchError);
+        assert.equal(error.expected, mock.chainId);
+        assert.equal(error.actual, 1);
+        return true;
+      },
+    );
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+  });
+});
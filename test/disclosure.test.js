@@ -0,0 +1,154 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+
+import {
+  ConfidentialTransferNotFoundError,
+  MockConfidentialTransferClient,
+  verifyDisclosure,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+/**
+ * A mock client that returns the registered public keys in upper case.
+ */
+class UpperCaseMockClient extends MockConfidentialTransferClient {
+  async getPublicKey(address) {
+    const publicKey = await super.getPublicKey(address);
+
+    return publicKey && `0x${publicKey.slice(2).toUpperCase()}`;
+  }
+}
+
+describe("disclosures", () => {
+  let mock, alice, bob, hash;
+
+  before(async () => {
+    mock = createMock();
+    alice = await createConfidentialAccount(mock, { balance: 10_000n });
+    bob = await createConfidentialAccount(mock);
+
+    await alice.depositConfidential({
+      token: TOKEN,
+      amount: 10_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    ({ hash } = await alice.transferConfidential({
+      recipient: await bob.getAddress(),
+      token: TOKEN,
+      amount: 1_234n,
+      confirmations: 1,
+    }));
+  });
+
+  test("discloses a transfer to the sender and to the recipient", async () => {
+    const sent = await alice.createDisclosure({ hash });
+    const received = await bob.createDisclosure({ hash });
+
+    assert.equal(sent.role, "sender");
+    assert.equal(sent.amount, "1234");
+    assert.equal(received.role, "recipient");
+    assert.equal(received.amount, "1234");
+
+    assert.deepEqual(await bob.verifyDisclosure(sent), { valid: true });
+    assert.deepEqual(await alice.verifyDisclosure(JSON.stringify(received)), {
+      valid: true,
+    });
+  });
+
+  test("throws for a transaction without a transfer of the account", async () => {
+    const { hash } = await alice.withdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+      confirmations: 1,
+    });
+
+    await assert.rejects(
+      alice.createDisclosure({ hash }),
+      ConfidentialTransferNotFoundError,
+    );
+  });
+
+  test("rejects a tampered amount", async () => {
+    const disclosure = await alice.createDisclosure({ hash });
+
+    const { valid, reason } = await bob.verifyDisclosure({
+      ...disclosure,
+      amount: "4321",
+    });
+
+    assert.equal(valid, false);
+    assert.match(reason, /proof/);
+  });
+
+  test("rejects a disclosure signed by another account", async () => {
+    const disclosure = await alice.createDisclosure({ hash });
+    const forged = await bob.createDisclosure({ hash });
+
+    const { valid, reason } = await bob.verifyDisclosure({
+      ...disclosure,
+      signature: forged.signature,
+    });
+
+    assert.equal(valid, false);
+    assert.match(reason, /not signed by the discloser/);
+  });
+
+  test("resolves to invalid for a document that is not json", async () => {
+    const expected = {
+      valid: false,
+      reason: "the disclosure is not valid json",
+    };
+
+    assert.deepEqual(await alice.verifyDisclosure("{ not json"), expected);
+    assert.deepEqual(
+      await verifyDisclosure("{ not json", { rpcUrl: "http://localhost" }),
+      expected,
+    );
+  });
+
+  test("compares the public keys regardless of their case", async () => {
+    const upperCase = new UpperCaseMockClient({ fee: 10n });
+    upperCase.addToken(TOKEN, { symbol: "USDT0", decimals: 6 });
+
+    const sender = await createConfidentialAccount(upperCase, {
+      balance: 1_000n,
+    });
+    const recipient = await createConfidentialAccount(upperCase);
+
+    await sender.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const { hash } = await sender.transferConfidential({
+      recipient: await recipient.getAddress(),
+      token: TOKEN,
+      amount: 500n,
+      confirmations: 1,
+    });
+
+    const disclosure = await sender.createDisclosure({ hash });
+
+    assert.deepEqual(await recipient.verifyDisclosure(disclosure), {
+      valid: true,
+    });
+  });
+});
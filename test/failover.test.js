@@ -0,0 +1,259 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { afterEach, beforeEach, describe, test } from "node:test";
+
+import { WalletAccountEvm } from "@tetherto/wdk-wallet-evm";
+import { Mnemonic, randomBytes } from "ethers";
+
+import {
+  ConfidentialOperationError,
+  enableConfidentiality,
+  FailoverProvider,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+function networkError() {
+  return Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+}
+
+/**
+ * Serves the mock's chain over http. The handler can answer a request itself instead.
+ */
+async function startNode(mock, handler = () => undefined) {
+  const node = { requests: [] };
+
+  node.server = createServer(async (request, response) => {
+    let body = "";
+
+    for await (const chunk of request) {
+      body += chunk;
+    }
+
+    const payload = JSON.parse(body);
+    node.requests.push(...[payload].flat().map(({ method }) => method));
+
+    const results = await Promise.all(
+      [payload].flat().map(async ({ id, method, params }) => {
+        try {
+          const result = await mock.provider.request({ method, params });
+          return { jsonrpc: "2.0", id, result };
+        } catch (error) {
+          const code = typeof error.code === "number" ? error.code : -32000;
+          return {
+            jsonrpc: "2.0",
+            id,
+            error: { code, message: error.message },
+          };
+        }
+      }),
+    );
+
+    const status = (await handler(payload)) ?? 200;
+
+    response.writeHead(status, { "content-type": "application/json" });
+    response.end(JSON.stringify(Array.isArray(payload) ? results : results[0]));
+  });
+
+  node.server.listen(0, "127.0.0.1");
+  await once(node.server, "listening");
+
+  node.url = `http://127.0.0.1:${node.server.address().port}`;
+
+  return node;
+}
+
+describe("rpc failover", () => {
+  let mock, nodes;
+
+  async function createFailoverAccount(urls) {
+    const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    const account = new WalletAccountEvm(seed, "0'/0/0", { provider: urls });
+    mock.mint(await account.getAddress(), TOKEN, 1_000n);
+
+    return await enableConfidentiality(account, {
+      chainId: mock.chainId,
+      client: mock,
+      pollingInterval: 10,
+      retry: { backoffMs: 1 },
+    });
+  }
+
+  beforeEach(() => {
+    mock = createMock();
+    nodes = [];
+  });
+
+  afterEach(async () => {
+    for (const { server } of nodes) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test("fails over to the next url when a node is down", async () => {
+    const down = await startNode(mock, () => 503);
+    const up = await startNode(mock);
+    nodes.push(down, up);
+
+    const account = await createFailoverAccount([down.url, up.url]);
+
+    assert.ok(account.protocol.provider instanceof FailoverProvider);
+
+    const result = await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    assert.equal(result.status, "success");
+    assert.equal(account.protocol.provider.url, up.url);
+    assert.ok(down.requests.length > 0);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+  });
+
+  test("resends a transaction whose response was lost, without sending it twice", async () => {
+    let sent = 0;
+
+    // The deposit, sent after its approval, reaches the chain, but its response is lost
+    const flaky = await startNode(mock, (payload) => {
+      sent += [payload]
+        .flat()
+        .filter(({ method }) => method === "eth_sendRawTransaction").length;
+
+      return sent === 2 ? 503 : undefined;
+    });
+    const up = await startNode(mock);
+    nodes.push(flaky, up);
+
+    const account = await createFailoverAccount([flaky.url, up.url]);
+    const address = await account.getAddress();
+
+    const result = await account.depositConfidential({
+      token: TOKEN,
+      amount: 400n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    assert.equal(sent, 2);
+    assert.equal(result.status, "success");
+    assert.ok(up.requests.includes("eth_sendRawTransaction"));
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 400n);
+    assert.equal(mock.getPublicBalance(address, TOKEN), 600n);
+  });
+
+  test("retries an operation that failed before it broadcast", async () => {
+    const up = await startNode(mock);
+    nodes.push(up);
+
+    const account = await createFailoverAccount([up.url]);
+
+    mock.failNext("confidentialDeposit", networkError());
+
+    const result = await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    assert.equal(result.status, "success");
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+  });
+});
+
+describe("client retries", () => {
+  let mock;
+
+  beforeEach(() => {
+    mock = createMock();
+  });
+
+  test("retries a read on the next rpc url", async () => {
+    const urls = [];
+
+    const account = await createConfidentialAccount(mock, {
+      balance: 1_000n,
+      config: {
+        rpcUrl: ["https://first.example", "https://second.example"],
+        client: (rpcUrl) => {
+          urls.push(rpcUrl);
+          return mock;
+        },
+        retry: { backoffMs: 1 },
+      },
+    });
+
+    // A client is created per rpc url, when it is first used
+    assert.deepEqual(urls, ["https://first.example"]);
+
+    mock.failNext("getConfidentialBalance", networkError());
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+
+    assert.equal(balance.amount, 0n);
+    assert.deepEqual(urls, ["https://first.example", "https://second.example"]);
+  });
+
+  test("does not retry an error the policy cannot retry", async () => {
+    const account = await createConfidentialAccount(mock, {
+      config: { retry: { backoffMs: 1, retryOn: ["TIMEOUT"] } },
+    });
+
+    mock.failNext("getConfidentialBalance", networkError());
+
+    await assert.rejects(
+      account.getConfidentialBalance({ token: TOKEN }),
+      (error) => {
+        assert.ok(error instanceof ConfidentialOperationError);
+        assert.equal(error.cause.code, "NETWORK_ERROR");
+        return true;
+      },
+    );
+  });
+
+  test("does not retry a state-changing operation without a failover provider", async () => {
+    const account = await createConfidentialAccount(mock, {
+      balance: 1_000n,
+      config: { retry: { backoffMs: 1 } },
+    });
+
+    mock.failNext("confidentialDeposit", networkError());
+
+    await assert.rejects(
+      account.depositConfidential({
+        token: TOKEN,
+        amount: 1_000n,
+        approval: "exact",
+        confirmations: 1,
+      }),
+      ConfidentialOperationError,
+    );
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 0n);
+  });
+});
@@ -0,0 +1,80 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { WalletAccountEvm } from "@tetherto/wdk-wallet-evm";
+import { Mnemonic, dataSlice, getAddress, id, randomBytes } from "ethers";
+
+import {
+  enableConfidentiality,
+  MockConfidentialTransferClient,
+} from "../index.js";
+
+export const TOKEN = getAddress(dataSlice(id("token"), 12));
+
+/**
+ * Creates a mock client with one 6-decimal token.
+ *
+ * @param {Object} [options] - The mock options.
+ * @returns {MockConfidentialTransferClient} The mock client.
+ */
+export function createMock(options = {}) {
+  const mock = new MockConfidentialTransferClient({ fee: 10n, ...options });
+
+  mock.addToken(TOKEN, { symbol: "USDT0", decimals: 6 });
+
+  return mock;
+}
+
+/**
+ * Creates a wallet account with a random seed phrase, connected to the mock's chain.
+ *
+ * @param {MockConfidentialTransferClient} mock - The mock client.
+ * @param {bigint} [balance] - The public token balance to mint to the account.
+ * @returns {Promise<WalletAccountEvm>} The wallet account.
+ */
+export async function createAccount(mock, balance = 0n) {
+  const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+  const account = new WalletAccountEvm(seed, "0'/0/0", {
+    provider: mock.provider,
+  });
+
+  if (balance > 0n) {
+    mock.mint(await account.getAddress(), TOKEN, balance);
+  }
+
+  return account;
+}
+
+/**
+ * Creates a wallet account, and enables the confidentiality of its tokens on the mock.
+ *
+ * @param {MockConfidentialTransferClient} mock - The mock client.
+ * @param {Object} [options] - The options.
+ * @param {bigint} [options.balance] - The public token balance to mint to the account.
+ * @param {Object} [options.config] - The protocol configuration, merged over the mock's.
+ * @param {Object} [options.enable] - The options of 'enableConfidentiality'.
+ * @returns {Promise<import('../index.js').ConfidentialAccount>} The confidential account.
+ */
+export async function createConfidentialAccount(mock, options = {}) {
+  const { balance = 0n, config = {}, enable = {} } = options;
+
+  const account = await createAccount(mock, balance);
+
+  return await enableConfidentiality(
+    account,
+    { chainId: mock.chainId, client: mock, pollingInterval: 10, ...config },
+    enable,
+  );
+}
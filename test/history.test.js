@@ -0,0 +1,183 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+
+import {
+  enableConfidentiality,
+  InvalidOptionError,
+  MockConfidentialTransferClient,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+/**
+ * A mock client that does not know the block the stabletrust contract was deployed at.
+ */
+class UndeployedMockClient extends MockConfidentialTransferClient {
+  get deploymentBlock() {
+    return undefined;
+  }
+}
+
+describe("getConfidentialHistory", () => {
+  let mock, alice, bob, aliceAddress, bobAddress;
+
+  before(async () => {
+    mock = createMock();
+    alice = await createConfidentialAccount(mock, { balance: 100_000n });
+    bob = await createConfidentialAccount(mock);
+    aliceAddress = await alice.getAddress();
+    bobAddress = await bob.getAddress();
+
+    await alice.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+    await alice.transferConfidential({
+      recipient: bobAddress,
+      token: TOKEN,
+      amount: 1_000n,
+      confirmations: 1,
+    });
+    await alice.withdrawConfidential({
+      token: TOKEN,
+      amount: 2_000n,
+      confirmations: 1,
+    });
+  });
+
+  test("lists the operations of the account, from the newest to the oldest", async () => {
+    const { entries, nextCursor } = await alice.getConfidentialHistory();
+
+    assert.deepEqual(
+      entries.map(({ type, direction, counterparty, token, amount }) => ({
+        type,
+        direction,
+        counterparty,
+        token,
+        amount,
+      })),
+      [
+        {
+          type: "withdraw",
+          direction: "out",
+          counterparty: null,
+          token: TOKEN,
+          amount: 2_000n,
+        },
+        {
+          type: "transfer",
+          direction: "out",
+          counterparty: bobAddress,
+          token: TOKEN,
+          amount: 1_000n,
+        },
+        {
+          type: "deposit",
+          direction: "in",
+          counterparty: null,
+          token: TOKEN,
+          amount: 100_000n,
+        },
+      ],
+    );
+    assert.equal(nextCursor, undefined);
+  });
+
+  test("decrypts the transfers received", async () => {
+    const { entries } = await bob.getConfidentialHistory();
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].direction, "in");
+    assert.equal(entries[0].counterparty, aliceAddress);
+    assert.equal(entries[0].amount, 1_000n);
+  });
+
+  test("pages the entries with a cursor", async () => {
+    const first = await alice.getConfidentialHistory({ limit: 2 });
+
+    assert.deepEqual(
+      first.entries.map(({ type }) => type),
+      ["withdraw", "transfer"],
+    );
+    assert.equal(typeof first.nextCursor, "string");
+
+    const second = await alice.getConfidentialHistory({
+      limit: 2,
+      cursor: first.nextCursor,
+    });
+
+    assert.deepEqual(
+      second.entries.map(({ type }) => type),
+      ["deposit"],
+    );
+    assert.equal(second.nextCursor, undefined);
+  });
+
+  test("throws for a malformed cursor", async () => {
+    await assert.rejects(
+      alice.getConfidentialHistory({ cursor: "not a cursor" }),
+      InvalidOptionError,
+    );
+  });
+
+  test("throws for a limit that is not a positive integer", async () => {
+    for (const limit of [0, -1, 1.5]) {
+      await assert.rejects(alice.getConfidentialHistory({ limit }), (error) => {
+        assert.ok(error instanceof InvalidOptionError);
+        assert.equal(error.option, "limit");
+        return true;
+      });
+    }
+  });
+
+  test("starts at the configured deployment block", async () => {
+    const { blockNumber } = (await alice.getConfidentialHistory()).entries[0];
+
+    const account = await enableConfidentiality(alice.account, {
+      chainId: mock.chainId,
+      client: mock,
+      deploymentBlock: blockNumber,
+    });
+
+    const { entries } = await account.getConfidentialHistory();
+
+    assert.deepEqual(
+      entries.map(({ type }) => type),
+      ["withdraw"],
+    );
+  });
+
+  test("requires 'fromBlock' when the deployment block is unknown", async () => {
+    const undeployed = new UndeployedMockClient();
+    undeployed.addToken(TOKEN, { symbol: "USDT0", decimals: 6 });
+
+    const account = await createConfidentialAccount(undeployed);
+
+    await assert.rejects(account.getConfidentialHistory(), (error) => {
+      assert.ok(error instanceof InvalidOptionError);
+      assert.equal(error.option, "fromBlock");
+      return true;
+    });
+
+    const { entries } = await account.getConfidentialHistory({
+      fromBlock: 0,
+    });
+
+    assert.deepEqual(entries, []);
+  });
+});
@@ -0,0 +1,213 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { InsufficientConfidentialBalanceError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const REDACTED = "[redacted]";
+
+/**
+ * Creates a hook set that records the events it is notified of.
+ */
+function createRecorder(includeSensitive = false) {
+  const events = [];
+
+  const record = (stage) => (event) => void events.push({ stage, ...event });
+
+  return {
+    events,
+    hooks: {
+      before: record("before"),
+      after: record("after"),
+      error: record("error"),
+      includeSensitive,
+    },
+    find: (stage, operation) =>
+      events.find(
+        (event) => event.stage === stage && event.operation === operation,
+      ),
+  };
+}
+
+/**
+ * Serializes the events, with their bigints and their errors' messages.
+ */
+function serialize(events) {
+  return JSON.stringify(events, (_, value) => {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+
+    if (value instanceof Error) {
+      return { ...value, message: value.message, stack: value.stack };
+    }
+
+    return value;
+  });
+}
+
+describe("hooks", () => {
+  let mock, storage, redacted, sensitive, alice, bob;
+
+  beforeEach(async () => {
+    mock = createMock();
+    storage = new Map();
+    redacted = createRecorder();
+    sensitive = createRecorder(true);
+
+    alice = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+      config: { hooks: [redacted.hooks, sensitive.hooks] },
+      enable: {
+        storage: {
+          get: async (id) => storage.get(id),
+          set: async (id, keystore) => void storage.set(id, keystore),
+          delete: async (id) => void storage.delete(id),
+        },
+        password: "password",
+      },
+    });
+    bob = await createConfidentialAccount(mock);
+
+    await alice.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+  });
+
+  test("redacts the passwords and the private keys", async () => {
+    await alice.exportConfidentialKeys("secret");
+
+    const enabled = redacted.find("after", "enableConfidentiality");
+    assert.equal(enabled.params.password, REDACTED);
+    assert.equal(enabled.result.privateKey, REDACTED);
+    assert.match(enabled.result.publicKey, /^0x/);
+
+    const exported = redacted.find("before", "exportConfidentialKeys");
+    assert.equal(exported.params.password, REDACTED);
+
+    const { result } = sensitive.find("after", "enableConfidentiality");
+    assert.doesNotMatch(serialize(redacted.events), /:"(password|secret)"/);
+    assert.ok(!serialize(redacted.events).includes(result.privateKey));
+  });
+
+  test("redacts the decrypted balances and history amounts", async () => {
+    await alice.getConfidentialBalance({ token: TOKEN });
+    await alice.getConfidentialBalances({ tokens: [TOKEN] });
+    await alice.getConfidentialHistory();
+
+    const balance = redacted.find("after", "getConfidentialBalance");
+    assert.equal(balance.result.amount, REDACTED);
+
+    const balances = redacted.find("after", "getConfidentialBalances");
+    assert.ok(!serialize(balances).includes("100000"));
+
+    const history = redacted.find("after", "getConfidentialHistory");
+    assert.deepEqual(
+      history.result.entries.map(({ amount }) => amount),
+      [REDACTED],
+    );
+
+    const unredacted = sensitive.find("after", "getConfidentialBalance");
+    assert.equal(unredacted.result.amount, 100_000n);
+  });
+
+  test("redacts the amounts withdrawn from the whole balance", async () => {
+    await alice.withdrawAllConfidential({ token: TOKEN, confirmations: 1 });
+
+    const { result } = redacted.find("after", "withdrawAllConfidential");
+    assert.equal(result.amount, REDACTED);
+    assert.equal(result.remaining, REDACTED);
+    assert.equal(result.protocolFee, 10n);
+
+    const unredacted = sensitive.find("after", "withdrawAllConfidential");
+    assert.equal(unredacted.result.amount, 99_990n);
+  });
+
+  test("redacts the amounts withdrawn when disabling confidentiality", async () => {
+    await alice.disableConfidentiality({ tokens: [TOKEN] });
+
+    const { result } = redacted.find("after", "disableConfidentiality");
+    assert.equal(result.withdrawals[0].amount, REDACTED);
+    assert.equal(result.withdrawals[0].remaining, REDACTED);
+    assert.equal(result.deregistration.status, "success");
+
+    const unredacted = sensitive.find("after", "disableConfidentiality");
+    assert.equal(unredacted.result.withdrawals[0].amount, 99_990n);
+  });
+
+  test("redacts the balance reported by an insufficient balance error", async () => {
+    await assert.rejects(
+      alice.transferConfidential({
+        recipient: await bob.getAddress(),
+        token: TOKEN,
+        amount: 200_000n,
+      }),
+      (error) => {
+        assert.ok(error instanceof InsufficientConfidentialBalanceError);
+        assert.equal(error.available, 100_000n);
+        return true;
+      },
+    );
+
+    const { error } = redacted.find("error", "transferConfidential");
+    assert.ok(error instanceof InsufficientConfidentialBalanceError);
+    assert.equal(error.available, REDACTED);
+    assert.equal(error.required, 200_010n);
+    assert.ok(!error.message.includes("100000"));
+    assert.ok(!error.stack.includes("100000"));
+  });
+
+  test("redacts the balance reported by the errors of a batch's items", async () => {
+    const recipient = await bob.getAddress();
+
+    mock.failNext(
+      "confidentialTransfer",
+      new InsufficientConfidentialBalanceError({
+        token: TOKEN,
+        required: 1_010n,
+        available: 1_234n,
+      }),
+    );
+
+    const { items } = await alice.transferConfidentialBatch({
+      token: TOKEN,
+      transfers: [
+        { recipient, amount: 1_000n },
+        { recipient, amount: 2_000n },
+      ],
+    });
+
+    assert.equal(items[0].error.available, 1_234n);
+
+    const { result } = redacted.find("after", "transferConfidentialBatch");
+    assert.equal(result.items[0].error.available, REDACTED);
+    assert.ok(!result.items[0].error.message.includes("1234"));
+    assert.equal(result.items[0].amount, 1_000n);
+    assert.equal(result.items[1].amount, 2_000n);
+    assert.equal(result.items[1].status, "success");
+  });
+
+  test("gives the unredacted values to hooks that include them", async () => {
+    const { params, result } = sensitive.find("after", "enableConfidentiality");
+
+    assert.equal(params.password, "password");
+    assert.match(result.privateKey, /^0x[0-9a-f]{64}$/);
+  });
+});
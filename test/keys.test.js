@@ -0,0 +1,281 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import {
+  ConfidentialityNotEnabledError,
+  ConfidentialOperationError,
+  decryptConfidentialKeys,
+  enableConfidentiality,
+  InvalidConfidentialKeysError,
+  InvalidOptionError,
+  KeyRotationNotSupportedError,
+  MockConfidentialTransferClient,
+  RecipientNotRegisteredError,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+/**
+ * Creates a key storage that keeps the keystores in memory.
+ */
+function createStorage() {
+  const keystores = new Map();
+
+  return {
+    keystores,
+    get: async (id) => keystores.get(id),
+    set: async (id, keystore) => void keystores.set(id, keystore),
+    delete: async (id) => void keystores.delete(id),
+  };
+}
+
+/**
+ * Returns the confidential keys an account is enabled with.
+ */
+async function getKeys(account) {
+  return await decryptConfidentialKeys(
+    await account.exportConfidentialKeys("password"),
+    "password",
+  );
+}
+
+/**
+ * A mock client that cannot rotate the keys of an account.
+ */
+class NonRotatingMockClient extends MockConfidentialTransferClient {
+  get generateKeys() {
+    return undefined;
+  }
+}
+
+describe("rotateConfidentialKeys", () => {
+  let mock, storage, account, previousKeys;
+
+  beforeEach(async () => {
+    mock = createMock();
+    storage = createStorage();
+
+    account = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+      enable: { storage, password: "password" },
+    });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    previousKeys = await getKeys(account);
+  });
+
+  test("moves the balances under new keys, and saves them", async () => {
+    const [previousKeystore] = storage.keystores.values();
+
+    const keys = await account.rotateConfidentialKeys({
+      tokens: [TOKEN],
+      storage,
+      password: "password",
+    });
+
+    assert.notEqual(keys.publicKey, previousKeys.publicKey);
+    assert.deepEqual(await getKeys(account), keys);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 100_000n);
+
+    const [keystore] = storage.keystores.values();
+    assert.notDeepEqual(keystore, previousKeystore);
+
+    const enabled = await enableConfidentiality(
+      account.account,
+      { chainId: mock.chainId, client: mock },
+      { storage, password: "password" },
+    );
+
+    assert.deepEqual(await getKeys(enabled), keys);
+  });
+
+  test("refuses the derived keys once rotated", async () => {
+    await account.rotateConfidentialKeys({ tokens: [TOKEN] });
+
+    await assert.rejects(
+      enableConfidentiality(account.account, {
+        chainId: mock.chainId,
+        client: mock,
+      }),
+      InvalidConfidentialKeysError,
+    );
+  });
+
+  test("keeps the keys if the rotation reverts", async () => {
+    const [previousKeystore] = storage.keystores.values();
+
+    mock.revertNext("rotateAccountKeys");
+
+    await assert.rejects(
+      account.rotateConfidentialKeys({
+        tokens: [TOKEN],
+        storage,
+        password: "password",
+      }),
+      ConfidentialOperationError,
+    );
+
+    assert.deepEqual(await getKeys(account), previousKeys);
+
+    const [keystore] = storage.keystores.values();
+    assert.deepEqual(keystore, previousKeystore);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 100_000n);
+  });
+
+  test("requires a password to save the new keys", async () => {
+    await assert.rejects(
+      account.rotateConfidentialKeys({ tokens: [TOKEN], storage }),
+      (error) => {
+        assert.ok(error instanceof InvalidOptionError);
+        assert.equal(error.option, "password");
+        return true;
+      },
+    );
+  });
+
+  test("throws with the recovery path if the client cannot rotate keys", async () => {
+    const nonRotating = new NonRotatingMockClient();
+    nonRotating.addToken(TOKEN, { symbol: "USDT0", decimals: 6 });
+
+    const other = await createConfidentialAccount(nonRotating);
+    const address = await other.getAddress();
+
+    await assert.rejects(other.rotateConfidentialKeys(), (error) => {
+      assert.ok(error instanceof KeyRotationNotSupportedError);
+      assert.equal(error.address, address);
+      assert.match(error.recovery, /disableConfidentiality/);
+      return true;
+    });
+  });
+});
+
+describe("disableConfidentiality", () => {
+  let mock, storage, account, address;
+
+  beforeEach(async () => {
+    mock = createMock();
+    storage = createStorage();
+
+    account = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+      enable: { storage, password: "password" },
+    });
+    address = await account.getAddress();
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+  });
+
+  test("withdraws the balances, deregisters the account, and forgets the keys", async () => {
+    assert.equal(storage.keystores.size, 1);
+
+    const { withdrawals, deregistration } =
+      await account.disableConfidentiality({ tokens: [TOKEN], storage });
+
+    assert.equal(withdrawals.length, 1);
+    assert.equal(withdrawals[0].amount, 99_990n);
+    assert.equal(withdrawals[0].remaining, 0n);
+    assert.equal(deregistration.status, "success");
+    assert.equal(mock.getPublicBalance(address, TOKEN), 99_990n);
+    assert.equal(storage.keystores.size, 0);
+
+    await assert.rejects(
+      account.getConfidentialBalance({ token: TOKEN }),
+      ConfidentialityNotEnabledError,
+    );
+  });
+
+  test("keeps the keys if a withdrawal fails", async () => {
+    mock.failNext("withdraw");
+
+    await assert.rejects(
+      account.disableConfidentiality({ tokens: [TOKEN], storage }),
+      ConfidentialOperationError,
+    );
+
+    assert.equal(storage.keystores.size, 1);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 100_000n);
+  });
+
+  test("keeps the keys if the deregistration fails", async () => {
+    mock.failNext("deregisterAccount");
+
+    await assert.rejects(
+      account.disableConfidentiality({ tokens: [TOKEN], storage }),
+      ConfidentialOperationError,
+    );
+
+    assert.equal(storage.keystores.size, 1);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 0n);
+  });
+
+  test("stops the account from receiving transfers, until enabled again", async () => {
+    await account.disableConfidentiality({ tokens: [TOKEN] });
+
+    const sender = await createConfidentialAccount(mock, { balance: 1_000n });
+
+    await sender.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    await assert.rejects(
+      sender.transferConfidential({
+        recipient: address,
+        token: TOKEN,
+        amount: 500n,
+        confirmations: 1,
+      }),
+      RecipientNotRegisteredError,
+    );
+
+    const enabled = await enableConfidentiality(account.account, {
+      chainId: mock.chainId,
+      client: mock,
+      pollingInterval: 10,
+    });
+
+    await sender.transferConfidential({
+      recipient: address,
+      token: TOKEN,
+      amount: 500n,
+      confirmations: 1,
+    });
+
+    const balance = await enabled.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 500n);
+  });
+});
@@ -0,0 +1,130 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm, stat } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import {
+  decryptConfidentialKeys,
+  enableConfidentiality,
+  encryptConfidentialKeys,
+  FileKeyStorage,
+  InvalidKeystoreFormatError,
+  InvalidKeystorePasswordError,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const KEYS = {
+  publicKey: `0x${"ab".repeat(32)}`,
+  privateKey: `0x${"cd".repeat(32)}`,
+};
+
+const ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+describe("keystores", () => {
+  test("round-trips the keys through the password", async () => {
+    const keystore = await encryptConfidentialKeys(KEYS, "password", {
+      address: ADDRESS,
+      chainId: 31337,
+    });
+
+    assert.equal(keystore.address, ADDRESS);
+    assert.equal(keystore.chainId, 31337);
+    assert.equal(keystore.publicKey, KEYS.publicKey);
+    assert.ok(!JSON.stringify(keystore).includes(KEYS.privateKey.slice(2)));
+
+    assert.deepEqual(await decryptConfidentialKeys(keystore, "password"), KEYS);
+    assert.deepEqual(
+      await decryptConfidentialKeys(JSON.stringify(keystore), "password"),
+      KEYS,
+    );
+  });
+
+  test("refuses a wrong password", async () => {
+    const keystore = await encryptConfidentialKeys(KEYS, "password", {
+      address: ADDRESS,
+      chainId: 31337,
+    });
+
+    await assert.rejects(
+      decryptConfidentialKeys(keystore, "wrong password"),
+      InvalidKeystorePasswordError,
+    );
+  });
+
+  test("refuses a malformed keystore", async () => {
+    await assert.rejects(
+      decryptConfidentialKeys("{ not json", "password"),
+      InvalidKeystoreFormatError,
+    );
+    await assert.rejects(
+      decryptConfidentialKeys({ version: 1 }, "password"),
+      InvalidKeystoreFormatError,
+    );
+  });
+});
+
+describe("FileKeyStorage", () => {
+  let directory, storage, mock;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "keystores-"));
+    storage = new FileKeyStorage(join(directory, "keys"));
+    mock = createMock();
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test("persists the keys the account is enabled with", async () => {
+    const account = await createConfidentialAccount(mock, {
+      balance: 1_000n,
+      enable: { storage, password: "password" },
+    });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const [file] = await readdir(join(directory, "keys"));
+    const { mode } = await stat(join(directory, "keys", file));
+    assert.equal(mode & 0o777, 0o600);
+
+    // A read-only account cannot derive its keys: they come from the storage
+    const viewer = await enableConfidentiality(
+      await account.account.toReadOnlyAccount(),
+      { chainId: mock.chainId, client: mock },
+      { storage, password: "password" },
+    );
+
+    const balance = await viewer.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+
+    await assert.rejects(
+      enableConfidentiality(
+        account.account,
+        { chainId: mock.chainId, client: mock },
+        { storage, password: "wrong password" },
+      ),
+      InvalidKeystorePasswordError,
+    );
+  });
+});
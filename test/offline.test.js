@@ -0,0 +1,180 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { Transaction } from "ethers";
+
+import {
+  ConfidentialOperationError,
+  enableConfidentiality,
+  InvalidOptionError,
+  PolicyViolationError,
+  WalletAccountSigner,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("offline signing", () => {
+  let mock, online, watch, signer, bob, address;
+
+  /**
+   * Signs a built transaction on the "offline host", and broadcasts it from the watch account.
+   */
+  async function signAndBroadcast(unsigned) {
+    // The unsigned transaction crosses the air gap as JSON
+    const { unsignedTransaction } = JSON.parse(JSON.stringify(unsigned));
+
+    const rawTx = await signer.signTransaction(
+      Transaction.from(unsignedTransaction),
+    );
+
+    return await watch.broadcastSignedConfidential(rawTx, {
+      confirmations: 1,
+    });
+  }
+
+  beforeEach(async () => {
+    mock = createMock();
+    bob = await createConfidentialAccount(mock);
+
+    const config = {
+      chainId: mock.chainId,
+      client: mock,
+      pollingInterval: 10,
+      policy: { limits: { [TOKEN]: { perWindow: 5_000n } } },
+    };
+
+    online = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+      config,
+    });
+    address = await online.getAddress();
+    signer = new WalletAccountSigner(online.account);
+
+    // Approves the stabletrust contract for the deposits built offline
+    await online.depositConfidential({
+      token: TOKEN,
+      amount: 10_000n,
+      approval: "infinite",
+      confirmations: 1,
+    });
+
+    const keystore = await online.exportConfidentialKeys("password");
+
+    watch = await enableConfidentiality(
+      await online.account.toReadOnlyAccount(),
+      config,
+      { keystore, password: "password" },
+    );
+  });
+
+  test("builds on a read-only account", () => {
+    assert.equal(watch.readOnly, true);
+  });
+
+  test("builds, signs and broadcasts a deposit", async () => {
+    const unsigned = await watch.buildDepositConfidential({
+      token: TOKEN,
+      amount: "0.05",
+    });
+
+    assert.equal(unsigned.operation, "depositConfidential");
+    assert.equal(unsigned.from, address);
+    assert.equal(unsigned.amount, "50000");
+
+    const result = await signAndBroadcast(unsigned);
+
+    assert.equal(result.status, "success");
+
+    const balance = await watch.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 60_000n);
+  });
+
+  test("builds, signs and broadcasts a transfer and a withdrawal", async () => {
+    const recipient = await bob.getAddress();
+
+    const transfer = await watch.buildTransferConfidential({
+      token: TOKEN,
+      recipient,
+      amount: 400n,
+    });
+
+    assert.equal(transfer.recipient, recipient);
+    assert.equal(transfer.protocolFee, "10");
+    assert.equal((await signAndBroadcast(transfer)).status, "success");
+
+    const withdrawal = await watch.buildWithdrawConfidential({
+      token: TOKEN,
+      amount: 300n,
+    });
+
+    assert.equal((await signAndBroadcast(withdrawal)).status, "success");
+
+    const sent = await watch.getConfidentialBalance({ token: TOKEN });
+    const received = await bob.getConfidentialBalance({ token: TOKEN });
+    assert.equal(sent.amount, 9_280n);
+    assert.equal(received.amount, 400n);
+    assert.equal(mock.getPublicBalance(address, TOKEN), 90_300n);
+  });
+
+  test("counts the built operations towards the spending policy", async () => {
+    await watch.buildWithdrawConfidential({ token: TOKEN, amount: 600n });
+
+    await assert.rejects(
+      watch.buildWithdrawConfidential({ token: TOKEN, amount: 4_500n }),
+      PolicyViolationError,
+    );
+  });
+
+  test("refuses to broadcast a transaction that is not signed", async () => {
+    const unsigned = await watch.buildWithdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    await assert.rejects(
+      watch.broadcastSignedConfidential(unsigned.unsignedTransaction),
+      InvalidOptionError,
+    );
+  });
+
+  test("fails when the client asks for a signature while building", async () => {
+    const withdraw = mock.withdraw.bind(mock);
+
+    mock.withdraw = async (signer, token, amount) => {
+      await signer.signMessage("Derive the confidential keys");
+      return await withdraw(signer, token, amount);
+    };
+
+    await assert.rejects(
+      watch.buildWithdrawConfidential({ token: TOKEN, amount: 100n }),
+      (error) => {
+        assert.ok(error instanceof ConfidentialOperationError);
+        assert.match(error.cause.message, /cannot sign messages/);
+        return true;
+      },
+    );
+
+    mock.withdraw = withdraw;
+
+    // Nothing was reserved in the spending policy's window
+    const unsigned = await watch.buildWithdrawConfidential({
+      token: TOKEN,
+      amount: 5_000n,
+    });
+
+    assert.equal(unsigned.amount, "5000");
+  });
+});
@@ -0,0 +1,183 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Wallet } from "ethers";
+
+import { OperationCancelledError } from "../index.js";
+import {
+  ConfidentialOperationQueue,
+  findOperationQueue,
+  getOperationQueue,
+} from "../src/operation-queue.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("ConfidentialOperationQueue", () => {
+  test("runs the operations one at a time, in order", async () => {
+    const queue = new ConfidentialOperationQueue();
+    const events = [];
+
+    const task = (name) => async () => {
+      events.push(`start ${name}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      events.push(`end ${name}`);
+      return name;
+    };
+
+    const values = await Promise.all([
+      queue.run("a", task("a")),
+      queue.run("b", task("b")),
+    ]);
+
+    assert.deepEqual(values, ["a", "b"]);
+    assert.deepEqual(events, ["start a", "end a", "start b", "end b"]);
+  });
+
+  test("starts the next operation once the previous one settled", async () => {
+    const queue = new ConfidentialOperationQueue();
+    const events = [];
+
+    const first = queue.run("a", async () => "a", {
+      settle: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        events.push("settled a");
+      },
+    });
+    const second = queue.run("b", async () => events.push("start b"));
+
+    assert.equal(await first, "a");
+    await second;
+    assert.deepEqual(events, ["settled a", "start b"]);
+  });
+
+  test("cancels the pending operations", async () => {
+    const queue = new ConfidentialOperationQueue();
+    const controller = new AbortController();
+
+    const running = queue.run("a", async () => "a");
+    const aborted = queue.run("b", async () => "b", {
+      signal: controller.signal,
+    });
+    const cancelled = queue.run("c", async () => "c");
+
+    assert.deepEqual(
+      queue.getState().pending.map(({ operation }) => operation),
+      ["b", "c"],
+    );
+
+    controller.abort();
+    assert.equal(queue.cancel(queue.getState().pending[0].id), true);
+    assert.equal(queue.cancel(42), false);
+
+    assert.equal(await running, "a");
+    await assert.rejects(aborted, OperationCancelledError);
+    await assert.rejects(cancelled, OperationCancelledError);
+    assert.equal(queue.depth, 0);
+  });
+
+  test("calls 'onDrain' once empty", async () => {
+    let drains = 0;
+
+    const queue = new ConfidentialOperationQueue({ onDrain: () => drains++ });
+
+    await Promise.all([
+      queue.run("a", async () => {}),
+      queue.run("b", async () => {}),
+    ]);
+
+    assert.equal(drains, 1);
+
+    await assert.rejects(
+      queue.run("c", async () => {}, { signal: AbortSignal.abort() }),
+      OperationCancelledError,
+    );
+
+    assert.equal(drains, 2);
+  });
+});
+
+describe("getOperationQueue", () => {
+  test("shares one queue per account and chain", () => {
+    const { address } = Wallet.createRandom();
+
+    const queue = getOperationQueue(1, address);
+
+    assert.equal(getOperationQueue(1, address.toLowerCase()), queue);
+    assert.notEqual(getOperationQueue(2, address), queue);
+  });
+
+  test("forgets the queue of an account once it drains", async () => {
+    const { address } = Wallet.createRandom();
+
+    const queue = getOperationQueue(1, address);
+    const operation = queue.run("a", async () => {});
+
+    assert.equal(findOperationQueue(1, address), queue);
+
+    await operation;
+
+    assert.equal(findOperationQueue(1, address), undefined);
+    assert.notEqual(getOperationQueue(1, address), queue);
+  });
+});
+
+describe("confidential operations", () => {
+  test("are serialized, so that concurrent operations do not reuse a nonce", async () => {
+    const mock = createMock();
+    const account = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+    });
+    const recipient = await (
+      await createConfidentialAccount(mock)
+    ).getAddress();
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const operations = [
+      account.transferConfidential({ recipient, token: TOKEN, amount: 1_000n }),
+      account.transferConfidential({ recipient, token: TOKEN, amount: 2_000n }),
+      account.withdrawConfidential({ token: TOKEN, amount: 3_000n }),
+    ];
+
+    const results = await Promise.all(operations);
+
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      ["pending", "pending", "pending"],
+    );
+
+    const balance = await account.getConfidentialBalance({
+      token: TOKEN,
+      fresh: true,
+    });
+
+    assert.equal(balance.available, 93_970n);
+  });
+
+  test("report an empty queue once drained", async () => {
+    const mock = createMock();
+    const account = await createConfidentialAccount(mock);
+
+    assert.deepEqual(account.getConfidentialQueue(), { depth: 0, pending: [] });
+    assert.equal(account.cancelConfidentialOperation(1), false);
+    assert.equal(account.cancelPendingConfidentialOperations(), 0);
+  });
+});
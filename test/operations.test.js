@@ -0,0 +1,241 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { MaxUint256 } from "ethers";
+
+import {
+  ConfidentialOperationError,
+  InsufficientAllowanceError,
+  InsufficientConfidentialBalanceError,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("operations", () => {
+  let mock, alice, bob;
+
+  beforeEach(async () => {
+    mock = createMock();
+    alice = await createConfidentialAccount(mock, { balance: 1_000_000n });
+    bob = await createConfidentialAccount(mock);
+  });
+
+  describe("depositConfidential", () => {
+    test("approves the exact amount", async () => {
+      const result = await alice.depositConfidential({
+        token: TOKEN,
+        amount: 500_000n,
+        approval: "exact",
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+      assert.equal(result.approval.type, "approve");
+      assert.equal(result.approval.amount, 500_000n);
+      assert.equal(await alice.getDepositAllowance({ token: TOKEN }), 0n);
+
+      const balance = await alice.getConfidentialBalance({ token: TOKEN });
+      assert.equal(balance.amount, 500_000n);
+
+      const address = await alice.getAddress();
+      assert.equal(mock.getPublicBalance(address, TOKEN), 500_000n);
+    });
+
+    test("approves an unlimited amount once", async () => {
+      const first = await alice.depositConfidential({
+        token: TOKEN,
+        amount: "0.1",
+        approval: "infinite",
+        confirmations: 1,
+      });
+
+      assert.equal(first.approval.type, "approve");
+      assert.equal(first.approval.amount, MaxUint256);
+
+      const second = await alice.depositConfidential({
+        token: TOKEN,
+        amount: "0.1",
+        confirmations: 1,
+      });
+
+      assert.equal(second.status, "success");
+      assert.equal(second.approval, undefined);
+
+      const balance = await alice.getConfidentialBalance({ token: TOKEN });
+      assert.equal(balance.amount, 200_000n);
+    });
+
+    test("throws without an approval strategy when the allowance is too low", async () => {
+      await assert.rejects(
+        alice.depositConfidential({ token: TOKEN, amount: 1n }),
+        InsufficientAllowanceError,
+      );
+    });
+  });
+
+  describe("transferConfidential", () => {
+    beforeEach(async () => {
+      await alice.depositConfidential({
+        token: TOKEN,
+        amount: 100_000n,
+        approval: "exact",
+        confirmations: 1,
+      });
+    });
+
+    test("moves the amount and charges the fee to the sender", async () => {
+      const result = await alice.transferConfidential({
+        recipient: await bob.getAddress(),
+        token: TOKEN,
+        amount: 1_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+      assert.equal(result.protocolFee, 10n);
+
+      const sent = await alice.getConfidentialBalance({ token: TOKEN });
+      const received = await bob.getConfidentialBalance({ token: TOKEN });
+      assert.equal(sent.amount, 98_990n);
+      assert.equal(received.amount, 1_000n);
+    });
+
+    test("throws when the balance cannot cover the fee", async () => {
+      await assert.rejects(
+        alice.transferConfidential({
+          recipient: await bob.getAddress(),
+          token: TOKEN,
+          amount: 100_000n,
+        }),
+        InsufficientConfidentialBalanceError,
+      );
+    });
+
+    test("reports a reverted transaction", async () => {
+      mock.revertNext("confidentialTransfer");
+
+      const result = await alice.transferConfidential({
+        recipient: await bob.getAddress(),
+        token: TOKEN,
+        amount: 1_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "reverted");
+
+      const balance = await alice.getConfidentialBalance({ token: TOKEN });
+      assert.equal(balance.amount, 100_000n);
+    });
+
+    test("wraps the failures of the client", async () => {
+      mock.failNext("confidentialTransfer");
+
+      await assert.rejects(
+        alice.transferConfidential({
+          recipient: await bob.getAddress(),
+          token: TOKEN,
+          amount: 1_000n,
+        }),
+        ConfidentialOperationError,
+      );
+    });
+  });
+
+  describe("transferConfidentialBatch", () => {
+    test("goes on after a failed transfer", async () => {
+      await alice.depositConfidential({
+        token: TOKEN,
+        amount: 100_000n,
+        approval: "exact",
+        confirmations: 1,
+      });
+
+      const carol = await createConfidentialAccount(mock);
+
+      mock.failNext("confidentialTransfer");
+
+      const { items, succeeded, failed } =
+        await alice.transferConfidentialBatch({
+          token: TOKEN,
+          transfers: [
+            { recipient: await bob.getAddress(), amount: 1_000n },
+            { recipient: await carol.getAddress(), amount: 2_000n },
+          ],
+        });
+
+      assert.equal(succeeded, 1);
+      assert.equal(failed, 1);
+      assert.equal(items[0].status, "failed");
+      assert.ok(items[0].error instanceof ConfidentialOperationError);
+      assert.equal(items[1].status, "success");
+      assert.equal(items[1].result.status, "success");
+
+      const bobBalance = await bob.getConfidentialBalance({ token: TOKEN });
+      const carolBalance = await carol.getConfidentialBalance({ token: TOKEN });
+      assert.equal(bobBalance.amount, 0n);
+      assert.equal(carolBalance.amount, 2_000n);
+    });
+
+    test("sends nothing when the balance cannot cover the whole batch", async () => {
+      await alice.depositConfidential({
+        token: TOKEN,
+        amount: 1_000n,
+        approval: "exact",
+        confirmations: 1,
+      });
+
+      await assert.rejects(
+        alice.transferConfidentialBatch({
+          token: TOKEN,
+          transfers: [
+            { recipient: await bob.getAddress(), amount: 500n },
+            { recipient: await bob.getAddress(), amount: 500n },
+          ],
+        }),
+        InsufficientConfidentialBalanceError,
+      );
+
+      const balance = await bob.getConfidentialBalance({ token: TOKEN });
+      assert.equal(balance.amount, 0n);
+    });
+  });
+
+  describe("withdrawConfidential", () => {
+    test("moves the amount back to the public balance", async () => {
+      await alice.depositConfidential({
+        token: TOKEN,
+        amount: 100_000n,
+        approval: "exact",
+        confirmations: 1,
+      });
+
+      const result = await alice.withdrawConfidential({
+        token: TOKEN,
+        amount: 40_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+      assert.equal(result.protocolFee, 10n);
+
+      const balance = await alice.getConfidentialBalance({ token: TOKEN });
+      assert.equal(balance.amount, 59_990n);
+
+      const address = await alice.getAddress();
+      assert.equal(mock.getPublicBalance(address, TOKEN), 940_000n);
+    });
+  });
+});
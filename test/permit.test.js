@@ -0,0 +1,74 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { dataSlice, getAddress, id } from "ethers";
+
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const PERMIT_TOKEN = getAddress(dataSlice(id("permit token"), 12));
+
+describe("permit approvals", () => {
+  let mock, account, address;
+
+  beforeEach(async () => {
+    mock = createMock();
+    mock.addToken(PERMIT_TOKEN, { symbol: "PRMT", permit: true });
+
+    account = await createConfidentialAccount(mock, { balance: 1_000n });
+    address = await account.getAddress();
+
+    mock.mint(address, PERMIT_TOKEN, 1_000n);
+  });
+
+  test("approves the deposits with a permit", async () => {
+    for (const amount of [400n, 600n]) {
+      const result = await account.depositConfidential({
+        token: PERMIT_TOKEN,
+        amount,
+        approval: "permit",
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+      assert.equal(result.approval.type, "permit");
+      assert.equal(result.approval.amount, amount);
+    }
+
+    const balance = await account.getConfidentialBalance({
+      token: PERMIT_TOKEN,
+    });
+
+    assert.equal(balance.amount, 1_000n);
+    assert.equal(mock.getPublicBalance(address, PERMIT_TOKEN), 0n);
+  });
+
+  test("falls back to an exact approval if the token has no permits", async () => {
+    const result = await account.depositConfidential({
+      token: TOKEN,
+      amount: 400n,
+      approval: "permit",
+      confirmations: 1,
+    });
+
+    assert.equal(result.status, "success");
+    assert.equal(result.approval.type, "approve");
+    assert.equal(result.approval.amount, 400n);
+
+    const balance = await account.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 400n);
+  });
+});
@@ -0,0 +1,292 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { Wallet } from "ethers";
+
+import { PolicyViolationError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("spending policy", () => {
+  let mock, bob, recipient;
+
+  /**
+   * Creates an account with a confidential balance of 100,000, and the given spending policy.
+   */
+  async function createAccountWithPolicy(policy) {
+    const account = await createConfidentialAccount(mock, {
+      balance: 100_000n,
+      config: { policy },
+    });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 100_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    return account;
+  }
+
+  /**
+   * Asserts that a promise is rejected with a policy violation of a rule.
+   */
+  async function assertViolation(promise, rule) {
+    await assert.rejects(promise, (error) => {
+      assert.ok(error instanceof PolicyViolationError);
+      assert.equal(error.rule, rule);
+      return true;
+    });
+  }
+
+  beforeEach(async () => {
+    mock = createMock();
+    bob = await createConfidentialAccount(mock);
+    recipient = await bob.getAddress();
+  });
+
+  describe("recipients", () => {
+    test("refuses the recipients of the denylist", async () => {
+      const account = await createAccountWithPolicy({ denylist: [recipient] });
+
+      await assertViolation(
+        account.transferConfidential({ recipient, token: TOKEN, amount: 1n }),
+        "denylist",
+      );
+    });
+
+    test("refuses the recipients missing from the allowlist", async () => {
+      const account = await createAccountWithPolicy({
+        allowlist: [Wallet.createRandom().address],
+      });
+
+      await assertViolation(
+        account.transferConfidential({ recipient, token: TOKEN, amount: 1n }),
+        "allowlist",
+      );
+    });
+
+    test("refuses the unregistered recipients if required", async () => {
+      const account = await createAccountWithPolicy({
+        requireRegisteredRecipient: true,
+      });
+
+      await assertViolation(
+        account.transferConfidential({
+          recipient: Wallet.createRandom().address,
+          token: TOKEN,
+          amount: 1n,
+        }),
+        "unregistered-recipient",
+      );
+    });
+  });
+
+  describe("limits", () => {
+    test("refuses a transfer above the per-transaction limit", async () => {
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perTransaction: 1_000n } },
+      });
+
+      await assertViolation(
+        account.transferConfidential({
+          recipient,
+          token: TOKEN,
+          amount: 1_001n,
+        }),
+        "per-transaction-limit",
+      );
+
+      const result = await account.transferConfidential({
+        recipient,
+        token: TOKEN,
+        amount: 1_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+    });
+
+    test("counts the transfers and the withdrawals towards the window", async () => {
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perWindow: 1_000n } },
+      });
+
+      await account.transferConfidential({
+        recipient,
+        token: TOKEN,
+        amount: 600n,
+        confirmations: 1,
+      });
+
+      await account.withdrawConfidential({
+        token: TOKEN,
+        amount: 300n,
+        confirmations: 1,
+      });
+
+      await assertViolation(
+        account.withdrawConfidential({ token: TOKEN, amount: 101n }),
+        "window-limit",
+      );
+
+      const result = await account.withdrawConfidential({
+        token: TOKEN,
+        amount: 100n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+    });
+
+    test("releases the window of a failed operation", async () => {
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perWindow: 1_000n } },
+      });
+
+      mock.failNext("confidentialTransfer");
+
+      await assert.rejects(
+        account.transferConfidential({ recipient, token: TOKEN, amount: 600n }),
+      );
+
+      const result = await account.transferConfidential({
+        recipient,
+        token: TOKEN,
+        amount: 1_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+    });
+
+    test("releases the window of a reverted transaction", async () => {
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perWindow: 1_000n } },
+      });
+
+      mock.revertNext("withdraw");
+
+      const reverted = await account.withdrawConfidential({
+        token: TOKEN,
+        amount: 600n,
+        confirmations: 1,
+      });
+
+      assert.equal(reverted.status, "reverted");
+
+      const result = await account.withdrawConfidential({
+        token: TOKEN,
+        amount: 1_000n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+    });
+
+    test("releases the window of the failed items of a batch", async () => {
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perWindow: 1_000n } },
+      });
+
+      mock.failNext("confidentialTransfer");
+
+      const batch = await account.transferConfidentialBatch({
+        token: TOKEN,
+        transfers: [
+          { recipient, amount: 600n },
+          { recipient, amount: 400n },
+        ],
+      });
+
+      assert.equal(batch.failed, 1);
+      assert.equal(batch.succeeded, 1);
+
+      await assertViolation(
+        account.transferConfidential({ recipient, token: TOKEN, amount: 601n }),
+        "window-limit",
+      );
+
+      const result = await account.transferConfidential({
+        recipient,
+        token: TOKEN,
+        amount: 600n,
+        confirmations: 1,
+      });
+
+      assert.equal(result.status, "success");
+    });
+  });
+
+  describe("approve", () => {
+    test("is asked once every rule passed", async () => {
+      const requests = [];
+
+      const account = await createAccountWithPolicy({
+        limits: { [TOKEN]: { perTransaction: 1_000n } },
+        approve: (request) => {
+          requests.push(request);
+          return request.total !== 500n;
+        },
+      });
+
+      await assertViolation(
+        account.transferConfidential({
+          recipient,
+          token: TOKEN,
+          amount: 2_000n,
+        }),
+        "per-transaction-limit",
+      );
+
+      await assertViolation(
+        account.transferConfidential({ recipient, token: TOKEN, amount: 500n }),
+        "approval-denied",
+      );
+
+      await account.transferConfidential({
+        recipient,
+        token: TOKEN,
+        amount: 400n,
+        confirmations: 1,
+      });
+
+      assert.deepEqual(
+        requests.map(({ operation, token, items, total }) => ({
+          operation,
+          token,
+          items,
+          total,
+        })),
+        [
+          {
+            operation: "transferConfidential",
+            token: TOKEN,
+            items: [{ recipient, amount: 500n }],
+            total: 500n,
+          },
+          {
+            operation: "transferConfidential",
+            token: TOKEN,
+            items: [{ recipient, amount: 400n }],
+            total: 400n,
+          },
+        ],
+      );
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+
+import { enableConfidentiality } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+// The gas limit the mock's provider estimates for any transaction
+const ESTIMATED_GAS_LIMIT = 100_000n;
+
+describe("quotes", () => {
+  let mock, alice, bobAddress;
+
+  before(async () => {
+    mock = createMock();
+    alice = await createConfidentialAccount(mock, { balance: 10_000n });
+
+    const bob = await createConfidentialAccount(mock);
+    bobAddress = await bob.getAddress();
+  });
+
+  test("estimates the gas of a deposit, and of its approval", async () => {
+    const quote = await alice.quoteDepositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+    });
+
+    assert.equal(quote.protocolFee, 0n);
+    assert.equal(quote.gasLimit, ESTIMATED_GAS_LIMIT);
+    assert.equal(quote.approvalRequired, true);
+    assert.ok(quote.approvalGasLimit > 0n);
+    assert.equal(
+      quote.totalNativeCost,
+      (quote.gasLimit + quote.approvalGasLimit) * quote.feePerGas,
+    );
+  });
+
+  test("estimates the gas of a transfer and of a withdrawal", async () => {
+    const transfer = await alice.quoteTransferConfidential({
+      recipient: bobAddress,
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    assert.equal(transfer.protocolFee, 10n);
+    assert.equal(transfer.gasLimit, ESTIMATED_GAS_LIMIT);
+    assert.equal(transfer.approvalRequired, false);
+    assert.equal(
+      transfer.totalNativeCost,
+      transfer.gasLimit * transfer.feePerGas,
+    );
+
+    const withdrawal = await alice.quoteWithdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    assert.equal(withdrawal.gasLimit, ESTIMATED_GAS_LIMIT);
+  });
+
+  test("falls back to the default gas limits when the transaction cannot be built", async () => {
+    const withoutAmount = await alice.quoteWithdrawConfidential({
+      token: TOKEN,
+    });
+
+    assert.equal(withoutAmount.protocolFee, 10n);
+    assert.equal(withoutAmount.gasLimit, 1_000_000n);
+
+    // The client cannot encrypt an amount for an unregistered recipient
+    const unregistered = await alice.quoteTransferConfidential({
+      recipient: "0x000000000000000000000000000000000000dEaD",
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    assert.equal(unregistered.gasLimit, 1_500_000n);
+  });
+
+  test("uses the configured gas limits instead of estimating them", async () => {
+    const account = await enableConfidentiality(alice.account, {
+      chainId: mock.chainId,
+      client: mock,
+      gasLimits: { withdraw: 250_000n },
+    });
+
+    const quote = await account.quoteWithdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+    });
+
+    assert.equal(quote.gasLimit, 250_000n);
+  });
+});
@@ -0,0 +1,117 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+
+import {
+  decryptConfidentialKeys,
+  enableConfidentiality,
+  ReadOnlyAccountError,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("read-only accounts", () => {
+  let mock, alice, readOnlyAccount, keys, config;
+
+  before(async () => {
+    mock = createMock();
+    alice = await createConfidentialAccount(mock, { balance: 1_000n });
+
+    await alice.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    readOnlyAccount = await alice.account.toReadOnlyAccount();
+    keys = await decryptConfidentialKeys(
+      await alice.exportConfidentialKeys("password"),
+      "password",
+    );
+    config = { chainId: mock.chainId, client: mock };
+  });
+
+  test("requires the confidential keys to be enabled", async () => {
+    await assert.rejects(
+      enableConfidentiality(readOnlyAccount, config),
+      (error) => {
+        assert.ok(error instanceof ReadOnlyAccountError);
+        assert.match(error.message, /options\.keys/);
+        return true;
+      },
+    );
+  });
+
+  test("reads the balances and quotes the operations", async () => {
+    const viewer = await enableConfidentiality(readOnlyAccount, config, {
+      keys,
+    });
+
+    assert.equal(viewer.readOnly, true);
+    assert.equal(await viewer.getAddress(), await alice.getAddress());
+
+    const balance = await viewer.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+
+    const { entries } = await viewer.getConfidentialHistory();
+    assert.deepEqual(
+      entries.map(({ type, amount }) => ({ type, amount })),
+      [{ type: "deposit", amount: 1_000n }],
+    );
+
+    const quote = await viewer.quoteWithdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+    });
+    assert.equal(quote.protocolFee, 10n);
+  });
+
+  test("refuses the state-changing operations", async () => {
+    const viewer = await enableConfidentiality(readOnlyAccount, config, {
+      keys,
+    });
+
+    await assert.rejects(
+      viewer.withdrawConfidential({ token: TOKEN, amount: 100n }),
+      (error) => {
+        assert.ok(error instanceof ReadOnlyAccountError);
+        assert.equal(error.methodName, "withdrawConfidential(options)");
+        return true;
+      },
+    );
+
+    await assert.rejects(
+      viewer.createDisclosure({ hash: `0x${"00".repeat(32)}` }),
+      ReadOnlyAccountError,
+    );
+
+    const balance = await viewer.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+  });
+
+  test("refuses keys that are not registered for the account", async () => {
+    const bob = await createConfidentialAccount(mock);
+    const bobKeys = await decryptConfidentialKeys(
+      await bob.exportConfidentialKeys("password"),
+      "password",
+    );
+
+    await assert.rejects(
+      enableConfidentiality(readOnlyAccount, config, { keys: bobKeys }),
+      /public key does not match/,
+    );
+  });
+});
@@ -0,0 +1,187 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { WalletAccountEvm } from "@tetherto/wdk-wallet-evm";
+import {
+  HDNodeWallet,
+  Mnemonic,
+  Transaction,
+  Wallet,
+  randomBytes,
+  verifyMessage,
+} from "ethers";
+
+import {
+  CallbackSigner,
+  enableConfidentiality,
+  NotImplementedError,
+  SignerMismatchError,
+  WalletAccountSigner,
+} from "../index.js";
+import { TOKEN, createMock } from "./helpers.js";
+
+const TRANSACTION = {
+  to: TOKEN,
+  data: "0x",
+  nonce: 0,
+  gasLimit: 21_000n,
+  maxFeePerGas: 1_000_000_000n,
+  maxPriorityFeePerGas: 1_000_000_000n,
+  chainId: 31337n,
+  type: 2,
+};
+
+describe("WalletAccountSigner", () => {
+  let account, signer, address;
+
+  beforeEach(async () => {
+    const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    account = new WalletAccountEvm(seed, "0'/0/0");
+    signer = new WalletAccountSigner(account);
+    address = await account.getAddress();
+  });
+
+  test("signs messages and transactions with the wallet account", async () => {
+    const signature = await signer.signMessage("message");
+    assert.equal(verifyMessage("message", signature), address);
+
+    const signed = await signer.signTransaction(Transaction.from(TRANSACTION));
+    assert.equal(Transaction.from(signed).from, address);
+  });
+
+  test("throws if the wallet account cannot sign transactions", async () => {
+    const legacy = new WalletAccountSigner({
+      getAddress: async () => address,
+    });
+
+    await assert.rejects(
+      legacy.signTransaction(TRANSACTION),
+      NotImplementedError,
+    );
+  });
+});
+
+describe("CallbackSigner", () => {
+  const wallet = Wallet.createRandom();
+
+  test("forwards each signature to the callback", async () => {
+    const requests = [];
+
+    const signer = new CallbackSigner(wallet.address, async (request) => {
+      requests.push(request);
+
+      return request.type === "message"
+        ? await wallet.signMessage(request.message)
+        : await wallet.signTransaction(request.transaction);
+    });
+
+    await signer.signMessage("message");
+    const signed = await signer.signTransaction(TRANSACTION);
+
+    assert.deepEqual(
+      requests.map(({ type }) => type),
+      ["message", "transaction"],
+    );
+    assert.equal(requests[1].transaction.from, wallet.address);
+    assert.equal(Transaction.from(signed).from, wallet.address);
+  });
+
+  test("throws if the callback signs for another address", async () => {
+    const other = Wallet.createRandom();
+
+    const signer = new CallbackSigner(
+      wallet.address,
+      async ({ transaction }) =>
+        await other.signTransaction({ ...transaction, from: other.address }),
+    );
+
+    await assert.rejects(signer.signTransaction(TRANSACTION), (error) => {
+      assert.ok(error instanceof SignerMismatchError);
+      assert.equal(error.expected, wallet.address);
+      assert.equal(error.actual, other.address);
+      return true;
+    });
+  });
+});
+
+describe("signer option", () => {
+  let mock, seed, account, wallet;
+
+  beforeEach(async () => {
+    mock = createMock();
+    seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    account = new WalletAccountEvm(seed, "0'/0/0", { provider: mock.provider });
+    wallet = HDNodeWallet.fromPhrase(seed, undefined, "m/44'/60'/0'/0/0");
+
+    mock.mint(wallet.address, TOKEN, 1_000n);
+  });
+
+  test("signs the operations with a signing callback", async () => {
+    const types = new Set();
+
+    const confAccount = await enableConfidentiality(account, {
+      chainId: mock.chainId,
+      client: mock,
+      signer: async (request) => {
+        types.add(request.type);
+
+        return request.type === "message"
+          ? await wallet.signMessage(request.message)
+          : await wallet.signTransaction(request.transaction);
+      },
+    });
+
+    await confAccount.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    assert.deepEqual([...types], ["message", "transaction"]);
+
+    const balance = await confAccount.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+  });
+
+  test("refuses a signing callback that signs for another address", async () => {
+    const other = Wallet.createRandom();
+
+    const confAccount = await enableConfidentiality(account, {
+      chainId: mock.chainId,
+      client: mock,
+      signer: async (request) =>
+        request.type === "message"
+          ? await wallet.signMessage(request.message)
+          : await other.signTransaction({
+              ...request.transaction,
+              from: other.address,
+            }),
+    });
+
+    await assert.rejects(
+      confAccount.depositConfidential({
+        token: TOKEN,
+        amount: 1_000n,
+        approval: "exact",
+      }),
+      SignerMismatchError,
+    );
+  });
+});
@@ -0,0 +1,159 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { WalletAccountEvm } from "@tetherto/wdk-wallet-evm";
+import { Mnemonic, randomBytes } from "ethers";
+
+import { enableConfidentiality, InvalidOptionError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+/**
+ * Waits until a condition holds, checking it every 10 milliseconds.
+ */
+async function waitFor(condition, timeoutMs = 5_000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("The condition did not hold in time.");
+    }
+
+    await sleep(10);
+  }
+}
+
+describe("subscriptions", () => {
+  let mock, connection, alice, bob, bobAddress;
+
+  beforeEach(async () => {
+    mock = createMock();
+
+    // The provider of bob's wallet can lose its connection to the node
+    connection = { online: true };
+
+    const provider = {
+      request: async (args) => {
+        if (!connection.online && args.method === "eth_getLogs") {
+          throw Object.assign(new Error("The node is unreachable."), {
+            code: "NETWORK_ERROR",
+          });
+        }
+
+        return await mock.provider.request(args);
+      },
+    };
+
+    const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    bob = await enableConfidentiality(
+      new WalletAccountEvm(seed, "0'/0/0", { provider }),
+      { chainId: mock.chainId, client: mock, pollingInterval: 10 },
+    );
+    bobAddress = await bob.getAddress();
+
+    alice = await createConfidentialAccount(mock, { balance: 10_000n });
+
+    await alice.depositConfidential({
+      token: TOKEN,
+      amount: 10_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+  });
+
+  const transfer = async (amount) =>
+    await alice.transferConfidential({
+      recipient: bobAddress,
+      token: TOKEN,
+      amount,
+      confirmations: 1,
+    });
+
+  test("notifies the changes of the balance", async () => {
+    const events = [];
+
+    const unsubscribe = bob.onConfidentialBalanceChanged(
+      { token: TOKEN },
+      (event) => void events.push(event),
+    );
+
+    try {
+      await sleep(50);
+      await transfer(500n);
+
+      await waitFor(() => events.length === 1);
+
+      assert.equal(events[0].token, TOKEN);
+      assert.equal(events[0].amount, 500n);
+      assert.equal(events[0].previousAmount, 0n);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  test("catches up on the blocks missed while disconnected", async () => {
+    const received = [];
+    const changes = [];
+    const errors = [];
+
+    const unsubscribeReceived = bob.onConfidentialTransferReceived(
+      (entry) => void received.push(entry.amount),
+      { onError: (error) => void errors.push(error) },
+    );
+    const unsubscribeChanged = bob.onConfidentialBalanceChanged(
+      { token: TOKEN, onError: (error) => void errors.push(error) },
+      (event) => void changes.push(event),
+    );
+
+    try {
+      await sleep(50);
+
+      connection.online = false;
+
+      await transfer(100n);
+      await transfer(200n);
+
+      await waitFor(() => errors.length > 0);
+      assert.deepEqual(received, []);
+
+      connection.online = true;
+      mock.mine();
+
+      await waitFor(() => received.length === 2 && changes.length > 0);
+
+      assert.deepEqual(received, [100n, 200n]);
+      assert.equal(changes.at(-1).amount, 300n);
+    } finally {
+      unsubscribeReceived();
+      unsubscribeChanged();
+    }
+  });
+
+  test("throws for a token that is not an address", () => {
+    for (const token of [undefined, "USDT0"]) {
+      assert.throws(
+        () => bob.onConfidentialBalanceChanged({ token }, () => {}),
+        (error) => {
+          assert.ok(error instanceof InvalidOptionError);
+          assert.equal(error.option, "token");
+          return true;
+        },
+      );
+    }
+  });
+});
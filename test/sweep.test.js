@@ -0,0 +1,112 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import { dataSlice, getAddress, id } from "ethers";
+
+import { ConfidentialOperationError, InvalidOptionError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+const DUST_TOKEN = getAddress(dataSlice(id("dust"), 12));
+
+describe("withdrawAllConfidential and sweepConfidential", () => {
+  let mock, alice, address;
+
+  beforeEach(async () => {
+    mock = createMock();
+    mock.addToken(DUST_TOKEN, { symbol: "DUST", decimals: 18 });
+
+    alice = await createConfidentialAccount(mock, { balance: 100_000n });
+    address = await alice.getAddress();
+    mock.mint(address, DUST_TOKEN, 5n);
+
+    for (const [token, amount] of [
+      [TOKEN, 100_000n],
+      [DUST_TOKEN, 5n],
+    ]) {
+      await alice.depositConfidential({
+        token,
+        amount,
+        approval: "exact",
+        confirmations: 1,
+      });
+    }
+  });
+
+  test("withdraws the whole balance but the fee", async () => {
+    const { amount, protocolFee, result, remaining } =
+      await alice.withdrawAllConfidential({ token: TOKEN });
+
+    assert.equal(amount, 99_990n);
+    assert.equal(protocolFee, 10n);
+    assert.equal(result.status, "success");
+    assert.equal(remaining, 0n);
+    assert.equal(mock.getPublicBalance(address, TOKEN), 99_990n);
+  });
+
+  test("sends nothing for a balance smaller than the fee", async () => {
+    const [withdrawn, dust] = await alice.withdrawAllConfidential({
+      tokens: [TOKEN, DUST_TOKEN],
+    });
+
+    assert.equal(withdrawn.token, TOKEN);
+    assert.equal(withdrawn.amount, 99_990n);
+
+    assert.deepEqual(dust, {
+      token: DUST_TOKEN,
+      amount: 0n,
+      protocolFee: 0n,
+      result: undefined,
+      remaining: 5n,
+    });
+  });
+
+  test("transfers the whole balance to the recipient", async () => {
+    const bob = await createConfidentialAccount(mock);
+
+    const { amount, remaining } = await alice.sweepConfidential({
+      token: TOKEN,
+      recipient: await bob.getAddress(),
+    });
+
+    assert.equal(amount, 99_990n);
+    assert.equal(remaining, 0n);
+
+    const balance = await bob.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 99_990n);
+  });
+
+  test("stops at the first failure, and resumes with the tokens left", async () => {
+    mock.failNext("withdraw");
+
+    await assert.rejects(
+      alice.withdrawAllConfidential({ tokens: [TOKEN, DUST_TOKEN] }),
+      ConfidentialOperationError,
+    );
+
+    assert.equal(mock.getPublicBalance(address, TOKEN), 0n);
+
+    const [withdrawn] = await alice.withdrawAllConfidential({
+      tokens: [TOKEN, DUST_TOKEN],
+    });
+
+    assert.equal(withdrawn.amount, 99_990n);
+  });
+
+  test("throws when no tokens are known", async () => {
+    await assert.rejects(alice.withdrawAllConfidential(), InvalidOptionError);
+  });
+});
@@ -0,0 +1,105 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { OperationTimeoutError } from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("waitForConfidentialOperation", () => {
+  let mock, account;
+
+  beforeEach(async () => {
+    mock = createMock();
+    account = await createConfidentialAccount(mock, { balance: 1_000n });
+
+    await account.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+  });
+
+  test("resumes tracking an operation sent without waiting", async () => {
+    const sent = await account.withdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+      confirmations: 0,
+    });
+
+    assert.equal(sent.status, "pending");
+
+    const result = await account.waitForConfidentialOperation(sent.hash);
+
+    assert.equal(result.hash, sent.hash);
+    assert.equal(result.status, "success");
+    assert.equal(result.blockNumber, mock.blockNumber);
+    assert.ok(result.gasUsed > 0n);
+  });
+
+  test("waits for the requested confirmations", async () => {
+    const { hash } = await account.withdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+      confirmations: 1,
+    });
+
+    let result;
+
+    const waiting = account
+      .waitForConfidentialOperation(hash, { confirmations: 3 })
+      .then((value) => (result = value));
+
+    await sleep(50);
+    mock.mine();
+    await sleep(50);
+    assert.equal(result, undefined);
+
+    mock.mine();
+    await waiting;
+
+    assert.equal(result.status, "success");
+  });
+
+  test("reports a reverted operation", async () => {
+    mock.revertNext("withdraw");
+
+    const { hash } = await account.withdrawConfidential({
+      token: TOKEN,
+      amount: 100n,
+      confirmations: 0,
+    });
+
+    const result = await account.waitForConfidentialOperation(hash);
+
+    assert.equal(result.status, "reverted");
+  });
+
+  test("times out for an operation that is never mined", async () => {
+    const hash = `0x${"12".repeat(32)}`;
+
+    await assert.rejects(
+      account.waitForConfidentialOperation(hash, { timeoutMs: 100 }),
+      (error) => {
+        assert.ok(error instanceof OperationTimeoutError);
+        assert.equal(error.hash, hash);
+        assert.equal(error.timeoutMs, 100);
+        return true;
+      },
+    );
+  });
+});
@@ -0,0 +1,114 @@
+// Copyright 2026 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+
+import WDK from "@tetherto/wdk";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { Mnemonic, randomBytes, verifyMessage } from "ethers";
+
+import {
+  ConfidentialAccount,
+  ConfidentialProtocolEvm,
+  registerConfidentialProtocol,
+  UnknownProtocolError,
+} from "../index.js";
+import { TOKEN, createConfidentialAccount, createMock } from "./helpers.js";
+
+describe("ConfidentialAccount", () => {
+  test("forwards the wallet methods to the wallet account", async () => {
+    const mock = createMock();
+    const account = await createConfidentialAccount(mock, { balance: 500n });
+
+    assert.ok(account instanceof ConfidentialAccount);
+    assert.ok(account.protocol instanceof ConfidentialProtocolEvm);
+    assert.equal(
+      await account.getAddress(),
+      await account.account.getAddress(),
+    );
+    assert.equal(account.readOnly, false);
+    assert.equal(await account.getTokenBalance(TOKEN), 500n);
+
+    const signature = await account.sign("message");
+    assert.equal(
+      verifyMessage("message", signature),
+      await account.getAddress(),
+    );
+  });
+});
+
+describe("registerConfidentialProtocol", () => {
+  let mock, wdk;
+
+  beforeEach(() => {
+    mock = createMock();
+
+    const seed = Mnemonic.fromEntropy(randomBytes(16)).phrase;
+
+    wdk = new WDK(seed).registerWallet("ethereum", WalletManagerEvm, {
+      provider: mock.provider,
+    });
+  });
+
+  test("adds the protocol to the accounts of the blockchain", async () => {
+    assert.equal(
+      registerConfidentialProtocol(wdk, "ethereum", "fairblock", {
+        chainId: mock.chainId,
+        client: mock,
+        pollingInterval: 10,
+      }),
+      wdk,
+    );
+
+    const account = await wdk.getAccount("ethereum", 0);
+    const address = await account.getAddress();
+    mock.mint(address, TOKEN, 1_000n);
+
+    const protocol = account.getConfidentialProtocol("fairblock");
+
+    assert.ok(protocol instanceof ConfidentialProtocolEvm);
+    assert.equal(account.getConfidentialProtocol("fairblock"), protocol);
+
+    await protocol.enableConfidentiality();
+    await protocol.depositConfidential({
+      token: TOKEN,
+      amount: 1_000n,
+      approval: "exact",
+      confirmations: 1,
+    });
+
+    const balance = await protocol.getConfidentialBalance({ token: TOKEN });
+    assert.equal(balance.amount, 1_000n);
+    assert.equal(mock.getPublicBalance(address, TOKEN), 0n);
+  });
+
+  test("throws for a label that is not registered", async () => {
+    registerConfidentialProtocol(wdk, "ethereum", "fairblock", {
+      chainId: mock.chainId,
+      client: mock,
+    });
+
+    const account = await wdk.getAccount("ethereum", 0);
+
+    assert.throws(
+      () => account.getConfidentialProtocol("other"),
+      (error) => {
+        assert.ok(error instanceof UnknownProtocolError);
+        assert.equal(error.label, "other");
+        return true;
+      },
+    );
+  });
+});
@@ -2,35 +2,163 @@ import type {
   WalletAccountEvm,
   WalletAccountReadOnlyEvm,
 } from "@tetherto/wdk-wallet-evm";
+import type WDK from "@tetherto/wdk";
+import { AbstractSigner, JsonRpcProvider } from "ethers";
+import type {
+  JsonRpcApiProvider,
+  JsonRpcApiProviderOptions,
+  Provider,
+  Signer,
+  TransactionRequest,
+  TypedDataDomain,
+  TypedDataField,
+} from "ethers";
 
-export type Amount = number | bigint;
+/**
+ * An amount of tokens: base units as a number or a bigint, tokens as a decimal
+ * string such as "1.5", or an explicit value and unit.
+ */
+export type Amount =
+  | number
+  | bigint
+  | string
+  | { value: number | bigint | string; unit: "token" | "base" };
+
+export interface EnableConfidentialityOptions {
+  /**
+   * Previously obtained confidential keys to import instead of deriving them.
+   * Required for read-only accounts, where the private key acts as a viewing key.
+   */
+  keys?: ConfidentialKeys;
+  /** A password-encrypted keystore to import the keys from. */
+  keystore?: ConfidentialKeystore | string;
+  /** A storage to load the keys from, or to save newly derived keys to. */
+  storage?: KeyStorage;
+  /** The password of the keystore. Required with `keystore` and `storage`. */
+  password?: string;
+  /** If true, imported and derived keys are checked against the public key registered onchain (default: true). */
+  verify?: boolean;
+}
 
-export interface EnableConfidentialityOptions {}
+export type ApprovalStrategy = "none" | "exact" | "infinite" | "permit";
 
 export interface DepositConfidentialOptions {
   token: string;
   amount: Amount;
+  /**
+   * How to handle an insufficient allowance of the stabletrust contract: throw ("none", default),
+   * approve the amount ("exact") or an unlimited amount ("infinite"), or submit an eip-2612 permit
+   * for the amount, falling back to "exact" if the token does not support it ("permit").
+   */
+  approval?: ApprovalStrategy;
+  /** If set, waits for the transaction to reach this number of confirmations (default: 0). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the operation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
 }
 
 export interface TransferConfidentialOptions {
   recipient: string;
   token: string;
   amount: Amount;
+  /** If set, waits for the transaction to reach this number of confirmations (default: 0). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the operation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
 }
 
 export interface WithdrawConfidentialOptions {
   token: string;
   amount: Amount;
+  /** If set, waits for the transaction to reach this number of confirmations (default: 0). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the operation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
 }
 
 export interface GetConfidentialBalanceOptions {
   token: string;
+  /** Reads the balance from the chain even if a cached one is fresh (default: false). */
+  fresh?: boolean;
+}
+
+export type QuoteDepositConfidentialOptions = DepositConfidentialOptions;
+
+export type QuoteTransferConfidentialOptions =
+  Partial<TransferConfidentialOptions>;
+
+export type QuoteWithdrawConfidentialOptions =
+  Partial<WithdrawConfidentialOptions>;
+
+export interface ConfidentialQuote {
+  /** The protocol fee charged on the confidential balance (in token base units). */
+  protocolFee: bigint;
+  /** The gas limit of the operation's transaction. */
+  gasLimit: bigint;
+  /** The current fee per gas (in native base units). */
+  feePerGas: bigint;
+  /** True if an erc20 approval must be sent before the operation. */
+  approvalRequired: boolean;
+  /** The gas limit of the approval transaction, or 0 if no approval is required. */
+  approvalGasLimit: bigint;
+  /** The total gas cost of the operation and of the approval (in native base units). */
+  totalNativeCost: bigint;
 }
 
-export interface QuoteTransferConfidentialOptions {}
+export interface WaitForConfidentialOperationOptions {
+  /** The number of confirmations to wait for (default: 1). */
+  confirmations?: number;
+  /** The maximum time to wait, in milliseconds. */
+  timeoutMs?: number;
+}
 
 export interface ConfidentialResult {
   hash: string;
+  status: "pending" | "success" | "reverted";
+  /** The number of the block that includes the transaction, once mined. */
+  blockNumber?: number;
+  /** The gas used by the transaction, once mined. */
+  gasUsed?: bigint;
+  /** The gas fee paid for the transaction (in native base units), once mined. */
+  effectiveFee?: bigint;
+  /** The protocol fee charged on the confidential balance (in token base units). */
+  protocolFee?: bigint;
+  /** The approval sent before a deposit, if any. */
+  approval?: ConfidentialApproval;
+}
+
+export interface ConfidentialApproval {
+  type: "approve" | "permit";
+  hash: string;
+  amount: bigint;
+}
+
+export interface GetConfidentialBalancesOptions {
+  tokens: string[];
+}
+
+export interface ConfidentialTokenBalance {
+  token: string;
+  symbol: string;
+  decimals: number;
+  /** The confidential balance (in base unit). */
+  amount: bigint;
+  /** The confidential balance, formatted with the token's decimals. */
+  formatted: string;
+  /** The public erc20 balance (in base unit). */
+  publicAmount: bigint;
+  /** The public erc20 balance, formatted with the token's decimals. */
+  publicFormatted: string;
+}
+
+export interface GetDepositAllowanceOptions {
+  token: string;
 }
 
 export interface ConfidentialKeys {
@@ -38,21 +166,816 @@ export interface ConfidentialKeys {
   privateKey: string;
 }
 
+export interface ConfidentialKeystore {
+  version: 1;
+  address: string;
+  chainId: number;
+  publicKey: string;
+  crypto: {
+    cipher: "aes-256-gcm";
+    ciphertext: string;
+    cipherparams: { iv: string; tag: string };
+    kdf: "scrypt";
+    kdfparams: { n: number; r: number; p: number; dklen: number; salt: string };
+  };
+}
+
+export interface EncryptConfidentialKeysOptions {
+  address: string;
+  chainId: number;
+  /** The scrypt cost parameter (default: 131072). */
+  scryptN?: number;
+}
+
+export interface KeyStorage {
+  get(id: string): Promise<ConfidentialKeystore | undefined>;
+  set(id: string, keystore: ConfidentialKeystore): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
 export interface ConfidentialBalanceResult {
+  /** The balance once the pending operations are mined: the available balance plus the pending one. */
   amount: bigint;
+  /** The balance confirmed onchain. */
+  available: bigint;
+  /** The net change of the account's operations sent and not mined yet. */
+  pending: bigint;
+  /** The block the available balance was read at, if the wallet has a provider. */
+  blockNumber?: number;
 }
 
-export interface ConfidentialProtocolConfig {
+export interface ConfidentialHookEvent {
+  /** The name of the operation, e.g. "transferConfidential". */
+  operation: string;
+  /** The parameters of the operation, redacted. */
+  params: Record<string, unknown>;
+  /** When the operation started (unix timestamp in milliseconds). */
+  startedAt: number;
+  /** How long the operation took, in milliseconds. Not set before the operation. */
+  durationMs?: number;
+  /** The hash of the operation's transaction, if it sent one. */
+  hash?: string;
+  /** The value of the operation, redacted. Only set after a successful operation. */
+  result?: unknown;
+  /** The error of the operation, redacted. Only set after a failed operation. */
+  error?: Error;
+}
+
+export interface ConfidentialHooks {
+  /** Called when an operation starts. */
+  before?(event: ConfidentialHookEvent): void | Promise<void>;
+  /** Called when an operation succeeds. */
+  after?(event: ConfidentialHookEvent): void | Promise<void>;
+  /** Called when an operation fails. */
+  error?(event: ConfidentialHookEvent): void | Promise<void>;
+  /**
+   * If true, the events carry the confidential private keys, passwords and decrypted amounts
+   * instead of redacting them (default: false).
+   */
+  includeSensitive?: boolean;
+}
+
+export type PolicyRule =
+  | "denylist"
+  | "allowlist"
+  | "unregistered-recipient"
+  | "per-transaction-limit"
+  | "window-limit"
+  | "approval-denied";
+
+export interface TokenSpendingLimits {
+  /** The maximum amount of a single transfer or withdrawal (in base unit, fees excluded). */
+  perTransaction?: number | bigint;
+  /**
+   * The maximum total amount of the transfers and withdrawals within the rolling window (in base
+   * unit, fees excluded).
+   */
+  perWindow?: number | bigint;
+  /** The duration of the rolling window, in milliseconds (default: 24 hours). */
+  windowMs?: number;
+}
+
+export interface SpendingRecord {
+  /** The id of the record. */
+  id: string;
+  /** The amount spent (in base unit), as a decimal string. */
+  amount: string;
+  /** When the amount was spent (unix timestamp in milliseconds). */
+  timestamp: number;
+}
+
+export interface SpendingStore {
+  get(key: string): Promise<SpendingRecord[] | undefined>;
+  set(key: string, records: SpendingRecord[]): Promise<void>;
+}
+
+export interface SpendingRequest {
+  /** The name of the operation. */
+  operation:
+    | "transferConfidential"
+    | "transferConfidentialBatch"
+    | "withdrawConfidential"
+    | "withdrawAllConfidential"
+    | "sweepConfidential"
+    | "buildTransferConfidential"
+    | "buildWithdrawConfidential";
+  /** The address of the account. */
+  address: string;
+  /** The chain ID. */
+  chainId: number;
+  /** The address of the token. */
+  token: string;
+  /** The transfers of the operation, or its withdrawal, which has no recipient. */
+  items: { recipient?: string; amount: bigint }[];
+  /** The total amount of the operation (in base unit, fees excluded). */
+  total: bigint;
+}
+
+export interface SpendingPolicyConfig {
+  /** The spending limits, by token address. */
+  limits?: Record<string, TokenSpendingLimits>;
+  /** If set, the only addresses confidential transfers can be sent to. */
+  allowlist?: string[];
+  /** The addresses confidential transfers can never be sent to. */
+  denylist?: string[];
+  /**
+   * If true, the recipients' registration is checked with the other rules, before the approval
+   * callback (default: false).
+   */
+  requireRegisteredRecipient?: boolean;
+  /**
+   * Called once every rule passed, for example to prompt for a second factor. The operation is
+   * refused unless it returns true.
+   */
+  approve?(request: SpendingRequest): boolean | Promise<boolean>;
+  /** Where the amounts spent within the rolling windows are kept (default: in memory). */
+  store?: SpendingStore;
+}
+
+export interface BalanceCacheConfig {
+  /** How many blocks a cached balance is served for after the block it was read at (default: 0). */
+  maxAgeBlocks?: number;
+}
+
+export interface ConfidentialHistoryEntry {
+  type: "deposit" | "transfer" | "withdraw";
+  /** Whether the operation credited ("in") or debited ("out") the confidential balance. */
+  direction: "in" | "out";
+  /** The other party of a transfer, or null for deposits and withdrawals. */
+  counterparty: string | null;
+  token: string;
+  /** The amount, or null if it cannot be decrypted with the account's keys. */
+  amount: bigint | null;
+  blockNumber: number;
+  hash: string;
+  logIndex: number;
+}
+
+export interface GetConfidentialHistoryOptions {
+  /** If set, only returns the operations of this token. */
+  token?: string;
+  /**
+   * The oldest block to scan (default: the block the stabletrust contract was deployed at). Required
+   * if that block is unknown.
+   */
+  fromBlock?: number;
+  /** The newest block to scan (default: the latest block). */
+  toBlock?: number;
+  /** The maximum number of entries to return, a positive integer (default: 50). */
+  limit?: number;
+  /** The cursor returned with the previous page, to get the next (older) one. */
+  cursor?: string;
+}
+
+export interface ConfidentialHistoryResult {
+  /** The entries, from the newest to the oldest. */
+  entries: ConfidentialHistoryEntry[];
+  /** The cursor of the next page, or undefined if there are no more entries. */
+  nextCursor?: string;
+}
+
+export interface ConfidentialBatchTransfer {
+  recipient: string;
+  amount: Amount;
+}
+
+export interface TransferConfidentialBatchOptions {
+  token: string;
+  /** The transfers, sent in this order. */
+  transfers: ConfidentialBatchTransfer[];
+  /** The maximum time to wait for the confirmation of each transfer, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the batch while it waits in the account's operation queue. */
+  signal?: AbortSignal;
+}
+
+export interface ConfidentialQueueItem {
+  /** The id of the operation in the queue. */
+  id: number;
+  /** The name of the operation. */
+  operation: string;
+  /** When the operation was queued (unix timestamp in milliseconds). */
+  enqueuedAt: number;
+}
+
+export interface ConfidentialQueueState {
+  /** The number of operations in the queue, the running one included. */
+  depth: number;
+  /** The running operation, if any. */
+  running?: ConfidentialQueueItem;
+  /** The operations waiting to run, in order. */
+  pending: ConfidentialQueueItem[];
+}
+
+export interface QuoteTransferConfidentialBatchOptions {
+  token: string;
+  transfers: ConfidentialBatchTransfer[];
+}
+
+export interface ConfidentialBatchQuote {
+  /** The sum of the transferred amounts (in token base units). */
+  totalAmount: bigint;
+  /** The protocol fees of all the transfers (in token base units). */
+  protocolFee: bigint;
+  /** The confidential balance required by the batch, fees included (in token base units). */
+  totalRequired: bigint;
+  /** The gas limit of all the transfers. */
+  gasLimit: bigint;
+  /** The current fee per gas (in native base units). */
+  feePerGas: bigint;
+  /** The total gas cost of the batch (in native base units). */
+  totalNativeCost: bigint;
+}
+
+export interface ConfidentialBatchItemResult {
+  recipient: string;
+  amount: bigint;
+  status: "success" | "failed";
+  /** The result of the transfer, if it was sent. */
+  result?: ConfidentialResult;
+  /** The reason of the failure. */
+  error?: Error;
+}
+
+export interface ConfidentialBatchResult {
+  /** The result of each transfer, in the order of the request. */
+  items: ConfidentialBatchItemResult[];
+  succeeded: number;
+  failed: number;
+}
+
+export interface WithdrawAllConfidentialOptions {
+  /** The address of the token to empty. If unset, every token of 'tokens' is emptied. */
+  token?: string;
+  /**
+   * The addresses of the tokens to empty when no 'token' is given (default: the tokens of the
+   * registered network).
+   */
+  tokens?: string[];
+  /** The number of confirmations to wait for before reading the remaining balance (default: 1). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the operation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
+}
+
+export interface RotateConfidentialKeysOptions {
+  /** The addresses of the tokens whose confidential balances to move under the new keys (default: the tokens of the registered network). */
+  tokens?: string[];
+  /** The number of confirmations to wait for before the new keys are used (default: 1). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the rotation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
+  /** If set, the new keys are saved to this storage, replacing the account's keystore. */
+  storage?: KeyStorage;
+  /** The password to encrypt the new keys with. Required with `storage`. */
+  password?: string;
+}
+
+export interface DisableConfidentialityOptions {
+  /** The addresses of the tokens to empty (default: the tokens of the registered network). */
+  tokens?: string[];
+  /** The number of confirmations to wait for before reading the remaining balances, and before the account counts as deregistered (default: 1). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the withdrawals and the deregistration while they wait in the account's operation queue. */
+  signal?: AbortSignal;
+  /** If set, the account's keystore is deleted from this storage. */
+  storage?: KeyStorage;
+}
+
+export interface DisableConfidentialityResult {
+  /** The report of each token. */
+  withdrawals: ConfidentialSweepResult[];
+  /** The result of the deregistration, unless the stabletrust client cannot deregister accounts. */
+  deregistration?: ConfidentialResult;
+}
+
+export interface SweepConfidentialOptions extends WithdrawAllConfidentialOptions {
+  /** The recipient's address. */
+  recipient: string;
+}
+
+export interface ConfidentialSweepResult {
+  /** The address of the token. */
+  token: string;
+  /** The amount sent (in base unit), fees excluded, or 0 if the balance did not cover the fee. */
+  amount: bigint;
+  /** The protocol fee charged on the confidential balance (in token base units). */
+  protocolFee: bigint;
+  /** The result of the operation, if a transaction was sent. */
+  result?: ConfidentialResult;
+  /**
+   * The confidential balance left once the transaction is mined: dust smaller than the fee, or
+   * tokens received meanwhile.
+   */
+  remaining: bigint;
+}
+
+export interface BuildDepositConfidentialOptions {
+  /** The address of the token. */
+  token: string;
+  /** The amount of the operation. */
+  amount: Amount;
+  /**
+   * The nonce of the transaction, for example to build several transactions in a row (default:
+   * the account's next nonce).
+   */
+  nonce?: number;
+}
+
+export interface BuildTransferConfidentialOptions extends BuildDepositConfidentialOptions {
+  /** The recipient's address. */
+  recipient: string;
+}
+
+export type BuildWithdrawConfidentialOptions = BuildDepositConfidentialOptions;
+
+export interface UnsignedConfidentialTransaction {
+  /** The name of the operation. */
+  operation:
+    "depositConfidential" | "transferConfidential" | "withdrawConfidential";
+  /** The address of the account that must sign the transaction. */
+  from: string;
+  /** The address of the token. */
+  token: string;
+  /** The amount of the operation (in base unit), as a decimal string. */
+  amount: string;
+  /** The recipient of a transfer. */
+  recipient?: string;
+  /** The protocol fee charged on the confidential balance (in token base units), as a decimal string. */
+  protocolFee: string;
+  /**
+   * The fields of the transaction (to, data, nonce, gas limit and fees, chain ID...), with the big
+   * numbers as decimal strings.
+   */
+  transaction: Record<string, unknown>;
+  /** The unsigned transaction, serialized as an EIP-2718 envelope, to sign offline. */
+  unsignedTransaction: string;
+}
+
+export interface BroadcastSignedConfidentialOptions {
+  /**
+   * If set, waits for the transaction to reach this number of confirmations (default: 0, returns
+   * as soon as the transaction is sent).
+   */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+}
+
+export interface ConfidentialTransferReceivedOptions {
+  /** If set, only notifies the transfers of this token. */
+  token?: string;
+  /** Called when the events cannot be fetched, or when the handler throws. */
+  onError?: (error: Error) => void;
+}
+
+export interface ConfidentialBalanceChangedOptions {
+  token: string;
+  /** Called when the events or the balance cannot be fetched, or when the handler throws. */
+  onError?: (error: Error) => void;
+}
+
+export interface ConfidentialBalanceChangedEvent {
+  token: string;
+  amount: bigint;
+  /** The previous confidential balance, or undefined if it could not be read. */
+  previousAmount: bigint | undefined;
+  /** The block at which the change was detected. */
+  blockNumber: number;
+}
+
+export interface ConfidentialToken {
+  symbol: string;
+  address: string;
+  /** The decimals of the token, if known. */
+  decimals?: number;
+}
+
+export interface RetryPolicy {
+  /** The maximum number of attempts of a request, the first one included (default: 3). */
+  maxAttempts?: number;
+  /** The delay before the first retry, doubled at each following retry (default: 250). */
+  backoffMs?: number;
+  /** The maximum delay between two attempts (default: 5000). */
+  maxBackoffMs?: number;
+  /**
+   * The codes of the errors that can be retried, or a function that decides it
+   * (default: network errors, timeouts and server errors).
+   */
+  retryOn?: string[] | ((error: Error) => boolean);
+}
+
+export interface CreateDisclosureOptions {
+  /** The hash of the transfer's transaction. */
+  hash: string;
+  /** The index of the transfer's event in the block, if the transaction contains several transfers of the account (default: the first one). */
+  logIndex?: number;
+}
+
+/** A signed disclosure of one confidential transfer, serializable to json. */
+export interface ConfidentialDisclosure {
+  /** The disclosure format version. */
+  version: 1;
+  chainId: number;
+  /** The address of the stabletrust contract that emitted the transfer. */
+  stabletrustAddress: string;
+  /** The hash of the transfer's transaction. */
+  hash: string;
+  blockNumber: number;
+  /** The index of the transfer's event in the block. */
+  logIndex: number;
+  token: string;
+  from: string;
+  to: string;
+  /** The amount transferred (in base unit), as a decimal string. */
+  amount: string;
+  /** The party of the transfer that created the disclosure. */
+  role: "sender" | "recipient";
+  /** The address of the party that created the disclosure. */
+  discloser: string;
+  /** The amount encrypted for the discloser, as emitted by the transfer's event. */
+  ciphertext: string;
+  /** The discloser's confidential public key. */
+  publicKey: string;
+  /** The proof that the ciphertext decrypts to the amount under the public key. */
+  proof: string;
+  /** When the disclosure was created (unix timestamp in seconds). */
+  createdAt: number;
+  /** The discloser's eip-712 signature of all the other fields. */
+  signature: string;
+}
+
+export interface VerifyDisclosureOptions {
+  /** The RPC URL of a node of the disclosure's chain. */
   rpcUrl: string;
+  /** The stabletrust client to verify the proof with (default: a stabletrust client of the RPC URL). */
+  client?: StabletrustClient;
+  /** The address of the genuine stabletrust contract (default: the registered network's, or the stabletrust client's). */
+  stabletrustAddress?: string;
+}
+
+export interface DisclosureVerification {
+  /** True if every check passed. */
+  valid: boolean;
+  /** Why the disclosure is invalid. */
+  reason?: string;
+}
+
+/** Verifies a disclosure with nothing but an RPC endpoint of its chain. */
+export declare function verifyDisclosure(
+  document: ConfidentialDisclosure | string,
+  options: VerifyDisclosureOptions,
+): Promise<DisclosureVerification>;
+
+/** The methods of the stabletrust client used by the protocol. */
+export interface StabletrustClient {
+  readonly contractAddress: string;
+  /** The block the contract was deployed at, if the client knows it. */
+  readonly deploymentBlock?: number;
+  ensureAccount(signer: Signer): Promise<ConfidentialKeys>;
+  /** Generates a new keypair to rotate to. Optional: without it, keys cannot be rotated. */
+  generateKeys?(): Promise<ConfidentialKeys>;
+  /** Replaces the registered public key, and re-encrypts the balances of the tokens for it. */
+  rotateAccountKeys?(
+    signer: Signer,
+    privateKey: string,
+    keys: ConfidentialKeys,
+    tokens: string[],
+  ): Promise<{ hash: string }>;
+  /** Removes the registered public key. Optional: without it, accounts stay registered. */
+  deregisterAccount?(
+    signer: Signer,
+    privateKey: string,
+  ): Promise<{ hash: string }>;
+  getPublicKey(address: string): Promise<string | null>;
+  getFeeAmount(): Promise<bigint>;
+  confidentialDeposit(
+    signer: Signer,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  confidentialTransfer(
+    signer: Signer,
+    recipient: string,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  withdraw(
+    signer: Signer,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  getConfidentialBalance(
+    address: string,
+    privateKey: string,
+    token: string,
+  ): Promise<{ amount: bigint }>;
+  decryptAmount(ciphertext: string, privateKey: string): Promise<bigint>;
+  createDecryptionProof(
+    ciphertext: string,
+    privateKey: string,
+  ): Promise<string>;
+  verifyDecryptionProof(
+    ciphertext: string,
+    publicKey: string,
+    amount: bigint,
+    proof: string,
+  ): Promise<boolean>;
+}
+
+export interface MockConfidentialTransferClientOptions {
+  /** The chain ID of the simulated chain (default: 31337). */
+  chainId?: number;
+  /** The address of the simulated stabletrust contract. */
+  contractAddress?: string;
+  /** The protocol fee charged on transfers and withdrawals (default: 0). */
+  fee?: bigint;
+}
+
+export interface Eip1193Provider {
+  request(args: { method: string; params?: any[] }): Promise<any>;
+}
+
+/**
+ * An in-memory, deterministic stand-in for the stabletrust client and its chain, to test
+ * integrations offline. Never use it outside of tests: its encryption is not secure.
+ */
+export declare class MockConfidentialTransferClient implements StabletrustClient {
+  constructor(options?: MockConfidentialTransferClientOptions);
+  readonly chainId: number;
+  readonly contractAddress: string;
+  /** The block the simulated contract was deployed at: the genesis block. */
+  readonly deploymentBlock: number;
+  /** An EIP-1193 provider of the simulated chain, to configure the wallet with. */
+  readonly provider: Eip1193Provider;
+  /** The number of the latest block. */
+  readonly blockNumber: number;
+  /** Adds an erc20 token, with eip-2612 permits if `permit` is true. */
+  addToken(
+    address: string,
+    options?: {
+      symbol?: string;
+      decimals?: number;
+      name?: string;
+      permit?: boolean;
+    },
+  ): this;
+  mint(address: string, token: string, amount: bigint): this;
+  setFee(fee: bigint): this;
+  /** Makes the next call of a client method throw, before it changes any state. */
+  failNext(operation: string, error?: Error): this;
+  /** Makes the transaction of the next call of a state-changing client method revert. */
+  revertNext(operation: string): this;
+  /** Mines an empty block. */
+  mine(): number;
+  getPublicBalance(address: string, token: string): bigint;
+  ensureAccount(signer: Signer): Promise<ConfidentialKeys>;
+  generateKeys(): Promise<ConfidentialKeys>;
+  rotateAccountKeys(
+    signer: Signer,
+    privateKey: string,
+    keys: ConfidentialKeys,
+    tokens: string[],
+  ): Promise<{ hash: string }>;
+  deregisterAccount(
+    signer: Signer,
+    privateKey: string,
+  ): Promise<{ hash: string }>;
+  getPublicKey(address: string): Promise<string | null>;
+  getFeeAmount(): Promise<bigint>;
+  confidentialDeposit(
+    signer: Signer,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  confidentialTransfer(
+    signer: Signer,
+    recipient: string,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  withdraw(
+    signer: Signer,
+    token: string,
+    amount: bigint,
+  ): Promise<{ hash: string }>;
+  getConfidentialBalance(
+    address: string,
+    privateKey: string,
+    token: string,
+  ): Promise<{ amount: bigint }>;
+  decryptAmount(ciphertext: string, privateKey: string): Promise<bigint>;
+  createDecryptionProof(
+    ciphertext: string,
+    privateKey: string,
+  ): Promise<string>;
+  verifyDecryptionProof(
+    ciphertext: string,
+    publicKey: string,
+    amount: bigint,
+    proof: string,
+  ): Promise<boolean>;
+}
+
+/** A json-rpc provider that fails over across several endpoints. */
+export declare class FailoverProvider extends JsonRpcProvider {
+  constructor(
+    urls: string[],
+    policy?: RetryPolicy,
+    options?: JsonRpcApiProviderOptions,
+  );
+  /** The url of the endpoint requests are currently sent to. */
+  readonly url: string;
+  /** The number of raw transactions sent through the provider so far. */
+  readonly broadcastCount: number;
+}
+
+export interface ConfidentialNetwork {
+  /** The unique name of the network. */
+  name: string;
   chainId: number;
+  /** The default RPC URL, or several to fail over across. */
+  rpcUrl: string | string[];
+  /** The address of the stabletrust contract. If unset, the stabletrust client's own deployment for the chain is used. */
+  stabletrustAddress?: string;
+  /** The block the stabletrust contract was deployed at, where history scans start by default. */
+  deploymentBlock?: number;
+  /** The tokens supported by the stabletrust contract. */
+  tokens: ConfidentialToken[];
+  /** The base URL of the block explorer. */
+  explorerUrl?: string;
+}
+
+export interface ConfidentialProtocolConfig {
+  /** The name of a registered network, which provides the defaults of the other options. */
+  network?: string;
+  /**
+   * The RPC URL of the blockchain network, or several to fail over across, in order of preference.
+   * Required if no network or client is given.
+   */
+  rpcUrl?: string | string[];
+  /** How failed rpc requests are retried across the RPC URLs. */
+  retry?: RetryPolicy;
+  /**
+   * The stabletrust client, or a function that creates the client of an RPC URL, for example a
+   * MockConfidentialTransferClient in tests (default: a stabletrust client per RPC URL).
+   */
+  client?:
+    | StabletrustClient
+    | ((rpcUrl: string, chainId: number) => StabletrustClient);
+  /**
+   * The provider to read the chain with, for example to share one across several accounts
+   * (default: a provider created from the RPC URLs, or the account's provider).
+   */
+  provider?: JsonRpcApiProvider;
+  /**
+   * How often the provider polls for new blocks while waiting for confirmations and following
+   * events, in milliseconds (default: 4000).
+   */
+  pollingInterval?: number;
+  /** The chain ID. Required if no network is given. */
+  chainId?: number;
+  /**
+   * The address of the stabletrust contract, used to read allowances and events. It must match the
+   * contract the stabletrust client sends its operations to.
+   */
+  stabletrustAddress?: string;
+  /**
+   * The block the stabletrust contract was deployed at, where history scans start by default
+   * (default: the network's, or the stabletrust client's).
+   */
+  deploymentBlock?: number;
+  /** Overrides the gas limits used to quote each operation, instead of estimating them. */
+  gasLimits?: {
+    deposit?: bigint;
+    transfer?: bigint;
+    withdraw?: bigint;
+  };
+  /** The maximum number of blocks per log query when scanning the history (default: 10000). */
+  logChunkSize?: number;
+  /**
+   * Caches the confirmed confidential balances, each for the block it was read at, or for
+   * 'maxAgeBlocks' more blocks (default: false).
+   */
+  balanceCache?: boolean | BalanceCacheConfig;
+  /**
+   * Callbacks notified before, after and on the failure of each operation. Private keys,
+   * passwords and decrypted amounts are redacted unless a hook sets 'includeSensitive'.
+   */
+  hooks?: ConfidentialHooks | ConfidentialHooks[];
+  /**
+   * The spending limits, recipient lists and approval callback that confidential transfers and
+   * withdrawals are checked against before they are signed.
+   */
+  policy?: SpendingPolicyConfig;
+  /**
+   * Signs the account's transactions: an ethers signer, an external signing callback, or "provider"
+   * for the signer of the wallet's EIP-1193 provider (default: the wallet account itself).
+   */
+  signer?: Signer | SigningCallback | "provider";
+}
+
+export type SigningRequest =
+  | { type: "message"; message: string | Uint8Array }
+  | {
+      type: "typedData";
+      domain: TypedDataDomain;
+      types: Record<string, TypedDataField[]>;
+      value: Record<string, any>;
+    }
+  | { type: "transaction"; transaction: TransactionRequest };
+
+/** Returns the signature, or the signed serialized transaction. */
+export type SigningCallback = (request: SigningRequest) => Promise<string>;
+
+/** An ethers signer that delegates every signature to a WDK wallet account. */
+export declare class WalletAccountSigner extends AbstractSigner {
+  constructor(account: WalletAccountEvm, provider?: Provider | null);
+  connect(provider: Provider | null): WalletAccountSigner;
+}
+
+/** An ethers signer that forwards every signature to a signing callback. */
+export declare class CallbackSigner extends AbstractSigner {
+  constructor(
+    address: string,
+    callback: SigningCallback,
+    provider?: Provider | null,
+  );
+  connect(provider: Provider | null): CallbackSigner;
 }
 
 /**
- * A WDK account patched with confidential methods after calling enableConfidentiality().
+ * A wallet account with confidential capabilities, returned by enableConfidentiality().
+ * Wraps a WDK account without modifying it: the usual wallet methods are forwarded to the
+ * account, and the confidential methods to a ConfidentialProtocolEvm bound to it.
  */
-export type ConfidentialAccount<
+export declare class ConfidentialAccount<
   T extends WalletAccountReadOnlyEvm | WalletAccountEvm = WalletAccountEvm,
-> = T & {
+> {
+  constructor(account: T, protocol: ConfidentialProtocolEvm);
+
+  /** The wrapped wallet account. */
+  readonly account: T;
+  /** The confidential protocol bound to the account. */
+  readonly protocol: ConfidentialProtocolEvm;
+  /** The derivation path's index of the account. */
+  readonly index: number;
+  /** The derivation path of the account. */
+  readonly path: string;
+  /** The account's key pair. */
+  readonly keyPair: WalletAccountEvm["keyPair"];
+  /** True if the account cannot sign transactions. */
+  readonly readOnly: boolean;
+
+  getAddress(): Promise<string>;
+  getBalance(): Promise<bigint>;
+  getTokenBalance(tokenAddress: string): Promise<bigint>;
+  getTransactionReceipt(
+    hash: string,
+  ): ReturnType<WalletAccountReadOnlyEvm["getTransactionReceipt"]>;
+  sign(message: string): Promise<string>;
+  verify(message: string, signature: string): Promise<boolean>;
+  sendTransaction(
+    tx: Parameters<WalletAccountEvm["sendTransaction"]>[0],
+  ): ReturnType<WalletAccountEvm["sendTransaction"]>;
+  quoteSendTransaction(
+    tx: Parameters<WalletAccountEvm["quoteSendTransaction"]>[0],
+  ): ReturnType<WalletAccountEvm["quoteSendTransaction"]>;
+  transfer(
+    options: Parameters<WalletAccountEvm["transfer"]>[0],
+  ): ReturnType<WalletAccountEvm["transfer"]>;
+  quoteTransfer(
+    options: Parameters<WalletAccountEvm["quoteTransfer"]>[0],
+  ): ReturnType<WalletAccountEvm["quoteTransfer"]>;
+  toReadOnlyAccount(): Promise<WalletAccountReadOnlyEvm>;
+  dispose(): void;
+
   depositConfidential(
     options: DepositConfidentialOptions,
   ): Promise<ConfidentialResult>;
@@ -65,31 +988,354 @@ export type ConfidentialAccount<
   getConfidentialBalance(
     options: GetConfidentialBalanceOptions,
   ): Promise<ConfidentialBalanceResult>;
+  quoteDepositConfidential(
+    options: QuoteDepositConfidentialOptions,
+  ): Promise<ConfidentialQuote>;
   quoteTransferConfidential(
     options?: QuoteTransferConfidentialOptions,
-  ): Promise<bigint>;
-};
+  ): Promise<ConfidentialQuote>;
+  quoteWithdrawConfidential(
+    options?: QuoteWithdrawConfidentialOptions,
+  ): Promise<ConfidentialQuote>;
+  getConfidentialBalances(
+    options: GetConfidentialBalancesOptions,
+  ): Promise<ConfidentialTokenBalance[]>;
+  getDepositAllowance(options: GetDepositAllowanceOptions): Promise<bigint>;
+  transferConfidentialBatch(
+    options: TransferConfidentialBatchOptions,
+  ): Promise<ConfidentialBatchResult>;
+  withdrawAllConfidential(
+    options: WithdrawAllConfidentialOptions & { token: string },
+  ): Promise<ConfidentialSweepResult>;
+  withdrawAllConfidential(
+    options?: WithdrawAllConfidentialOptions,
+  ): Promise<ConfidentialSweepResult[]>;
+  sweepConfidential(
+    options: SweepConfidentialOptions & { token: string },
+  ): Promise<ConfidentialSweepResult>;
+  sweepConfidential(
+    options: SweepConfidentialOptions,
+  ): Promise<ConfidentialSweepResult[]>;
+  buildDepositConfidential(
+    options: BuildDepositConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+  buildTransferConfidential(
+    options: BuildTransferConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+  buildWithdrawConfidential(
+    options: BuildWithdrawConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+  broadcastSignedConfidential(
+    rawTx: string,
+    options?: BroadcastSignedConfidentialOptions,
+  ): Promise<ConfidentialResult>;
+  quoteTransferConfidentialBatch(
+    options: QuoteTransferConfidentialBatchOptions,
+  ): Promise<ConfidentialBatchQuote>;
+  getConfidentialHistory(
+    options?: GetConfidentialHistoryOptions,
+  ): Promise<ConfidentialHistoryResult>;
+  createDisclosure(
+    options: CreateDisclosureOptions,
+  ): Promise<ConfidentialDisclosure>;
+  verifyDisclosure(
+    document: ConfidentialDisclosure | string,
+  ): Promise<DisclosureVerification>;
+  onConfidentialTransferReceived(
+    handler: (entry: ConfidentialHistoryEntry) => void | Promise<void>,
+    options?: ConfidentialTransferReceivedOptions,
+  ): () => void;
+  onConfidentialBalanceChanged(
+    options: ConfidentialBalanceChangedOptions,
+    handler: (event: ConfidentialBalanceChangedEvent) => void | Promise<void>,
+  ): () => void;
+  waitForConfidentialOperation(
+    hash: string,
+    options?: WaitForConfidentialOperationOptions,
+  ): Promise<ConfidentialResult>;
+  exportConfidentialKeys(password: string): Promise<ConfidentialKeystore>;
+  rotateConfidentialKeys(
+    options?: RotateConfidentialKeysOptions,
+  ): Promise<ConfidentialKeys>;
+  disableConfidentiality(
+    options?: DisableConfidentialityOptions,
+  ): Promise<DisableConfidentialityResult>;
+  getConfidentialQueue(): ConfidentialQueueState;
+  cancelConfidentialOperation(id: number): boolean;
+  cancelPendingConfidentialOperations(): number;
+  invalidateConfidentialBalance(token?: string): void;
+}
 
 /**
- * Enables confidentiality for a WDK account by patching it with confidential methods.
- * Registers the account's public key onchain and returns the same account instance
- * augmented with confidential operations.
+ * Enables confidentiality for a WDK account. Registers the account's public key onchain
+ * and returns a ConfidentialAccount wrapping the account, which is left untouched.
  *
  * @example
- * const confAccount = await enableConfidentiality(account, { rpcUrl, chainId });
+ * const confAccount = await enableConfidentiality(account, { network: "stable-testnet" });
  * await confAccount.depositConfidential({ token, amount });
  * await confAccount.transferConfidential({ recipient, token, amount });
  * await confAccount.withdrawConfidential({ token, amount });
  */
-export declare function enableConfidentiality(
-  account: WalletAccountEvm,
+export declare function enableConfidentiality<
+  T extends WalletAccountReadOnlyEvm | WalletAccountEvm,
+>(
+  account: T,
+  config: ConfidentialProtocolConfig,
+  options?: EnableConfidentialityOptions,
+): Promise<ConfidentialAccount<T>>;
+
+/**
+ * Registers the confidential protocol for the accounts of a WDK blockchain. Every account
+ * returned by `wdk.getAccount(blockchain, ...)` gets a `getConfidentialProtocol(label)` method.
+ */
+export declare function registerConfidentialProtocol<W extends WDK>(
+  wdk: W,
+  blockchain: string,
+  label: string,
   config: ConfidentialProtocolConfig,
-): Promise<ConfidentialAccount<WalletAccountEvm>>;
+): W;
+
+export interface ConfidentialAccountManagerOptions {
+  /** The name of the blockchain, as registered with 'wdk.registerWallet'. */
+  blockchain: string;
+  /** The derivation indexes of the accounts to manage. */
+  indexes: number[];
+  /** The protocol configuration, shared by all the accounts. */
+  config: ConfidentialProtocolConfig;
+  /** The options every account is enabled with, for example a key storage. */
+  enableOptions?: EnableConfidentialityOptions;
+}
+
+export interface ConfidentialAccountBalance {
+  /** The derivation index of the account. */
+  index: number;
+  /** The address of the account. */
+  address: string;
+  /** The balance once the pending operations are mined (in base unit). */
+  amount: bigint;
+  /** The confirmed balance (in base unit). */
+  available: bigint;
+  /** The net change of the account's pending operations (in base unit). */
+  pending: bigint;
+}
+
+export interface AggregatedConfidentialBalance {
+  /** The address of the token. */
+  token: string;
+  /** The sum of the accounts' balances (in base unit). */
+  amount: bigint;
+  /** The sum of the accounts' confirmed balances (in base unit). */
+  available: bigint;
+  /** The sum of the accounts' pending changes (in base unit). */
+  pending: bigint;
+  /** The balance of each account, in the order of the indexes. */
+  accounts: ConfidentialAccountBalance[];
+}
+
+export interface RebalanceConfidentialOptions {
+  /** The address of the token. */
+  token: string;
+  /** The derivation index of the sending account. */
+  from: number;
+  /** The derivation index of the receiving account. */
+  to: number;
+  /** The amount to move. */
+  amount: Amount;
+  /** If set, waits for the transaction to reach this number of confirmations (default: 0). */
+  confirmations?: number;
+  /** The maximum time to wait for the confirmations, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the operation while it waits in the account's operation queue. */
+  signal?: AbortSignal;
+}
+
+/**
+ * Manages the confidential accounts of several derivation indexes of a WDK wallet. Each account
+ * is enabled on first use, and all of them share the same stabletrust clients and provider.
+ *
+ * @example
+ * const manager = new ConfidentialAccountManager(wdk, {
+ *   blockchain: "ethereum",
+ *   indexes: [0, 1, 2],
+ *   config: { network: "stable-testnet" },
+ * });
+ *
+ * const { amount, accounts } = await manager.getConfidentialBalance({ token });
+ * await manager.rebalanceConfidential({ token, from: 0, to: 1, amount: "25" });
+ */
+export declare class ConfidentialAccountManager {
+  constructor(wdk: WDK, options: ConfidentialAccountManagerOptions);
+
+  /** The derivation indexes of the managed accounts. */
+  readonly indexes: number[];
+
+  /**
+   * Returns the confidential account of a derivation index, enabling confidentiality for it on
+   * first use.
+   */
+  getAccount(index: number): Promise<ConfidentialAccount<WalletAccountEvm>>;
+
+  /** Gets the confidential balance of a token across all the managed accounts. */
+  getConfidentialBalance(options: {
+    token: string;
+    fresh?: boolean;
+  }): Promise<AggregatedConfidentialBalance>;
+
+  /** Moves tokens confidentially from one managed account to another. */
+  rebalanceConfidential(
+    options: RebalanceConfidentialOptions,
+  ): Promise<ConfidentialResult>;
+}
 
 export declare class NotImplementedError extends Error {
   constructor(methodName: string);
 }
 
+export declare class ConfidentialProtocolError extends Error {
+  constructor(message: string, options?: ErrorOptions);
+}
+
+export declare class ReadOnlyAccountError extends ConfidentialProtocolError {
+  constructor(methodName: string, hint?: string);
+  readonly methodName: string;
+}
+
+export declare class ConfidentialityNotEnabledError extends ConfidentialProtocolError {
+  constructor(methodName: string);
+  readonly methodName: string;
+}
+
+export declare class ProviderNotConnectedError extends ConfidentialProtocolError {
+  constructor(methodName: string);
+  readonly methodName: string;
+}
+
+export declare class ChainMismatchError extends ConfidentialProtocolError {
+  constructor(details: { expected: number; actual: number });
+  readonly expected: number;
+  readonly actual: number;
+}
+
+export declare class SignerMismatchError extends ConfidentialProtocolError {
+  constructor(details: { expected: string; actual: string });
+  readonly expected: string;
+  readonly actual: string;
+}
+
+export declare class InvalidAmountError extends ConfidentialProtocolError {
+  constructor(details: { amount: unknown; reason: string });
+  readonly amount: unknown;
+  readonly reason: string;
+}
+
+export declare class InsufficientConfidentialBalanceError extends ConfidentialProtocolError {
+  constructor(details: { token: string; required: bigint; available: bigint });
+  readonly token: string;
+  readonly required: bigint;
+  readonly available: bigint;
+}
+
+export declare class InsufficientPublicBalanceError extends ConfidentialProtocolError {
+  constructor(details: { token: string; required: bigint; available: bigint });
+  readonly token: string;
+  readonly required: bigint;
+  readonly available: bigint;
+}
+
+export declare class InsufficientAllowanceError extends ConfidentialProtocolError {
+  constructor(details: {
+    token: string;
+    spender: string;
+    required: bigint;
+    allowance: bigint;
+  });
+  readonly token: string;
+  readonly spender: string;
+  readonly required: bigint;
+  readonly allowance: bigint;
+}
+
+export declare class RecipientNotRegisteredError extends ConfidentialProtocolError {
+  constructor(recipient: string);
+  readonly recipient: string;
+}
+
+export declare class ConfidentialTransferNotFoundError extends ConfidentialProtocolError {
+  constructor(details: { hash: string; address: string });
+  readonly hash: string;
+  readonly address: string;
+}
+
+export declare class PolicyViolationError extends ConfidentialProtocolError {
+  constructor(details: {
+    operation: string;
+    rule: PolicyRule;
+    reason: string;
+    token?: string;
+    recipient?: string;
+  });
+  readonly operation: string;
+  readonly rule: PolicyRule;
+  readonly reason: string;
+  readonly token: string | undefined;
+  readonly recipient: string | undefined;
+}
+
+export declare class InvalidConfidentialKeysError extends ConfidentialProtocolError {
+  constructor(details: { address: string; reason: string });
+  readonly address: string;
+  readonly reason: string;
+}
+
+export declare class KeyRotationNotSupportedError extends ConfidentialProtocolError {
+  constructor(address: string);
+  readonly address: string;
+  /** How to recover lost or leaked confidential keys instead. */
+  readonly recovery: string;
+}
+
+export declare class InvalidKeystorePasswordError extends ConfidentialProtocolError {
+  constructor(address: string);
+  readonly address: string;
+}
+
+export declare class InvalidKeystoreFormatError extends ConfidentialProtocolError {
+  constructor(reason: string);
+  readonly reason: string;
+}
+
+export declare class OperationTimeoutError extends ConfidentialProtocolError {
+  constructor(details: { hash: string; timeoutMs: number });
+  readonly hash: string;
+  readonly timeoutMs: number;
+}
+
+export declare class OperationCancelledError extends ConfidentialProtocolError {
+  constructor(operation: string);
+  readonly operation: string;
+}
+
+export declare class InvalidOptionError extends ConfidentialProtocolError {
+  constructor(details: { option: string; reason: string });
+  readonly option: string;
+  readonly reason: string;
+}
+
+export declare class UnknownNetworkError extends ConfidentialProtocolError {
+  constructor(network: string | number);
+  readonly network: string | number;
+}
+
+export declare class UnknownProtocolError extends ConfidentialProtocolError {
+  constructor(label: string);
+  readonly label: string;
+}
+
+export declare class ConfidentialOperationError extends ConfidentialProtocolError {
+  constructor(operation: string, cause: unknown);
+  readonly operation: string;
+}
+
 export declare class IConfidentialProtocol {
   enableConfidentiality(
     options?: EnableConfidentialityOptions,
@@ -106,9 +1352,15 @@ export declare class IConfidentialProtocol {
   getConfidentialBalance(
     options: GetConfidentialBalanceOptions,
   ): Promise<ConfidentialBalanceResult>;
+  quoteDepositConfidential(
+    options: QuoteDepositConfidentialOptions,
+  ): Promise<ConfidentialQuote>;
   quoteTransferConfidential(
-    options: QuoteTransferConfidentialOptions,
-  ): Promise<bigint>;
+    options?: QuoteTransferConfidentialOptions,
+  ): Promise<ConfidentialQuote>;
+  quoteWithdrawConfidential(
+    options?: QuoteWithdrawConfidentialOptions,
+  ): Promise<ConfidentialQuote>;
 }
 
 export declare class ConfidentialProtocol extends IConfidentialProtocol {
@@ -119,5 +1371,177 @@ export declare class ConfidentialProtocol extends IConfidentialProtocol {
 }
 
 export declare class ConfidentialProtocolEvm extends ConfidentialProtocol {
+  constructor(
+    account: WalletAccountReadOnlyEvm,
+    config: ConfidentialProtocolConfig,
+  );
   constructor(account: WalletAccountEvm, config: ConfidentialProtocolConfig);
+
+  /** The registered network the protocol is configured for, if any. */
+  readonly network: ConfidentialNetwork | undefined;
+
+  /** The provider the protocol reads the chain with, if any. */
+  readonly provider: JsonRpcApiProvider | undefined;
+
+  /** True if the account cannot sign transactions. */
+  readonly readOnly: boolean;
+
+  /** Gets the confidential and public balances of several tokens, with their metadata. */
+  getConfidentialBalances(
+    options: GetConfidentialBalancesOptions,
+  ): Promise<ConfidentialTokenBalance[]>;
+
+  /** Gets the amount of tokens the stabletrust contract is allowed to deposit from the account. */
+  getDepositAllowance(options: GetDepositAllowanceOptions): Promise<bigint>;
+
+  /** Transfers tokens confidentially to several recipients, one after the other. */
+  transferConfidentialBatch(
+    options: TransferConfidentialBatchOptions,
+  ): Promise<ConfidentialBatchResult>;
+
+  /** Withdraws the whole confidential balance of a token, or of several tokens. */
+  withdrawAllConfidential(
+    options: WithdrawAllConfidentialOptions & { token: string },
+  ): Promise<ConfidentialSweepResult>;
+  withdrawAllConfidential(
+    options?: WithdrawAllConfidentialOptions,
+  ): Promise<ConfidentialSweepResult[]>;
+
+  /** Transfers the whole confidential balance of a token, or of several tokens, to a recipient. */
+  sweepConfidential(
+    options: SweepConfidentialOptions & { token: string },
+  ): Promise<ConfidentialSweepResult>;
+  sweepConfidential(
+    options: SweepConfidentialOptions,
+  ): Promise<ConfidentialSweepResult[]>;
+
+  /** Builds the unsigned transaction of a deposit, to be signed offline. */
+  buildDepositConfidential(
+    options: BuildDepositConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+
+  /** Builds the unsigned transaction of a confidential transfer, to be signed offline. */
+  buildTransferConfidential(
+    options: BuildTransferConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+
+  /** Builds the unsigned transaction of a withdrawal, to be signed offline. */
+  buildWithdrawConfidential(
+    options: BuildWithdrawConfidentialOptions,
+  ): Promise<UnsignedConfidentialTransaction>;
+
+  /** Broadcasts a confidential transaction built with a build method and signed offline. */
+  broadcastSignedConfidential(
+    rawTx: string,
+    options?: BroadcastSignedConfidentialOptions,
+  ): Promise<ConfidentialResult>;
+
+  /** Quotes a batch of confidential transfers. */
+  quoteTransferConfidentialBatch(
+    options: QuoteTransferConfidentialBatchOptions,
+  ): Promise<ConfidentialBatchQuote>;
+
+  /** Gets the history of the account's confidential operations, from the newest to the oldest. */
+  getConfidentialHistory(
+    options?: GetConfidentialHistoryOptions,
+  ): Promise<ConfidentialHistoryResult>;
+
+  /** Creates a signed disclosure of one confidential transfer sent or received by the account. */
+  createDisclosure(
+    options: CreateDisclosureOptions,
+  ): Promise<ConfidentialDisclosure>;
+
+  /** Verifies a disclosure against the protocol's chain. */
+  verifyDisclosure(
+    document: ConfidentialDisclosure | string,
+  ): Promise<DisclosureVerification>;
+
+  /** Subscribes to the confidential transfers received by the account. */
+  onConfidentialTransferReceived(
+    handler: (entry: ConfidentialHistoryEntry) => void | Promise<void>,
+    options?: ConfidentialTransferReceivedOptions,
+  ): () => void;
+
+  /** Subscribes to the changes of the account's confidential balance of a token. */
+  onConfidentialBalanceChanged(
+    options: ConfidentialBalanceChangedOptions,
+    handler: (event: ConfidentialBalanceChangedEvent) => void | Promise<void>,
+  ): () => void;
+
+  /** Waits for the transaction of a confidential operation to be confirmed. */
+  waitForConfidentialOperation(
+    hash: string,
+    options?: WaitForConfidentialOperationOptions,
+  ): Promise<ConfidentialResult>;
+
+  /** Exports the confidential keys of the account as a password-encrypted keystore. */
+  exportConfidentialKeys(password: string): Promise<ConfidentialKeystore>;
+
+  /**
+   * Rotates the confidential keys to a new keypair, moving the confidential balances under it, and
+   * returns the new keys. Throws a KeyRotationNotSupportedError if the stabletrust client cannot
+   * rotate keys.
+   */
+  rotateConfidentialKeys(
+    options?: RotateConfidentialKeysOptions,
+  ): Promise<ConfidentialKeys>;
+
+  /**
+   * Withdraws every confidential balance, deregisters the account from the stabletrust contract,
+   * then forgets the confidential keys.
+   */
+  disableConfidentiality(
+    options?: DisableConfidentialityOptions,
+  ): Promise<DisableConfidentialityResult>;
+
+  /** Returns the state of the account's operation queue. */
+  getConfidentialQueue(): ConfidentialQueueState;
+
+  /** Cancels an operation waiting in the account's operation queue. */
+  cancelConfidentialOperation(id: number): boolean;
+
+  /** Cancels all the operations waiting in the account's operation queue. */
+  cancelPendingConfidentialOperations(): number;
+
+  /** Invalidates the cached confidential balance of a token, or of all the tokens. */
+  invalidateConfidentialBalance(token?: string): void;
 }
+
+/** Encrypts confidential keys with a password. */
+export declare function encryptConfidentialKeys(
+  keys: ConfidentialKeys,
+  password: string,
+  options: EncryptConfidentialKeysOptions,
+): Promise<ConfidentialKeystore>;
+
+/** Decrypts confidential keys from a keystore. */
+export declare function decryptConfidentialKeys(
+  keystore: ConfidentialKeystore | string,
+  password: string,
+): Promise<ConfidentialKeys>;
+
+/** A key storage that keeps each keystore in a json file inside a directory. */
+export declare class FileKeyStorage implements KeyStorage {
+  constructor(directory: string);
+  get(id: string): Promise<ConfidentialKeystore | undefined>;
+  set(id: string, keystore: ConfidentialKeystore): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** A spending store that keeps the records in memory. */
+export declare class MemorySpendingStore implements SpendingStore {
+  constructor();
+  get(key: string): Promise<SpendingRecord[] | undefined>;
+  set(key: string, records: SpendingRecord[]): Promise<void>;
+}
+
+/** Registers a network, so that protocols can be configured with its name. */
+export declare function registerNetwork(network: ConfidentialNetwork): void;
+
+/** Finds a registered network by name or chain ID. */
+export declare function getNetwork(
+  nameOrChainId: string | number,
+): ConfidentialNetwork | undefined;
+
+/** Returns all the registered networks. */
+export declare function getNetworks(): ConfidentialNetwork[];